@@ -1,6 +1,13 @@
 
 
 import * as THREE from 'three';
+import { ROSIE_TOOLS, ROSIE_SYSTEM_PROMPT, validateToolCall } from './languageModel.js';
+
+// How much of the world and the conversation the language model is shown
+const MODEL_CONTEXT_OBJECTS = 40;
+const MODEL_CONTEXT_TURNS = 6;
+
+const TIME_OF_DAY_VALUES = { dawn: 0.25, day: 0.5, dusk: 0.75, night: 0.0 };
 
 export class AIAgent {
   constructor(worldsmith) {
@@ -20,6 +27,10 @@ export class AIAgent {
       commonPatterns: new Map()
     };
     
+    // Language model (see languageModel.js); null leaves everything to the
+    // built-in patterns below
+    this.provider = null;
+    
     // Natural language processing patterns
     this.commandPatterns = this.initializeCommandPatterns();
     this.suggestionEngine = new SuggestionEngine(this);
@@ -84,7 +95,202 @@ export class AIAgent {
     };
   }
 
-  // Enhanced natural language processing
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Typed and library commands: the language model if one is set up, the
+  // built-in patterns without one or when the model fails
+  async handleCommand(input) {
+    if (!this.provider) return this.processCommand(input);
+    
+    const command = input.trim();
+    const messages = this.buildModelMessages(command);
+    this.worldsmith.showRosieResponse('🤔 Thinking...');
+    
+    let reply;
+    try {
+      reply = await this.provider.complete(messages, ROSIE_TOOLS);
+    } catch (error) {
+      this.worldsmith.log(`Rosie's language model failed (${error.message}), using built-in commands`, 'warn');
+      return this.processCommand(input);
+    }
+    
+    // Nothing runs unless every call is valid
+    const calls = reply.toolCalls.map(call => validateToolCall(call.name, call.arguments));
+    const errors = calls.flatMap(call => call.errors);
+    if (errors.length > 0) {
+      errors.forEach(error => this.worldsmith.log(`Rejected tool call - ${error}`, 'warn'));
+      return this.processCommand(input);
+    }
+    
+    if (calls.length === 0 && !reply.content) {
+      return this.processCommand(input);
+    }
+    
+    // Read-only viewing or a time-lapse may have started while we waited
+    if (calls.length > 0 && this.worldsmith.isReadOnlyBlocked()) {
+      this.worldsmith.showRosieResponse("I can't change the world right now.");
+      return;
+    }
+    
+    this.conversationHistory.push({
+      type: 'user',
+      content: command,
+      timestamp: Date.now()
+    });
+    
+    if (calls.length === 0) {
+      this.respond(reply.content);
+      return;
+    }
+    
+    const validated = calls.map(({ name, args }) => ({ name, args }));
+    const summary = await this.executeToolCalls(validated, `Rosie: ${command}`);
+    if (summary === null) return;
+    
+    // Macros replay these instead of asking the model again
+    document.dispatchEvent(new CustomEvent('rosieToolCalls', {
+      detail: { text: command, calls: validated }
+    }));
+    this.respond(reply.content || summary);
+  }
+
+  // Chat for the model: who Rosie is, a summary of the world, the last few
+  // turns and the command
+  buildModelMessages(command) {
+    const worldsmith = this.worldsmith;
+    const history = worldsmith.historyManager;
+    const round = (value) => Math.round(value * 10) / 10;
+    const describe = (object) => ({
+      id: history.getObjectId(object),
+      name: object.userData.name || object.userData.description || object.userData.assetType || object.userData.shapeType || 'object',
+      position: { x: round(object.position.x), y: round(object.position.y), z: round(object.position.z) }
+    });
+    
+    const selected = worldsmith.getEditedObject();
+    const world = {
+      selected: selected ? describe(selected) : null,
+      objects: worldsmith.createdObjects.slice(-MODEL_CONTEXT_OBJECTS).map(describe),
+      objectCount: worldsmith.createdObjects.length,
+      timeOfDay: worldsmith.timeOfDay,
+      weather: worldsmith.weather
+    };
+    
+    const turns = this.conversationHistory.slice(-MODEL_CONTEXT_TURNS).map(entry => ({
+      role: entry.type === 'user' ? 'user' : 'assistant',
+      content: entry.content
+    }));
+    
+    return [
+      { role: 'system', content: `${ROSIE_SYSTEM_PROMPT}\n\nWorld: ${JSON.stringify(world)}` },
+      ...turns,
+      { role: 'user', content: command }
+    ];
+  }
+
+  // Run validated tool calls ({ name, args }) as one undoable step.
+  // Resolves with a sentence per call saying what happened, or null if the
+  // world can't be edited now.
+  async executeToolCalls(calls, label) {
+    return this.runToolCalls(await this.prepareToolCalls(calls), label);
+  }
+  
+  // Prefabs load asynchronously, so they are built before the undo step
+  // opens: calls come back with prefab: { prefab, objects } or { name, error }
+  prepareToolCalls(calls) {
+    const worldsmith = this.worldsmith;
+    
+    return Promise.all(calls.map(async (call) => {
+      const prefab = call.name === 'create_object' ? worldsmith.findPrefab(call.args.description) : null;
+      if (!prefab) return call;
+      
+      try {
+        return { ...call, prefab: await worldsmith.buildPrefab(prefab.id, call.args.position || worldsmith.getViewTarget()) };
+      } catch (error) {
+        return { ...call, prefab: { name: prefab.name, error: error.message } };
+      }
+    }));
+  }
+  
+  // Prepared calls (prepareToolCalls) as one undoable step; returns the
+  // sentences, or null if the world can't be edited now
+  runToolCalls(calls, label) {
+    if (this.worldsmith.isReadOnlyBlocked()) return null;
+    
+    const results = [];
+    this.worldsmith.commands.batch(label, () => {
+      calls.forEach(call => results.push(this.runToolCall(call)));
+    });
+    return results.join(' ');
+  }
+
+  runToolCall({ name, args, prefab: built }) {
+    const worldsmith = this.worldsmith;
+    const commands = worldsmith.commands;
+    const target = args.object_id ? worldsmith.findObjectById(args.object_id) : worldsmith.getEditedObject();
+    
+    switch (name) {
+      case 'create_object': {
+        if (built) {
+          if (built.error) return `I couldn't place your ${built.name} (${built.error}).`;
+          
+          worldsmith.placePrefab(built.objects);
+          worldsmith.selectObjects(built.objects);
+          this.updatePatterns('creation', built.prefab.name);
+          return `Placed your ${built.prefab.name} (${built.objects.length} objects).`;
+        }
+        
+        let description = args.description;
+        if (args.color) description = `${args.color} ${description}`;
+        if (args.size) description = `${args.size} ${description}`;
+        
+        const object = worldsmith.createFromDescription(description);
+        if (!object) return `I couldn't create a ${description}.`;
+        if (args.position) commands.transformObject(object, { position: args.position });
+        
+        this.worldContext.lastCreatedObject = args.description;
+        this.updatePatterns('creation', args.description);
+        return `Created a ${description}.`;
+      }
+      case 'move_object': {
+        if (!target) return 'Select an object for me to move.';
+        const position = args.position || this.calculatePosition(args.direction, this.getContext());
+        commands.transformObject(target, { position: { x: position.x, y: position.y, z: position.z } });
+        return `Moved the ${target.userData.name || 'object'}${args.direction ? ` ${args.direction}` : ''}.`;
+      }
+      case 'modify_object': {
+        if (!target) return 'Select an object for me to change.';
+        if (args.color && target.material) {
+          const color = args.color.startsWith('#') ? parseInt(args.color.slice(1), 16) : this.getColorHex(args.color);
+          commands.setProperty(target, 'color', color);
+        }
+        if (args.scale) {
+          commands.transformObject(target, {
+            scale: { x: target.scale.x * args.scale, y: target.scale.y * args.scale, z: target.scale.z * args.scale }
+          });
+        }
+        if (args.name) commands.setProperty(target, 'name', args.name);
+        if (args.visible !== undefined) commands.setProperty(target, 'visible', args.visible);
+        return `Updated the ${target.userData.name || 'object'}.`;
+      }
+      case 'duplicate_object': {
+        if (!target) return 'Select an object for me to copy.';
+        const pattern = args.pattern || 'line';
+        this.createDuplicates(target, args.count, pattern);
+        return `Made ${args.count} copies in a ${pattern}.`;
+      }
+      case 'set_environment': {
+        if (args.time_of_day) worldsmith.setTimeOfDay(TIME_OF_DAY_VALUES[args.time_of_day]);
+        if (args.weather) worldsmith.setWeather(args.weather);
+        return `Set the ${[args.time_of_day && 'time of day', args.weather && 'weather'].filter(Boolean).join(' and ')}.`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  // Built-in pattern matching; works offline
   processCommand(input) {
     const command = input.trim();
     const lowerCommand = command.toLowerCase();
@@ -209,6 +415,12 @@ export class AIAgent {
   }
 
   handleCreation(intent, entities, context) {
+    // Saved prefabs take precedence ("place my market stall here")
+    const prefab = intent.matches[2] && this.worldsmith.findPrefab(intent.matches[2]);
+    if (prefab) {
+      return this.handlePrefabPlacement(prefab, intent.matches[2]);
+    }
+    
     const objectToCreate = entities.objects[0] || intent.matches[2] || 'cube';
     
     // Build enhanced description
@@ -245,6 +457,30 @@ export class AIAgent {
     this.updatePatterns('creation', objectToCreate);
   }
 
+  // The saved prefab a command asks the built-in patterns to place, as
+  // { prefab, position }, or null
+  findPrefabRequest(input) {
+    const intent = this.analyzeIntent(input.trim());
+    if (intent.type !== 'creation' || !intent.matches[2]) return null;
+    
+    const prefab = this.worldsmith.findPrefab(intent.matches[2]);
+    return prefab ? { prefab, position: this.getPrefabPosition(intent.matches[2]) } : null;
+  }
+  
+  // "here" means under the cursor, otherwise the middle of the view
+  getPrefabPosition(request) {
+    return /\bhere\b/i.test(request) ? this.worldsmith.getCursorTarget() : this.worldsmith.getViewTarget();
+  }
+  
+  handlePrefabPlacement(prefab, request) {
+    this.worldsmith.spawnPrefab(prefab.id, this.getPrefabPosition(request)).then(objects => {
+      if (objects) {
+        this.respond(`Placed your ${prefab.name} (${objects.length} objects). One undo removes it all.`);
+        this.updatePatterns('creation', prefab.name);
+      }
+    });
+  }
+
   handleModification(intent, entities, context) {
     if (!context.selectedObject) {
       this.respond("Please select an object first by clicking on it, then I can help you modify it!");
@@ -252,19 +488,22 @@ export class AIAgent {
     }
 
     const modification = intent.matches[2] || 'changed';
+    const object = context.selectedObject;
+    const commands = this.worldsmith.commands;
     
-    // Apply modifications based on entities
-    if (entities.colors.length > 0) {
-      const color = this.getColorHex(entities.colors[0]);
-      if (context.selectedObject.material) {
-        context.selectedObject.material.color.setHex(color);
+    // Apply modifications based on entities, as one undoable step
+    commands.batch(`Rosie: ${intent.matches[0]}`, () => {
+      if (entities.colors.length > 0 && object.material) {
+        commands.setProperty(object, 'color', this.getColorHex(entities.colors[0]));
       }
-    }
 
-    if (entities.sizes.length > 0) {
-      const sizeMultiplier = this.getSizeMultiplier(entities.sizes[0]);
-      context.selectedObject.scale.multiplyScalar(sizeMultiplier);
-    }
+      if (entities.sizes.length > 0) {
+        const sizeMultiplier = this.getSizeMultiplier(entities.sizes[0]);
+        commands.transformObject(object, {
+          scale: { x: object.scale.x * sizeMultiplier, y: object.scale.y * sizeMultiplier, z: object.scale.z * sizeMultiplier }
+        });
+      }
+    });
 
     this.respond(`Modified the selected object as requested! The ${context.selectedObject.userData.name || 'object'} has been ${modification}.`);
   }
@@ -279,7 +518,9 @@ export class AIAgent {
     if (entities.positions.length > 0) {
       const position = entities.positions[0];
       const newPos = this.calculatePosition(position, context);
-      context.selectedObject.position.copy(newPos);
+      this.worldsmith.commands.transformObject(context.selectedObject, {
+        position: { x: newPos.x, y: newPos.y, z: newPos.z }
+      }, `Rosie: move ${position}`);
       
       this.respond(`Moved the object to ${position}. You can also drag objects by clicking and holding!`);
     }
@@ -301,16 +542,19 @@ export class AIAgent {
   handleEnvironment(intent, entities, context) {
     const environmentChange = intent.matches[2] || intent.matches[1];
     
-    if (environmentChange.includes('night') || environmentChange.includes('dark')) {
-      this.worldsmith.setTimeOfDay('night');
-      this.respond("🌙 Setting to nighttime. The moonlight creates such a peaceful atmosphere!");
-    } else if (environmentChange.includes('day') || environmentChange.includes('morning')) {
-      this.worldsmith.setTimeOfDay('day');
-      this.respond("☀️ Brightening to daytime! Perfect lighting for building.");
-    } else if (environmentChange.includes('rain') || environmentChange.includes('storm')) {
-      this.worldsmith.addWeatherEffect('rain');
-      this.respond("🌧️ Adding rain effect. The sound of rain makes everything more atmospheric!");
-    }
+    // One undoable step, like objects Rosie creates
+    this.worldsmith.historyManager.executeGroupedAction(`Rosie: ${intent.matches[0]}`, () => {
+      if (environmentChange.includes('night') || environmentChange.includes('dark')) {
+        this.worldsmith.setTimeOfDay(0.0);
+        this.respond("🌙 Setting to nighttime. The moonlight creates such a peaceful atmosphere!");
+      } else if (environmentChange.includes('day') || environmentChange.includes('morning')) {
+        this.worldsmith.setTimeOfDay(0.5);
+        this.respond("☀️ Brightening to daytime! Perfect lighting for building.");
+      } else if (environmentChange.includes('rain') || environmentChange.includes('storm')) {
+        this.worldsmith.setWeather('rain');
+        this.respond("🌧️ Adding rain effect. The sound of rain makes everything more atmospheric!");
+      }
+    });
   }
 
   handleQuestion(intent, entities, context) {
@@ -441,35 +685,33 @@ export class AIAgent {
   }
 
   createDuplicates(originalObject, count, pattern) {
-    const clones = [];
+    const offsets = [];
     
     for (let i = 1; i <= count; i++) {
-      const clone = originalObject.clone();
+      const offset = { x: 0, y: 0, z: 0 };
       
       switch(pattern) {
         case 'line':
-          clone.position.x = originalObject.position.x + (i * 3);
+          offset.x = i * 3;
           break;
         case 'grid':
           const gridSize = Math.ceil(Math.sqrt(count));
-          clone.position.x = originalObject.position.x + ((i % gridSize) * 3);
-          clone.position.z = originalObject.position.z + (Math.floor(i / gridSize) * 3);
+          offset.x = (i % gridSize) * 3;
+          offset.z = Math.floor(i / gridSize) * 3;
           break;
         case 'circle':
           const angle = (i / count) * Math.PI * 2;
           const radius = 5;
-          clone.position.x = originalObject.position.x + Math.cos(angle) * radius;
-          clone.position.z = originalObject.position.z + Math.sin(angle) * radius;
+          offset.x = Math.cos(angle) * radius;
+          offset.z = Math.sin(angle) * radius;
           break;
       }
       
-      this.worldsmith.scene.add(clone);
-      this.worldsmith.createdObjects.push(clone);
-      clones.push(clone);
+      offsets.push(offset);
     }
     
-    this.worldsmith.updateObjectCount();
-    return clones;
+    // Copies are recorded as one undoable step
+    return this.worldsmith.commands.duplicateObjects([originalObject], offsets, `Rosie: ${count} copies in a ${pattern}`) || [];
   }
 
   updatePatterns(action, object) {
@@ -0,0 +1,229 @@
+import { createProceduralAsset } from './proceduralAssets.js';
+
+/**
+ * AssetManager - registers glTF models under a name in the shared
+ * loadedAssets map and keeps their source so worlds can embed them
+ *
+ * Bundled models come from a local manifest (public/assets/manifest.json):
+ * { "assets": [{ "name", "path", "scale", "category", "animations": [] }] }
+ */
+export class AssetManager {
+  constructor(assetLoader, loadedAssets) {
+    this.assetLoader = assetLoader;
+    this.loadedAssets = loadedAssets;
+
+    // name -> { name, fileName, source: 'embedded' | 'url', data?, url? }
+    this.assetSources = new Map();
+
+    // name -> manifest entry for bundled assets
+    this.manifestEntries = new Map();
+    this.cacheName = 'worldsmith-assets-v1';
+  }
+
+  async fetchManifest(url) {
+    const response = await this.fetchWithCache(url);
+    const manifest = JSON.parse(new TextDecoder().decode(response));
+    if (!manifest || !Array.isArray(manifest.assets)) {
+      throw new Error('Manifest has no "assets" list');
+    }
+    return manifest;
+  }
+
+  // Fetch a file and keep a copy in Cache Storage; the cached copy is served
+  // when the network request fails so assets keep working offline
+  async fetchWithCache(url) {
+    const cache = typeof caches !== 'undefined' ? await caches.open(this.cacheName).catch(() => null) : null;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`${url} (${response.status})`);
+      }
+
+      if (cache) {
+        await cache.put(url, response.clone()).catch(() => {});
+      }
+      return await response.arrayBuffer();
+    } catch (error) {
+      const cached = cache ? await cache.match(url) : null;
+      if (!cached) throw error;
+      return cached.arrayBuffer();
+    }
+  }
+
+  // Load every asset in the manifest. Missing files fall back to procedural
+  // stand-ins. onProgress(done, total, name) is called after each asset.
+  async loadManifest(url, onProgress = null) {
+    let entries;
+    try {
+      entries = (await this.fetchManifest(url)).assets;
+    } catch (error) {
+      console.warn(`Asset manifest unavailable (${error.message}); using procedural stand-ins`);
+      entries = ['wizard', 'dragon', 'ghost', 'cube_guy'].map(name => ({ name, scale: 2, category: 'npcs', animations: [] }));
+    }
+
+    const baseURL = new URL(url, document.baseURI);
+    const summary = { loaded: [], procedural: [], failed: [] };
+    let done = 0;
+
+    await Promise.all(entries.map(async (entry) => {
+      this.manifestEntries.set(entry.name, entry);
+
+      try {
+        if (!entry.path) throw new Error('no path');
+
+        const fileURL = new URL(entry.path, baseURL).href;
+        const buffer = await this.fetchWithCache(fileURL);
+        const gltf = await this.parse(buffer, fileURL.substring(0, fileURL.lastIndexOf('/') + 1));
+        this.registerBundled(entry, gltf);
+        summary.loaded.push(entry.name);
+      } catch (error) {
+        const standIn = createProceduralAsset(entry.name);
+        if (standIn) {
+          this.registerBundled(entry, standIn);
+          summary.procedural.push(entry.name);
+        } else {
+          summary.failed.push(`${entry.name}: ${error.message}`);
+        }
+      }
+
+      done++;
+      if (onProgress) onProgress(done, entries.length, entry.name);
+    }));
+
+    return summary;
+  }
+
+  registerBundled(entry, gltf) {
+    gltf.userData = {
+      ...(gltf.userData || {}),
+      scale: entry.scale,
+      category: entry.category,
+      animations: entry.animations || []
+    };
+    this.loadedAssets.set(entry.name, gltf);
+  }
+
+  isModelFile(file) {
+    return /\.(glb|gltf)$/i.test(file.name);
+  }
+
+  // Default asset name from a file name: "My Tree.glb" -> "my_tree"
+  suggestName(fileName) {
+    return fileName
+      .replace(/\.(glb|gltf)$/i, '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'model';
+  }
+
+  parse(buffer, path = '') {
+    return new Promise((resolve, reject) => {
+      this.assetLoader.parse(buffer, path, resolve, (error) => {
+        reject(error instanceof Error ? error : new Error('Failed to parse model'));
+      });
+    });
+  }
+
+  // Register a dropped or picked .glb/.gltf file. Self-contained files only:
+  // external buffers and textures of a .gltf cannot be resolved from a File.
+  async importFile(file, name) {
+    if (!this.isModelFile(file)) {
+      throw new Error(`${file.name} is not a .glb or .gltf file`);
+    }
+
+    const buffer = await file.arrayBuffer();
+    const gltf = await this.parse(buffer);
+
+    this.loadedAssets.set(name, gltf);
+    this.assetSources.set(name, {
+      name: name,
+      fileName: file.name,
+      source: 'embedded',
+      data: arrayBufferToBase64(buffer)
+    });
+
+    return gltf;
+  }
+
+  // Register a model that saved worlds should reference by URL
+  async importURL(url, name) {
+    const gltf = await this.assetLoader.loadAsync(url);
+
+    this.loadedAssets.set(name, gltf);
+    this.assetSources.set(name, {
+      name: name,
+      fileName: url.split('/').pop(),
+      source: 'url',
+      url: url
+    });
+
+    return gltf;
+  }
+
+  // Asset entries for a world file, limited to the names it uses
+  serializeAssets(usedNames) {
+    const entries = [];
+    new Set(usedNames).forEach(name => {
+      const source = this.assetSources.get(name);
+      if (source) entries.push({ ...source });
+    });
+    return entries;
+  }
+
+  // Register the assets stored in a world file before its objects are built.
+  // Names already registered (bundled or imported) keep their model: the file
+  // may still be cancelled, merged or only compared, and must not replace
+  // what the current world uses. Returns a message per model that failed to
+  // load or was passed over for a different one of the same name.
+  async loadSerializedAssets(entries = []) {
+    const results = await Promise.allSettled(entries.map(async (entry) => {
+      if (this.loadedAssets.has(entry.name)) {
+        const current = this.assetSources.get(entry.name);
+        const isSame = current && current.source === entry.source &&
+          (entry.source === 'url' ? current.url === entry.url : current.data === entry.data);
+        if (!isSame) throw new Error('another model with this name is already loaded and was used instead');
+        return;
+      }
+
+      let gltf;
+      if (entry.source === 'url') {
+        gltf = await this.assetLoader.loadAsync(entry.url);
+      } else {
+        gltf = await this.parse(base64ToArrayBuffer(entry.data));
+      }
+
+      this.loadedAssets.set(entry.name, gltf);
+      this.assetSources.set(entry.name, { ...entry });
+    }));
+
+    return results
+      .map((result, i) => result.status === 'rejected' ? `${entries[i].name}: ${result.reason.message}` : null)
+      .filter(Boolean);
+  }
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const chunkSize = 0x8000;
+  let binary = '';
+
+  // Chunked to stay under the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+
+  return btoa(binary);
+}
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes.buffer;
+}
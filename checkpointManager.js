@@ -0,0 +1,169 @@
+/**
+ * CheckpointManager - named restore points of the whole world
+ *
+ * checkpoint: {
+ *   id, name, timestamp,
+ *   thumbnail: 'data:image/jpeg;base64,...' | null,
+ *   objects: [snapshot],             // HistoryManager.createObjectSnapshot
+ *   environment: { timeOfDay, weather, ... } | null   // getEnvironmentState
+ * }
+ *
+ * Checkpoints are saved with the world (world file `checkpoints`, see
+ * worldSchema.js). Restoring one is a single undoable step; objects that
+ * have not changed since the checkpoint are left alone.
+ */
+export class CheckpointManager {
+  constructor(worldsmith) {
+    this.worldsmith = worldsmith;
+    this.checkpoints = [];
+  }
+
+  createCheckpoint(name) {
+    const worldsmith = this.worldsmith;
+    const checkpoint = {
+      id: Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6),
+      name: name,
+      timestamp: Date.now(),
+      thumbnail: worldsmith.captureThumbnail(),
+      objects: worldsmith.createdObjects.map(obj => worldsmith.historyManager.createObjectSnapshot(obj)),
+      environment: worldsmith.getEnvironmentState()
+    };
+
+    this.checkpoints.push(checkpoint);
+    this.notifyChange();
+    return checkpoint;
+  }
+
+  getCheckpoint(id) {
+    return this.checkpoints.find(checkpoint => checkpoint.id === id) || null;
+  }
+
+  deleteCheckpoint(id) {
+    const index = this.checkpoints.findIndex(checkpoint => checkpoint.id === id);
+    if (index === -1) return false;
+
+    this.checkpoints.splice(index, 1);
+    this.notifyChange();
+    return true;
+  }
+
+  // Bring the world back to a checkpoint as one undoable step. Returns
+  // { created, removed, moved } counts, or null for an unknown id.
+  restoreCheckpoint(id) {
+    const checkpoint = this.getCheckpoint(id);
+    if (!checkpoint) return null;
+
+    const worldsmith = this.worldsmith;
+    const history = worldsmith.historyManager;
+    const commands = worldsmith.commands;
+    const saved = new Map(checkpoint.objects.map(snapshot => [snapshot.id, snapshot]));
+    const counts = { created: 0, removed: 0, moved: 0 };
+
+    commands.batch(`Restore checkpoint: ${checkpoint.name}`, () => {
+      [...worldsmith.createdObjects].forEach(obj => {
+        const current = history.createObjectSnapshot(obj);
+        const snapshot = saved.get(current.id);
+
+        if (snapshot && contentKey(snapshot) === contentKey(current)) {
+          saved.delete(current.id);
+          if (transformKey(snapshot) !== transformKey(current)) {
+            const { position, rotation, scale } = snapshot;
+            commands.transformObject(obj, { position, rotation, scale });
+            counts.moved++;
+          }
+          return;
+        }
+
+        // Gone since the checkpoint, or edited beyond a move: rebuilt below
+        counts.removed += commands.deleteObjects([obj]);
+      });
+
+      saved.forEach(snapshot => {
+        if (commands.execute({ type: 'create', snapshot })) counts.created++;
+      });
+
+      if (checkpoint.environment) {
+        worldsmith.applyEnvironmentState(checkpoint.environment);
+      }
+    });
+
+    return counts;
+  }
+
+  // World file contents holding the checkpoint's objects, for previews and
+  // forks. Objects are built off-scene to get their world file entries.
+  buildCheckpointWorld(id, name = null) {
+    const checkpoint = this.getCheckpoint(id);
+    if (!checkpoint) return null;
+
+    const worldsmith = this.worldsmith;
+    const objects = checkpoint.objects
+      .map(snapshot => worldsmith.historyManager.buildObjectFromSnapshot(snapshot))
+      .filter(Boolean);
+
+    const usedAssets = objects
+      .filter(obj => obj.userData.assetType)
+      .map(obj => obj.userData.assetType);
+
+    const previousName = worldsmith.worldData.worldName;
+    worldsmith.worldData.worldName = name || `${previousName} (${checkpoint.name})`;
+    const world = worldsmith.worldData.serializeWorld(
+      objects,
+      null,
+      checkpoint.environment,
+      worldsmith.assetManager.serializeAssets(usedAssets)
+    );
+    worldsmith.worldData.worldName = previousName;
+
+    objects.forEach(obj => worldsmith.disposeObject(obj));
+    return world;
+  }
+
+  // Model names the checkpoints need, so saving keeps their imported models
+  getUsedAssets() {
+    const names = new Set();
+    this.checkpoints.forEach(checkpoint => {
+      checkpoint.objects.forEach(snapshot => {
+        if (snapshot.userData.assetType) names.add(snapshot.userData.assetType);
+      });
+    });
+    return [...names];
+  }
+
+  serializeCheckpoints() {
+    return this.checkpoints.map(checkpoint => ({ ...checkpoint }));
+  }
+
+  // Replace the checkpoints with those of a loaded world
+  loadCheckpoints(checkpoints) {
+    this.checkpoints = Array.isArray(checkpoints) ? checkpoints.map(checkpoint => ({ ...checkpoint })) : [];
+
+    // New objects must not take the ids of objects a restore brings back
+    this.checkpoints.forEach(checkpoint => {
+      this.worldsmith.historyManager.reserveObjectIds(checkpoint.objects.map(snapshot => snapshot.id));
+    });
+    this.notifyChange();
+  }
+
+  notifyChange() {
+    document.dispatchEvent(new CustomEvent('checkpointsChanged', {
+      detail: { count: this.checkpoints.length }
+    }));
+  }
+}
+
+// Everything about a snapshot except where it stands. Visibility is left
+// out: frustum culling toggles it while the editor runs.
+function contentKey(snapshot) {
+  const { position, rotation, scale, visible, node, ...rest } = snapshot;
+  let nodeContent = null;
+  if (node) {
+    const { position: p, rotation: r, scale: s, visible: v, ...nodeRest } = node;
+    nodeContent = nodeRest;
+  }
+  return JSON.stringify({ ...rest, node: nodeContent });
+}
+
+function transformKey(snapshot) {
+  return JSON.stringify([snapshot.position, snapshot.rotation, snapshot.scale]);
+}
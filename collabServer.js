@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+/**
+ * Worldsmith live session relay - a small WebSocket server that lets several
+ * editors work on the same world. It has no dependencies beyond Node.
+ *
+ *   node collabServer.js [--port 8787] [--host 0.0.0.0]
+ *
+ * Editors connect to ws://<host>:<port>/<room>. The first one in a room
+ * brings its world along; everyone joining later gets the room's copy. The
+ * relay keeps that copy up to date from the changes it forwards and puts
+ * every change in one order, so all editors end up with the same world:
+ * when two people change the same thing, the change the relay got last wins.
+ *
+ * Messages (JSON text frames):
+ *   editor -> relay
+ *     { type: 'hello', name, objects: [snapshot] }
+ *     { type: 'op', op }               // op: see applyOperation
+ *     { type: 'presence', position, heading, selection: [historyId] }
+ *   relay -> editor
+ *     { type: 'welcome', clientId, color, host, objects, peers }
+ *     { type: 'op', op, seq, clientId }
+ *     { type: 'ack', seq }             // one per op sent, in order...
+ *     { type: 'reject', seq, id, snapshot } // ...or this for an op it refused:
+ *                                      // the room's copy of the object (null if gone)
+ *     { type: 'join', peer } | { type: 'leave', clientId }
+ *     { type: 'presence', clientId, position, heading, selection }
+ */
+
+const USAGE = `Usage: node collabServer.js [--port 8787] [--host 0.0.0.0]
+
+Editors join with "👥 Join Live Session" in the command palette and the
+address ws://<this machine>:<port>/<room>.`;
+
+const DEFAULT_PORT = 8787;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024 * 1024; // a whole world arrives with hello
+const HEARTBEAT_INTERVAL = 30000;
+const PEER_COLORS = ['#e74c3c', '#2ecc71', '#f1c40f', '#9b59b6', '#e67e22', '#1abc9c', '#e84393', '#3498db'];
+
+// One editor connection: WebSocket handshake done, frames in and out
+class RelaySocket {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.chunks = []; // received data not yet read as frames
+    this.bufferedBytes = 0;
+    this.needed = 2; // bytes the next frame needs at least
+    this.fragments = [];
+    this.fragmentBytes = 0;
+    this.isAlive = true;
+    this.closed = false;
+
+    socket.on('data', (data) => this.receive(data));
+    // Upgraded sockets stay half open; an editor gone without a close frame
+    // only shows up as 'end'
+    socket.on('end', () => this.terminate());
+    socket.on('close', () => this.handleClose());
+    socket.on('error', () => this.handleClose());
+  }
+
+  receive(data) {
+    this.chunks.push(data);
+    this.bufferedBytes += data.length;
+
+    // Chunks are joined only once a whole frame may be there, so a large
+    // hello is not copied again with every chunk
+    while (!this.closed && this.bufferedBytes >= this.needed) {
+      const buffer = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.bufferedBytes);
+      const frame = readFrame(buffer);
+      if (frame.error) {
+        this.close(frame.error.code, frame.error.reason);
+        return;
+      }
+      if (frame.needed) {
+        this.chunks = [buffer];
+        this.needed = frame.needed;
+        return;
+      }
+
+      const rest = buffer.subarray(frame.length);
+      this.chunks = rest.length > 0 ? [rest] : [];
+      this.bufferedBytes = rest.length;
+      this.needed = 2;
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame(frame) {
+    switch (frame.opcode) {
+      case 0x0: // continuation
+      case 0x1: // text
+        if (frame.opcode === 0x1 && this.fragments.length > 0) {
+          this.close(1002, 'Unfinished message');
+          return;
+        }
+        this.fragments.push(frame.payload);
+        this.fragmentBytes += frame.payload.length;
+        if (this.fragmentBytes > MAX_MESSAGE_BYTES) {
+          this.close(1009, 'Message too large');
+          return;
+        }
+        if (frame.fin) {
+          const text = Buffer.concat(this.fragments, this.fragmentBytes).toString('utf8');
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.onMessage(text);
+        }
+        break;
+      case 0x2:
+        this.close(1003, 'Only text messages are supported');
+        break;
+      case 0x8:
+        this.close(1000, '');
+        break;
+      case 0x9:
+        this.write(0xA, frame.payload);
+        break;
+      case 0xA:
+        this.isAlive = true;
+        break;
+      default:
+        this.close(1002, 'Unknown frame');
+    }
+  }
+
+  send(message) {
+    this.write(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+  }
+
+  ping() {
+    this.write(0x9, Buffer.alloc(0));
+  }
+
+  write(opcode, payload) {
+    if (this.closed || this.socket.destroyed) return;
+    this.socket.write(encodeFrame(opcode, payload));
+  }
+
+  close(code, reason) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.write(0x8, payload);
+    this.socket.end();
+    this.handleClose();
+  }
+
+  terminate() {
+    this.socket.destroy();
+    this.handleClose();
+  }
+
+  handleClose() {
+    if (this.closed) return;
+    this.closed = true;
+    this.onClose();
+  }
+}
+
+// Next complete frame at the start of buffer: { fin, opcode, payload,
+// length }, { error } for a frame to refuse, or { needed } with the buffer
+// size to wait for
+function readFrame(buffer) {
+  if (buffer.length < 2) return { needed: 2 };
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (!masked) return { error: { code: 1002, reason: 'Editor frames must be masked' } };
+
+  if (length === 126) {
+    if (buffer.length < 4) return { needed: 4 };
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return { needed: 10 };
+    const longLength = buffer.readBigUInt64BE(2);
+    if (longLength > BigInt(MAX_MESSAGE_BYTES)) return { error: { code: 1009, reason: 'Message too large' } };
+    length = Number(longLength);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) return { error: { code: 1009, reason: 'Message too large' } };
+
+  if (buffer.length < offset + 4 + length) return { needed: offset + 4 + length };
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+  }
+
+  return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isVector(value) {
+  return isObject(value) && ['x', 'y', 'z'].every(axis => Number.isFinite(value[axis]));
+}
+
+// What editors need to rebuild an object from a snapshot
+function isValidSnapshot(snapshot) {
+  return isObject(snapshot) &&
+    typeof snapshot.id === 'string' &&
+    isObject(snapshot.userData) &&
+    isVector(snapshot.position) &&
+    isVector(snapshot.rotation) &&
+    isVector(snapshot.scale);
+}
+
+// Apply an op to a room's snapshots (HistoryManager.createObjectSnapshot).
+// Returns false for ops on objects that are gone and for malformed ops;
+// they are not forwarded.
+//   { kind: 'create', snapshot }
+//   { kind: 'delete', id }
+//   { kind: 'transform', id, transform: { pos, rot, scale } }
+//   { kind: 'property', id, key: 'color' | 'visible' | 'name', value }
+export function applyOperation(objects, op) {
+  if (!isObject(op)) return false;
+
+  if (op.kind === 'create') {
+    if (!isValidSnapshot(op.snapshot)) return false;
+    objects.set(op.snapshot.id, op.snapshot);
+    return true;
+  }
+
+  const snapshot = objects.get(op.id);
+  if (!snapshot) return false;
+
+  switch (op.kind) {
+    case 'delete':
+      objects.delete(op.id);
+      return true;
+    case 'transform': {
+      const transform = op.transform;
+      if (!isObject(transform) || !isVector(transform.pos) || !isVector(transform.rot) || !isVector(transform.scale)) {
+        return false;
+      }
+      snapshot.position = transform.pos;
+      snapshot.rotation = transform.rot;
+      snapshot.scale = transform.scale;
+      return true;
+    }
+    case 'property':
+      if (op.key === 'color' && Number.isFinite(op.value)) {
+        if (snapshot.material) snapshot.material.color = op.value;
+      } else if (op.key === 'visible' && typeof op.value === 'boolean') {
+        snapshot.visible = op.value;
+      } else if (op.key === 'name' && typeof op.value === 'string') {
+        snapshot.userData.name = op.value;
+      } else {
+        return false;
+      }
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Start the relay; resolves with the listening http.Server
+export function startRelay({ port = DEFAULT_PORT, host, log = console.log } = {}) {
+  const rooms = new Map(); // name -> { name, clients: Map, objects: Map, seq }
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Worldsmith live session relay - connect with a WebSocket\n');
+  });
+
+  server.on('upgrade', (req, socket, head) => {
+    const key = req.headers['sec-websocket-key'];
+    let roomName;
+    try {
+      roomName = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1)) || 'main';
+    } catch (error) {
+      roomName = null; // e.g. a broken percent escape
+    }
+    if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key || roomName === null) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    const client = { id: randomBytes(3).toString('hex'), name: null, color: null, presence: null };
+    let room = null;
+
+    client.socket = new RelaySocket(socket, (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return;
+      }
+      if (!message || typeof message !== 'object') return;
+
+      // A message that trips up the relay costs only its sender the session
+      try {
+        if (message.type === 'hello' && !room) {
+          room = joinRoom(roomName, client, message);
+        } else if (room) {
+          handleMessage(room, client, message);
+        }
+      } catch (error) {
+        log(`Dropped ${client.name || 'an editor'}: ${error.message}`);
+        client.socket.close(1011, 'Message could not be handled');
+      }
+    }, () => {
+      if (room) leaveRoom(room, client);
+    });
+    socket.setNoDelay(true);
+    if (head.length > 0) client.socket.receive(head);
+  });
+
+  function joinRoom(name, client, hello) {
+    let room = rooms.get(name);
+    const host = !room;
+    if (!room) {
+      room = { name, clients: new Map(), objects: new Map(), seq: 0 };
+      (Array.isArray(hello.objects) ? hello.objects : []).forEach(snapshot => {
+        applyOperation(room.objects, { kind: 'create', snapshot });
+      });
+      rooms.set(name, room);
+    }
+
+    const usedColors = [...room.clients.values()].map(peer => peer.color);
+    client.name = String(hello.name || 'Builder').slice(0, 40);
+    client.color = PEER_COLORS.find(color => !usedColors.includes(color)) || PEER_COLORS[room.clients.size % PEER_COLORS.length];
+
+    client.socket.send({
+      type: 'welcome',
+      clientId: client.id,
+      color: client.color,
+      host,
+      objects: host ? [] : [...room.objects.values()],
+      peers: [...room.clients.values()].map(describePeer)
+    });
+    broadcast(room, { type: 'join', peer: describePeer(client) });
+    room.clients.set(client.id, client);
+
+    log(`${client.name} joined "${name}" (${room.clients.size} editing${host ? `, ${room.objects.size} objects` : ''})`);
+    return room;
+  }
+
+  function leaveRoom(room, client) {
+    room.clients.delete(client.id);
+    broadcast(room, { type: 'leave', clientId: client.id });
+    log(`${client.name} left "${room.name}"`);
+
+    // Rooms live as long as someone is in them
+    if (room.clients.size === 0) rooms.delete(room.name);
+  }
+
+  function handleMessage(room, client, message) {
+    if (message.type === 'op' && message.op) {
+      const seq = ++room.seq;
+      const op = message.op;
+      if (applyOperation(room.objects, op)) {
+        broadcast(room, { type: 'op', op, seq, clientId: client.id }, client);
+        client.socket.send({ type: 'ack', seq });
+      } else {
+        // The sender has applied it already and rolls back to the room's copy
+        const id = isObject(op) ? (op.kind === 'create' && isObject(op.snapshot) ? op.snapshot.id : op.id) : null;
+        client.socket.send({
+          type: 'reject',
+          seq,
+          id: typeof id === 'string' ? id : null,
+          snapshot: typeof id === 'string' ? room.objects.get(id) || null : null
+        });
+      }
+    } else if (message.type === 'presence') {
+      client.presence = {
+        position: isVector(message.position) ? message.position : null,
+        heading: Number(message.heading) || 0,
+        selection: Array.isArray(message.selection) ? message.selection.filter(id => typeof id === 'string') : []
+      };
+      broadcast(room, { type: 'presence', clientId: client.id, ...client.presence }, client);
+    }
+  }
+
+  function broadcast(room, message, except = null) {
+    room.clients.forEach(peer => {
+      if (peer !== except) peer.socket.send(message);
+    });
+  }
+
+  // Drop editors that stopped answering (closed laptop lids, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    rooms.forEach(room => room.clients.forEach(client => {
+      if (!client.socket.isAlive) {
+        client.socket.terminate();
+        return;
+      }
+      client.socket.isAlive = false;
+      client.socket.ping();
+    }));
+  }, HEARTBEAT_INTERVAL);
+  server.on('close', () => clearInterval(heartbeat));
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+function describePeer(client) {
+  return { id: client.id, name: client.name, color: client.color, presence: client.presence };
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', short: 'p' },
+      host: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = values.port ? Number(values.port) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port "${values.port}"`);
+
+  const server = await startRelay({ port, host: values.host });
+  console.log(`Worldsmith live session relay on ws://localhost:${server.address().port}/<room>`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`collab relay: ${error.message}`);
+    process.exitCode = 2;
+  });
+}
@@ -0,0 +1,499 @@
+import * as THREE from 'three';
+
+const PRESENCE_INTERVAL = 0.1; // seconds between presence updates
+const AVATAR_SMOOTHING = 10; // how fast avatars catch up with their owner
+
+/**
+ * CollabSession - live editing of one world with other people through the
+ * relay in collabServer.js
+ *
+ * Every object change made here (commands, undo and redo) is sent to the
+ * relay as an op, and ops from the others are applied without entering the
+ * local undo history, so Ctrl+Z only takes back your own changes. The relay
+ * orders all ops; a change still waiting for its acknowledgement wins over
+ * an incoming one to the same thing, because the relay will pass it on
+ * after that one. Undo and redo leave alone what someone else has changed
+ * since. An op the relay refuses is rolled back to the room's copy of the
+ * object. Environment and terrain edits stay local.
+ *
+ * Others are shown as avatars in their colour, with boxes around the
+ * objects they have selected.
+ */
+export class CollabSession {
+  constructor(worldsmith) {
+    this.worldsmith = worldsmith;
+    this.socket = null;
+    this.isConnected = false;
+    this.clientId = null;
+    this.color = null;
+    this.name = null;
+    this.peers = new Map(); // clientId -> { id, name, color, presence, avatar, highlights }
+    this.overlay = null; // avatars and selection boxes
+
+    this.pending = []; // keys of sent ops the relay has not acknowledged, oldest first
+    this.remoteWrites = new Map(); // key -> when another user last changed it
+    this.incoming = []; // ops held back while the time-lapse owns the scene
+    this.presenceTimer = 0;
+    this.lastPresence = null;
+
+    document.addEventListener('historyChangeApplied', (e) => {
+      if (!this.isConnected) return;
+      const op = operationFor(e.detail.change, e.detail.direction);
+      if (op) this.sendOperation(op);
+    });
+  }
+
+  // Join the room at url (ws://host:port/room). Resolves with { host, peers }
+  // once the relay has let us in; host is true if we brought the world.
+  connect(url, name) {
+    if (this.socket) return Promise.reject(new Error('Already in a live session'));
+
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(url);
+      } catch (error) {
+        reject(new Error(`Invalid session address: ${url}`));
+        return;
+      }
+
+      this.socket = socket;
+      this.name = name;
+
+      socket.addEventListener('open', () => {
+        const history = this.worldsmith.historyManager;
+        this.send({
+          type: 'hello',
+          name,
+          objects: this.worldsmith.createdObjects.map(object => history.createObjectSnapshot(object))
+        });
+      });
+
+      socket.addEventListener('message', (e) => {
+        if (this.socket !== socket) return;
+
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch (error) {
+          return;
+        }
+
+        if (message.type === 'welcome') {
+          this.handleWelcome(message);
+          resolve({ host: message.host, peers: this.peers.size });
+        } else if (this.isConnected) {
+          this.handleMessage(message);
+        }
+      });
+
+      socket.addEventListener('close', () => {
+        if (this.socket !== socket) return;
+
+        const wasConnected = this.isConnected;
+        this.reset();
+        if (wasConnected) {
+          this.notifyChange({ lost: true });
+        } else {
+          reject(new Error(`Could not reach ${url}`));
+        }
+      });
+    });
+  }
+
+  disconnect() {
+    const socket = this.socket;
+    if (!socket) return;
+
+    this.reset();
+    socket.close();
+    this.notifyChange();
+  }
+
+  reset() {
+    const history = this.worldsmith.historyManager;
+    history.changeFilter = null;
+    history.objectIdPrefix = 'obj_';
+
+    [...this.peers.keys()].forEach(id => this.removePeer(id));
+    if (this.overlay) {
+      this.worldsmith.scene.remove(this.overlay);
+      this.overlay = null;
+    }
+
+    this.socket = null;
+    this.isConnected = false;
+    this.clientId = null;
+    this.pending = [];
+    this.remoteWrites.clear();
+    this.incoming = [];
+    this.lastPresence = null;
+  }
+
+  handleWelcome(message) {
+    const worldsmith = this.worldsmith;
+    const history = worldsmith.historyManager;
+
+    this.clientId = message.clientId;
+    this.color = message.color;
+    this.isConnected = true;
+
+    // Objects made here can't clash with the ones other users make
+    history.objectIdPrefix = `obj_${message.clientId}_`;
+    history.changeFilter = (change, transaction) => !this.isSuperseded(change, transaction);
+
+    this.overlay = new THREE.Group();
+    this.overlay.name = 'collabOverlay';
+    worldsmith.scene.add(this.overlay);
+
+    if (!message.host) {
+      this.adoptWorld(message.objects);
+    }
+    message.peers.forEach(peer => this.addPeer(peer));
+
+    this.notifyChange();
+  }
+
+  // Replace this editor's objects with the room's
+  adoptWorld(snapshots) {
+    const worldsmith = this.worldsmith;
+
+    worldsmith.selectObject(null);
+    [...worldsmith.createdObjects].forEach(object => worldsmith.detachObject(object));
+    snapshots.forEach(snapshot => this.addObject(snapshot));
+
+    // Undo steps of the world we had would act on the shared one
+    worldsmith.historyManager.clearHistory();
+    worldsmith.updateObjectCount();
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'op':
+        // Ours is applied already and comes after this one at the relay
+        if (this.pending.includes(operationKey(message.op))) return;
+        this.remoteWrites.set(operationKey(message.op), Date.now());
+        this.receiveOperation(message.op);
+        break;
+      case 'ack':
+        this.pending.shift();
+        break;
+      case 'reject':
+        this.pending.shift();
+        if (!message.id) break;
+        this.worldsmith.log(`The live session refused a change to ${message.id}; it was rolled back`, 'warn');
+        // Our undo steps for it no longer match the shared world
+        this.remoteWrites.set(`object:${message.id}`, Date.now());
+        this.receiveOperation(message.snapshot
+          ? { kind: 'create', snapshot: message.snapshot }
+          : { kind: 'delete', id: message.id });
+        break;
+      case 'join':
+        this.addPeer(message.peer);
+        this.notifyChange({ joined: message.peer.name });
+        break;
+      case 'leave': {
+        const peer = this.peers.get(message.clientId);
+        this.removePeer(message.clientId);
+        if (peer) this.notifyChange({ left: peer.name });
+        break;
+      }
+      case 'presence': {
+        const peer = this.peers.get(message.clientId);
+        if (peer) this.setPeerPresence(peer, message);
+        break;
+      }
+    }
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  sendOperation(op) {
+    this.pending.push(operationKey(op));
+    this.send({ type: 'op', op });
+  }
+
+  receiveOperation(op) {
+    if (this.worldsmith.timeLapse && this.worldsmith.timeLapse.isActive) {
+      this.incoming.push(op);
+    } else {
+      this.applyOperation(op);
+    }
+  }
+
+  // Apply another user's op; it is not recorded in the undo history
+  applyOperation(op) {
+    const worldsmith = this.worldsmith;
+    const history = worldsmith.historyManager;
+
+    if (op.kind === 'create') {
+      // Built before the old version goes, which stays if this fails
+      const existing = worldsmith.findObjectById(op.snapshot.id);
+      if (!this.addObject(op.snapshot)) return;
+      if (existing) worldsmith.detachObject(existing);
+      worldsmith.updateObjectCount();
+      return;
+    }
+
+    const object = worldsmith.findObjectById(op.id);
+    if (!object) return;
+
+    if (op.kind === 'delete') {
+      worldsmith.detachObject(object);
+      history.trackedObjects.delete(op.id);
+      worldsmith.updateObjectCount();
+    } else if (op.kind === 'transform') {
+      object.position.set(op.transform.pos.x, op.transform.pos.y, op.transform.pos.z);
+      object.rotation.set(op.transform.rot.x, op.transform.rot.y, op.transform.rot.z);
+      object.scale.set(op.transform.scale.x, op.transform.scale.y, op.transform.scale.z);
+      worldsmith.commands.refreshProperties(object);
+    } else if (op.kind === 'property') {
+      history.setObjectProperty(object, op.key, op.value);
+      worldsmith.commands.refreshProperties(object);
+    }
+  }
+
+  // Returns the object, or null if the snapshot cannot be built here (e.g.
+  // a model this editor does not have)
+  addObject(snapshot) {
+    const worldsmith = this.worldsmith;
+    let object;
+    try {
+      object = worldsmith.historyManager.restoreObjectFromSnapshot(snapshot);
+    } catch (error) {
+      worldsmith.log(`Skipped shared object ${snapshot && snapshot.id}: ${error.message}`, 'error');
+      return null;
+    }
+    if (!object) return null;
+
+    worldsmith.scene.add(object);
+    worldsmith.createdObjects.push(object);
+    return object;
+  }
+
+  // HistoryManager.changeFilter: true if someone else changed what a local
+  // undo step touches after the step was made
+  isSuperseded(change, transaction) {
+    let keys;
+    if (change.type === 'create' || change.type === 'delete') {
+      keys = [`object:${change.id}`];
+    } else if (change.type === 'xform') {
+      keys = [`object:${change.id}`, `transform:${change.id}`];
+    } else if (change.type === 'prop') {
+      keys = [`object:${change.id}`, `${change.key}:${change.id}`];
+    } else {
+      return false;
+    }
+    return keys.some(key => (this.remoteWrites.get(key) || 0) > transaction.timestamp);
+  }
+
+  // Per frame: presence out, avatars and selection boxes in
+  update(deltaTime) {
+    if (!this.isConnected) return;
+
+    const timeLapse = this.worldsmith.timeLapse && this.worldsmith.timeLapse.isActive;
+    this.overlay.visible = !timeLapse;
+    if (timeLapse) return;
+
+    if (this.incoming.length > 0) {
+      const ops = this.incoming;
+      this.incoming = [];
+      ops.forEach(op => this.applyOperation(op));
+    }
+
+    this.peers.forEach(peer => this.updatePeer(peer, deltaTime));
+
+    this.presenceTimer += deltaTime;
+    if (this.presenceTimer >= PRESENCE_INTERVAL) {
+      this.presenceTimer = 0;
+      this.sendPresence();
+    }
+  }
+
+  sendPresence() {
+    const worldsmith = this.worldsmith;
+    const player = worldsmith.player;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const presence = {
+      position: { x: round(player.position.x), y: round(player.position.y), z: round(player.position.z) },
+      heading: round(player.rotation.y),
+      selection: worldsmith.getSelectedObjects().map(object => worldsmith.historyManager.getObjectId(object))
+    };
+
+    // Only when something moved or the selection changed
+    const text = JSON.stringify(presence);
+    if (text === this.lastPresence) return;
+    this.lastPresence = text;
+    this.send({ type: 'presence', ...presence });
+  }
+
+  addPeer(peer) {
+    const entry = {
+      id: peer.id,
+      name: peer.name,
+      color: peer.color,
+      presence: null,
+      avatar: createAvatar(peer.name, peer.color),
+      highlights: new Map() // historyId -> BoxHelper
+    };
+    entry.avatar.visible = false;
+    this.overlay.add(entry.avatar);
+    this.peers.set(peer.id, entry);
+
+    if (peer.presence) this.setPeerPresence(entry, peer.presence);
+  }
+
+  removePeer(id) {
+    const peer = this.peers.get(id);
+    if (!peer) return;
+
+    disposeTree(peer.avatar);
+    this.overlay.remove(peer.avatar);
+    peer.highlights.forEach(helper => {
+      disposeTree(helper);
+      this.overlay.remove(helper);
+    });
+    this.peers.delete(id);
+  }
+
+  setPeerPresence(peer, presence) {
+    const firstSighting = !peer.presence;
+    peer.presence = {
+      position: presence.position,
+      heading: presence.heading || 0,
+      selection: presence.selection || []
+    };
+
+    if (firstSighting && presence.position) {
+      peer.avatar.position.set(presence.position.x, presence.position.y, presence.position.z);
+    }
+    peer.avatar.visible = Boolean(presence.position);
+
+    // Selection boxes follow the peer's selection
+    peer.highlights.forEach((helper, id) => {
+      if (peer.presence.selection.includes(id)) return;
+      disposeTree(helper);
+      this.overlay.remove(helper);
+      peer.highlights.delete(id);
+    });
+    peer.presence.selection.forEach(id => {
+      if (peer.highlights.has(id)) return;
+      const helper = new THREE.BoxHelper(undefined, peer.color);
+      helper.visible = false;
+      this.overlay.add(helper);
+      peer.highlights.set(id, helper);
+    });
+  }
+
+  updatePeer(peer, deltaTime) {
+    if (peer.presence && peer.presence.position) {
+      const target = peer.presence.position;
+      peer.avatar.position.lerp(new THREE.Vector3(target.x, target.y, target.z), Math.min(1, deltaTime * AVATAR_SMOOTHING));
+      peer.avatar.rotation.y = peer.presence.heading;
+    }
+
+    // Objects come and go (and are rebuilt) under the boxes
+    peer.highlights.forEach((helper, id) => {
+      const object = this.worldsmith.findObjectById(id);
+      helper.visible = Boolean(object);
+      if (object) helper.setFromObject(object);
+    });
+  }
+
+  // Other users for the session bar, in joining order
+  getPeers() {
+    return [...this.peers.values()].map(peer => ({ id: peer.id, name: peer.name, color: peer.color }));
+  }
+
+  notifyChange(detail = {}) {
+    document.dispatchEvent(new CustomEvent('collabChanged', {
+      detail: { connected: this.isConnected, peers: this.peers.size, ...detail }
+    }));
+  }
+}
+
+// The op that brings other editors to the state after change was made
+// ('forward') or undone ('backward'); null for changes that are not shared
+function operationFor(change, direction) {
+  const forward = direction === 'forward';
+
+  switch (change.type) {
+    case 'create':
+      return forward ? { kind: 'create', snapshot: change.snapshotNew } : { kind: 'delete', id: change.id };
+    case 'delete':
+      return forward ? { kind: 'delete', id: change.id } : { kind: 'create', snapshot: change.snapshotOld };
+    case 'xform':
+      return { kind: 'transform', id: change.id, transform: forward ? change.next : change.prev };
+    case 'prop':
+      return { kind: 'property', id: change.id, key: change.key, value: forward ? change.next : change.prev };
+    default:
+      return null;
+  }
+}
+
+// What an op changes; two ops with the same key conflict
+function operationKey(op) {
+  switch (op.kind) {
+    case 'create':
+      return `object:${op.snapshot.id}`;
+    case 'delete':
+      return `object:${op.id}`;
+    case 'transform':
+      return `transform:${op.id}`;
+    case 'property':
+      return `${op.key}:${op.id}`;
+    default:
+      return op.kind;
+  }
+}
+
+// Capsule like the player's with a nose showing which way it faces and a
+// name tag above
+function createAvatar(name, color) {
+  const avatar = new THREE.Group();
+  avatar.name = `avatar_${name}`;
+
+  const material = new THREE.MeshLambertMaterial({ color, transparent: true, opacity: 0.85 });
+  const body = new THREE.Mesh(new THREE.CapsuleGeometry(0.4, 1.2, 4, 8), material);
+  avatar.add(body);
+
+  // The player's front is its local -z (see PlayerController)
+  const nose = new THREE.Mesh(new THREE.ConeGeometry(0.15, 0.4, 8), material);
+  nose.rotation.x = -Math.PI / 2;
+  nose.position.set(0, 0.4, -0.45);
+  avatar.add(nose);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'rgba(0,0,0,0.55)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = color;
+  context.font = 'bold 32px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 16);
+
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+  label.scale.set(2, 0.5, 1);
+  label.position.y = 1.5;
+  avatar.add(label);
+
+  return avatar;
+}
+
+function disposeTree(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      if (child.material.map) child.material.map.dispose();
+      child.material.dispose();
+    }
+  });
+}
@@ -1,13 +1,29 @@
 
 
 import * as THREE from 'three';
+import { serializeObject, deserializeObject } from './objectSerializer.js';
+import { diffTerrainHeights, mergeTerrainDeltas, applyTerrainDelta, isTerrainDelta } from './terrainDelta.js';
+
+// Environment fields undo can restore (see Worldsmith.setEnvironmentValue)
+const ENVIRONMENT_KEYS = ['timeOfDay', 'weather', 'lightingSettings', 'terrainSettings'];
 
 export class HistoryManager {
   constructor(worldsmith) {
     this.worldsmith = worldsmith;
+    
+    // Undo tree: every committed transaction is a node whose parentId is the
+    // transaction it was made after (null for the initial state). Branches
+    // survive new actions after an undo.
+    this.nodes = new Map(); // transaction id -> transaction
+    this.activeChildren = new Map(); // parent id ('root' for null) -> child id redo follows
+    this.currentNodeId = null;
+    
+    // Views of the current line: undoStack is the path from the initial state
+    // to here, redoStack the active branch ahead (next step last)
     this.undoStack = [];
     this.redoStack = [];
     this.maxHistorySize = 100;
+    this.maxBranchNodes = 400; // steps kept off the current line
     
     // Guard flags to prevent re-entrant recording
     this.isExecutingUndo = false;
@@ -22,28 +38,49 @@ export class HistoryManager {
     // Object tracking for change detection
     this.trackedObjects = new Map(); // id -> object reference
     this.nextObjectId = 1;
+    this.objectIdPrefix = 'obj_'; // per user in collaborative sessions
     
-    this.setupEventListeners();
+    // (change, transaction) => false to leave a change alone on undo/redo;
+    // collaborative sessions skip changes other users have overwritten since
+    this.changeFilter = null;
+    
+    // Upper bound for the history stored in world files and the crash
+    // journal; the oldest steps are dropped first
+    this.maxSavedHistoryBytes = 2 * 1024 * 1024;
   }
 
-  setupEventListeners() {
-    // Listen for object modifications to track changes
-    document.addEventListener('objectCreated', (e) => {
-      if (this.isRecording && !this.isExecutingUndo && !this.isExecutingRedo && e.detail.object) {
-        this.recordObjectCreation(e.detail.object);
-      }
-    });
+  // Generate unique ID for objects
+  generateObjectId() {
+    let id;
+    do {
+      id = this.objectIdPrefix + (this.nextObjectId++);
+    } while (this.trackedObjects.has(id));
+    return id;
+  }
 
-    document.addEventListener('objectDeleted', (e) => {
-      if (this.isRecording && !this.isExecutingUndo && !this.isExecutingRedo && e.detail.object) {
-        this.recordObjectDeletion(e.detail.object, e.detail.snapshot);
-      }
+  // Give incoming objects (merged worlds, prefabs) fresh IDs so they cannot
+  // collide with tracked ones. Returns a Map of old ID -> new ID.
+  remapObjectIds(objects) {
+    const idMap = new Map();
+    
+    objects.forEach(object => {
+      const oldId = object.userData.historyId;
+      delete object.userData.historyId;
+      
+      const newId = this.getObjectId(object);
+      if (oldId) idMap.set(oldId, newId);
     });
+    
+    return idMap;
   }
 
-  // Generate unique ID for objects
-  generateObjectId() {
-    return 'obj_' + (this.nextObjectId++);
+  // Keep generated IDs clear of ones used outside the scene (undo steps,
+  // checkpoints)
+  reserveObjectIds(ids) {
+    ids.forEach(id => {
+      const match = /^obj_(\d+)$/.exec(id);
+      if (match) this.nextObjectId = Math.max(this.nextObjectId, Number(match[1]) + 1);
+    });
   }
 
   // Get or assign ID to an object
@@ -80,6 +117,11 @@ export class HistoryManager {
       snapshot.geometry = this.serializeGeometry(object.geometry, object);
     }
 
+    // Full hierarchy so grouped objects come back exactly as they were
+    if (object.userData.type !== 'asset') {
+      snapshot.node = serializeObject(object);
+    }
+
     return snapshot;
   }
 
@@ -105,10 +147,23 @@ export class HistoryManager {
 
   // Restore object from snapshot
   restoreObjectFromSnapshot(snapshot) {
+    const restoredObject = this.buildObjectFromSnapshot(snapshot);
+    if (!restoredObject) return null;
+
+    // Register with tracking
+    this.trackedObjects.set(snapshot.id, restoredObject);
+
+    return restoredObject;
+  }
+
+  // Rebuild an object from a snapshot without tracking it
+  buildObjectFromSnapshot(snapshot) {
     let restoredObject;
 
     // Recreate object based on stored type information
-    if (snapshot.userData.shapeType) {
+    if (snapshot.node) {
+      restoredObject = deserializeObject(snapshot.node);
+    } else if (snapshot.userData.shapeType) {
       restoredObject = this.worldsmith.objectCreator.createShape(snapshot.userData.shapeType);
     } else if (snapshot.userData.assetType) {
       restoredObject = this.worldsmith.objectCreator.createAsset(snapshot.userData.assetType);
@@ -140,9 +195,6 @@ export class HistoryManager {
     restoredObject.userData = { ...snapshot.userData };
     restoredObject.userData.historyId = snapshot.id;
 
-    // Register with tracking
-    this.trackedObjects.set(snapshot.id, restoredObject);
-
     return restoredObject;
   }
 
@@ -167,34 +219,124 @@ export class HistoryManager {
     }
 
     this.currentTransaction.changes.push(change);
+    this.notifyChangeApplied(change, 'forward');
+  }
+
+  // Tell listeners (collaborative sessions) about a change that was just made
+  // ('forward') or undone ('backward')
+  notifyChangeApplied(change, direction) {
+    document.dispatchEvent(new CustomEvent('historyChangeApplied', {
+      detail: { change, direction }
+    }));
+  }
+
+  isChangeSkipped(change, transaction) {
+    return Boolean(this.changeFilter) && !this.changeFilter(change, transaction);
   }
 
   // Commit the current transaction to history
   commitTransaction() {
-    if (!this.currentTransaction || this.currentTransaction.changes.length === 0) {
+    const transaction = this.currentTransaction ? this.compactTransaction(this.currentTransaction) : null;
+    if (!transaction || transaction.changes.length === 0) {
       this.currentTransaction = null;
       return;
     }
 
-    // Add to undo stack
-    this.undoStack.push(this.currentTransaction);
+    // New child of the current node; earlier redo steps stay as a branch
+    transaction.parentId = this.currentNodeId;
+    this.nodes.set(transaction.id, transaction);
+    this.activeChildren.set(this.nodeKey(this.currentNodeId), transaction.id);
+    this.currentNodeId = transaction.id;
     
-    // Clear redo stack (new action invalidates redo history)
-    this.redoStack = [];
-    
-    // Limit history size
-    if (this.undoStack.length > this.maxHistorySize) {
-      this.undoStack.shift();
-    }
+    this.pruneHistory();
+    this.syncStacks();
 
     this.currentTransaction = null;
     this.updateUI();
   }
 
+  nodeKey(id) {
+    return id === null ? 'root' : id;
+  }
+
+  // Child nodes in the order they were made
+  childrenOf(id) {
+    return [...this.nodes.values()]
+      .filter(node => node.parentId === id)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Nodes from the initial state down to id
+  pathTo(id) {
+    const path = [];
+    let node = id === null ? null : this.nodes.get(id);
+    while (node) {
+      path.unshift(node);
+      node = node.parentId === null ? null : this.nodes.get(node.parentId);
+    }
+    return path;
+  }
+
+  // Nodes redo would walk through from id, following the active branch
+  activeLineFrom(id) {
+    const line = [];
+    let next = this.activeChildren.get(this.nodeKey(id));
+    while (next && this.nodes.has(next)) {
+      line.push(this.nodes.get(next));
+      next = this.activeChildren.get(next);
+    }
+    return line;
+  }
+
+  syncStacks() {
+    this.undoStack = this.pathTo(this.currentNodeId);
+    this.redoStack = this.activeLineFrom(this.currentNodeId).reverse();
+  }
+
+  removeSubtree(id) {
+    this.childrenOf(id).forEach(child => this.removeSubtree(child.id));
+    this.nodes.delete(id);
+    this.activeChildren.delete(id);
+  }
+
+  // Keep the current line within maxHistorySize steps and the other
+  // branches within maxBranchNodes, dropping the oldest first
+  pruneHistory() {
+    let path = this.pathTo(this.currentNodeId);
+
+    while (path.length > this.maxHistorySize) {
+      // The oldest step becomes part of the initial state; alternatives to
+      // it can no longer be reached
+      const oldest = path.shift();
+      this.childrenOf(null).forEach(node => {
+        if (node !== oldest) this.removeSubtree(node.id);
+      });
+      this.childrenOf(oldest.id).forEach(child => {
+        child.parentId = null;
+      });
+      this.activeChildren.set('root', this.activeChildren.get(oldest.id));
+      this.activeChildren.delete(oldest.id);
+      this.nodes.delete(oldest.id);
+    }
+
+    const onLine = new Set([...path, ...this.activeLineFrom(this.currentNodeId)].map(node => node.id));
+    const offLine = [...this.nodes.values()]
+      .filter(node => !onLine.has(node.id))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const node of offLine) {
+      if (this.nodes.size - onLine.size <= this.maxBranchNodes) break;
+      if (this.nodes.has(node.id)) this.removeSubtree(node.id);
+    }
+  }
+
   // Record object creation
-  recordObjectCreation(object) {
+  recordObjectCreation(object, snapshot = null) {
     if (!object) return;
-    const snapshot = this.createObjectSnapshot(object);
+    if (!snapshot) {
+      snapshot = this.createObjectSnapshot(object);
+    }
+    
     this.addChange({
       type: 'create',
       id: snapshot.id,
@@ -237,6 +379,30 @@ export class HistoryManager {
     });
   }
 
+  // Record a change of one environment field (ENVIRONMENT_KEYS)
+  recordEnvironmentChange(key, prevValue, nextValue) {
+    this.addChange({
+      type: 'env',
+      id: 'environment',
+      key: key,
+      prev: prevValue,
+      next: nextValue
+    });
+  }
+
+  // Record a terrain edit from the full height lists before and after it;
+  // only the vertices that changed are kept (see terrainDelta.js)
+  recordTerrainChange(prevHeights, nextHeights) {
+    const delta = diffTerrainHeights(prevHeights, nextHeights);
+    if (!delta) return;
+    
+    this.addChange({
+      type: 'terrain',
+      id: 'terrain',
+      ...delta
+    });
+  }
+
   // Start coalescing for interactive operations (drag, etc.)
   startCoalescing(label) {
     if (this.currentTransaction) {
@@ -267,23 +433,16 @@ export class HistoryManager {
 
   // Execute undo operation
   undo() {
-    if (this.undoStack.length === 0 || this.isExecutingUndo || this.isExecutingRedo) {
+    if (this.currentNodeId === null || this.isExecutingUndo || this.isExecutingRedo) {
       return false;
     }
 
     this.isExecutingUndo = true;
     
     try {
-      const transaction = this.undoStack.pop();
-      
-      // Apply changes in reverse order
-      for (let i = transaction.changes.length - 1; i >= 0; i--) {
-        this.reverseChange(transaction.changes[i]);
-      }
-      
-      // Move to redo stack
-      this.redoStack.push(transaction);
+      const transaction = this.stepBack();
       
+      this.syncStacks();
       this.updateUI();
       this.worldsmith.updateObjectCount();
       this.worldsmith.showToast(`Undone: ${transaction.label}`, 'info');
@@ -294,25 +453,19 @@ export class HistoryManager {
     }
   }
 
-  // Execute redo operation
+  // Execute redo operation along the active branch
   redo() {
-    if (this.redoStack.length === 0 || this.isExecutingUndo || this.isExecutingRedo) {
+    const nextId = this.activeChildren.get(this.nodeKey(this.currentNodeId));
+    if (!nextId || !this.nodes.has(nextId) || this.isExecutingUndo || this.isExecutingRedo) {
       return false;
     }
 
     this.isExecutingRedo = true;
     
     try {
-      const transaction = this.redoStack.pop();
-      
-      // Apply changes in original order
-      for (const change of transaction.changes) {
-        this.applyChange(change);
-      }
-      
-      // Move back to undo stack
-      this.undoStack.push(transaction);
+      const transaction = this.stepForward(nextId);
       
+      this.syncStacks();
       this.updateUI();
       this.worldsmith.updateObjectCount();
       this.worldsmith.showToast(`Redone: ${transaction.label}`, 'info');
@@ -323,6 +476,93 @@ export class HistoryManager {
     }
   }
 
+  // Reverse the current node and move to its parent
+  stepBack() {
+    const transaction = this.nodes.get(this.currentNodeId);
+    
+    // Apply changes in reverse order
+    for (let i = transaction.changes.length - 1; i >= 0; i--) {
+      const change = transaction.changes[i];
+      if (this.isChangeSkipped(change, transaction)) continue;
+      this.reverseChange(change);
+      this.notifyChangeApplied(change, 'backward');
+    }
+    
+    // Redo comes back to this branch
+    this.activeChildren.set(this.nodeKey(transaction.parentId), transaction.id);
+    this.currentNodeId = transaction.parentId;
+    return transaction;
+  }
+
+  // Apply a child of the current node and move to it
+  stepForward(childId) {
+    const transaction = this.nodes.get(childId);
+    
+    // Apply changes in original order
+    for (const change of transaction.changes) {
+      if (this.isChangeSkipped(change, transaction)) continue;
+      this.applyChange(change);
+      this.notifyChangeApplied(change, 'forward');
+    }
+    
+    this.activeChildren.set(this.nodeKey(this.currentNodeId), childId);
+    this.currentNodeId = childId;
+    return transaction;
+  }
+
+  // Undo and redo as needed to reach any node of the tree (null for the
+  // initial state), switching branches on the way
+  jumpTo(targetId) {
+    if (this.isExecutingUndo || this.isExecutingRedo) return false;
+    if (targetId !== null && !this.nodes.has(targetId)) return false;
+    if (targetId === this.currentNodeId) return true;
+    
+    const targetPath = this.pathTo(targetId);
+    const onTargetPath = new Set(targetPath.map(node => node.id));
+    
+    this.isExecutingUndo = true;
+    try {
+      // Back to the nearest node the target descends from
+      while (this.currentNodeId !== null && !onTargetPath.has(this.currentNodeId)) {
+        this.stepBack();
+      }
+    } finally {
+      this.isExecutingUndo = false;
+    }
+    
+    this.isExecutingRedo = true;
+    try {
+      const start = this.currentNodeId === null ? 0 : targetPath.findIndex(node => node.id === this.currentNodeId) + 1;
+      targetPath.slice(start).forEach(node => this.stepForward(node.id));
+    } finally {
+      this.isExecutingRedo = false;
+    }
+    
+    this.syncStacks();
+    this.updateUI();
+    this.worldsmith.updateObjectCount();
+    
+    const target = targetId === null ? null : this.nodes.get(targetId);
+    this.worldsmith.showToast(`Jumped to: ${target ? target.label : 'initial state'}`, 'info');
+    return true;
+  }
+
+  // Which leaf the active line ends in, among all leaves in tree order:
+  // { index, count } (1-based index)
+  getBranchInfo() {
+    const leaves = [];
+    const visit = (id) => {
+      const children = this.childrenOf(id);
+      if (children.length === 0 && id !== null) leaves.push(id);
+      children.forEach(child => visit(child.id));
+    };
+    visit(null);
+    
+    const line = this.activeLineFrom(this.currentNodeId);
+    const leaf = line.length > 0 ? line[line.length - 1].id : this.currentNodeId;
+    return { index: leaves.indexOf(leaf) + 1, count: leaves.length };
+  }
+
   // Reverse a change (for undo)
   reverseChange(change) {
     switch (change.type) {
@@ -338,6 +578,12 @@ export class HistoryManager {
       case 'prop':
         this.reverseProperty(change);
         break;
+      case 'env':
+        this.worldsmith.setEnvironmentValue(change.key, change.prev);
+        break;
+      case 'terrain':
+        applyTerrainDelta(this.worldsmith.ground, change, 'prev');
+        break;
     }
   }
 
@@ -356,6 +602,12 @@ export class HistoryManager {
       case 'prop':
         this.applyProperty(change);
         break;
+      case 'env':
+        this.worldsmith.setEnvironmentValue(change.key, change.next);
+        break;
+      case 'terrain':
+        applyTerrainDelta(this.worldsmith.ground, change, 'next');
+        break;
     }
   }
 
@@ -439,6 +691,19 @@ export class HistoryManager {
     }
   }
 
+  // Current value of a property setObjectProperty can change; undefined
+  // if the object does not have it
+  getObjectProperty(object, key) {
+    if (key === 'color') {
+      return object.material && object.material.color ? object.material.color.getHex() : undefined;
+    } else if (key === 'visible') {
+      return object.visible;
+    } else if (key === 'name') {
+      return object.userData.name || null;
+    }
+    return undefined;
+  }
+
   // Helper to set object property
   setObjectProperty(object, key, value) {
     if (key === 'color' && object.material) {
@@ -456,6 +721,11 @@ export class HistoryManager {
     const undoBtn = document.getElementById('undoBtn');
     const redoBtn = document.getElementById('redoBtn');
 
+    // Let listeners (session journal, etc.) know the world changed
+    document.dispatchEvent(new CustomEvent('historyChanged', {
+      detail: { undoCount: this.undoStack.length, redoCount: this.redoStack.length }
+    }));
+
     if (undoBtn) {
       undoBtn.disabled = this.undoStack.length === 0;
       undoBtn.textContent = `↶ Undo${this.undoStack.length > 0 ? ` (${this.undoStack.length})` : ''}`;
@@ -471,34 +741,305 @@ export class HistoryManager {
 
   // Clear all history
   clearHistory() {
+    this.nodes.clear();
+    this.activeChildren.clear();
+    this.currentNodeId = null;
     this.undoStack = [];
     this.redoStack = [];
     this.currentTransaction = null;
-    this.trackedObjects.clear();
     this.nextObjectId = 1;
+    // Objects in the scene keep their ids; new ones must not reuse them
+    this.rebuildObjectTracking();
     this.updateUI();
   }
 
-  // Serialize history for saving
+  // Merge repeated changes to the same object within one transaction:
+  // successive moves keep the first prev and last next, and an object
+  // created and deleted again leaves no trace. Environment and terrain
+  // edits merge the same way.
+  compactTransaction(transaction) {
+    const changes = [];
+    const lastEdit = new Map(); // 'xform:id' | 'prop:id:key' | 'env:environment:key' | 'terrain:terrain' -> change in changes
+    
+    transaction.changes.forEach(change => {
+      if (change.type === 'terrain') {
+        const previous = lastEdit.get('terrain:terrain');
+        if (previous) {
+          const merged = mergeTerrainDeltas(previous, change);
+          const index = changes.indexOf(previous);
+          if (merged) {
+            changes[index] = { ...previous, ...merged };
+            lastEdit.set('terrain:terrain', changes[index]);
+          } else {
+            // The edits cancel out
+            changes.splice(index, 1);
+            lastEdit.delete('terrain:terrain');
+          }
+          return;
+        }
+        lastEdit.set('terrain:terrain', change);
+        changes.push(change);
+        return;
+      }
+      
+      if (change.type === 'xform' || change.type === 'prop' || change.type === 'env') {
+        const key = change.type === 'xform' ? `xform:${change.id}` : `${change.type}:${change.id}:${change.key}`;
+        const previous = lastEdit.get(key);
+        if (previous) {
+          previous.next = change.next;
+          return;
+        }
+        const copy = { ...change };
+        lastEdit.set(key, copy);
+        changes.push(copy);
+        return;
+      }
+      
+      if (change.type === 'delete') {
+        const createIndex = changes.findIndex(c => c.type === 'create' && c.id === change.id);
+        if (createIndex > -1) {
+          // Drop the creation and every edit since; the object never existed
+          for (let i = changes.length - 1; i >= createIndex; i--) {
+            if (changes[i].id === change.id) changes.splice(i, 1);
+          }
+          [...lastEdit.keys()].forEach(key => {
+            if (key.split(':')[1] === change.id) lastEdit.delete(key);
+          });
+          return;
+        }
+      }
+      
+      // Later edits must not fold into ones from before a create/delete
+      [...lastEdit.keys()].forEach(key => {
+        if (key.split(':')[1] === change.id) lastEdit.delete(key);
+      });
+      changes.push(change);
+    });
+    
+    return { ...transaction, changes };
+  }
+
+  // Serialize history for saving, trimmed to maxSavedHistoryBytes.
+  // undoStack/redoStack hold the current line as before; branches holds the
+  // other nodes of the tree with their parentId.
   serializeHistory() {
+    const undoStack = [...this.undoStack];
+    const redoStack = [...this.redoStack];
+    const onLine = new Set([...undoStack, ...redoStack].map(node => node.id));
+    let branches = [...this.nodes.values()].filter(node => !onLine.has(node.id));
+    
+    const sizeOf = (transaction) => JSON.stringify(transaction).length;
+    let size = [...undoStack, ...redoStack, ...branches].reduce((total, transaction) => total + sizeOf(transaction), 0);
+    let trimmed = 0;
+    
+    // Other branches go first, oldest first with everything made after
+    // them; then the oldest undo steps, then the redo steps furthest away
+    const dropBranch = (root) => {
+      const dropped = new Set([root.id]);
+      let grew = true;
+      while (grew) {
+        grew = false;
+        branches.forEach(node => {
+          if (!dropped.has(node.id) && dropped.has(node.parentId)) {
+            dropped.add(node.id);
+            grew = true;
+          }
+        });
+      }
+      branches = branches.filter(node => {
+        if (!dropped.has(node.id)) return true;
+        size -= sizeOf(node);
+        trimmed++;
+        return false;
+      });
+    };
+    
+    while (size > this.maxSavedHistoryBytes && branches.length > 0) {
+      dropBranch(branches.reduce((oldest, node) => node.timestamp < oldest.timestamp ? node : oldest));
+    }
+    
+    while (size > this.maxSavedHistoryBytes && (undoStack.length > 0 || redoStack.length > 0)) {
+      const dropped = undoStack.length > 0 ? undoStack.shift() : redoStack.shift();
+      size -= sizeOf(dropped);
+      trimmed++;
+      // The next oldest step now starts from the initial state
+      if (undoStack.length > 0) {
+        undoStack[0] = { ...undoStack[0], parentId: null };
+      } else if (redoStack.length > 0 && dropped.parentId === null) {
+        redoStack[redoStack.length - 1] = { ...redoStack[redoStack.length - 1], parentId: null };
+      }
+    }
+    
+    const kept = new Set([...undoStack, ...redoStack, ...branches].map(node => node.id));
+    const activeChildren = {};
+    this.activeChildren.forEach((child, parent) => {
+      if (kept.has(child)) activeChildren[parent] = child;
+    });
+    
     return {
-      undoStack: this.undoStack,
-      redoStack: this.redoStack,
-      nextObjectId: this.nextObjectId
+      undoStack: undoStack,
+      redoStack: redoStack,
+      branches: branches,
+      activeChildren: activeChildren,
+      nextObjectId: this.nextObjectId,
+      trimmed: trimmed
     };
   }
 
-  // Deserialize history from save data
+  // Restore saved history once the world's objects are in the scene.
+  // Steps that no longer match the loaded objects are dropped together with
+  // everything that depends on them. Returns step counts { undo, redo,
+  // branches, droppedUndo, droppedRedo, trimmed } (droppedRedo includes
+  // dropped branch steps; trimmed: left out when saving).
   deserializeHistory(data) {
-    if (data && data.undoStack && data.redoStack) {
-      this.undoStack = data.undoStack || [];
-      this.redoStack = data.redoStack || [];
-      this.nextObjectId = data.nextObjectId || 1;
-      
-      // Rebuild object tracking from current scene
-      this.rebuildObjectTracking();
-      this.updateUI();
+    const report = { undo: 0, redo: 0, branches: 0, droppedUndo: 0, droppedRedo: 0, trimmed: 0 };
+    if (!data || !Array.isArray(data.undoStack) || !Array.isArray(data.redoStack)) {
+      return report;
+    }
+    
+    this.rebuildObjectTracking();
+    const liveIds = new Set(this.trackedObjects.keys());
+    
+    // Saves from before the undo tree have no parent links: chain the line
+    const undo = data.undoStack.map((node, i) => ({ ...node, parentId: i === 0 ? null : data.undoStack[i - 1].id }));
+    const currentId = undo.length > 0 ? undo[undo.length - 1].id : null;
+    const redo = [...data.redoStack].reverse().map((node, i, line) => ({ ...node, parentId: i === 0 ? currentId : line[i - 1].id }));
+    const branches = Array.isArray(data.branches) ? data.branches.filter(node => node && node.id) : [];
+    
+    // Walk back from the current state; ids present after undoing each node
+    // are where that node's siblings start from
+    const idsAt = new Map([[this.nodeKey(currentId), new Set(liveIds)]]);
+    let ids = new Set(liveIds);
+    let cut = -1;
+    for (let i = undo.length - 1; i >= 0; i--) {
+      if (!this.isValidTransaction(undo[i]) || !this.simulateChanges(undo[i], ids, 'undo')) {
+        cut = i;
+        break;
+      }
+      idsAt.set(this.nodeKey(undo[i].parentId), new Set(ids));
+    }
+    
+    const line = undo.slice(cut + 1);
+    if (cut >= 0) {
+      // What is left starts from the loaded state
+      if (line.length > 0) {
+        line[0].parentId = null;
+      } else if (redo.length > 0) {
+        redo[0].parentId = null;
+        idsAt.set('root', new Set(liveIds));
+      }
+    }
+    
+    this.nodes.clear();
+    this.activeChildren.clear();
+    line.forEach(node => this.nodes.set(node.id, node));
+    this.currentNodeId = line.length > 0 ? line[line.length - 1].id : null;
+    
+    // Redo line and branches, kept where they replay cleanly from the
+    // state their parent leaves behind
+    const candidates = [...redo, ...branches].filter(node => !this.nodes.has(node.id));
+    const grow = (parentId, startIds, pool = candidates) => {
+      pool
+        .filter(node => node.parentId === parentId && !this.nodes.has(node.id))
+        .forEach(node => {
+          const nodeIds = new Set(startIds);
+          if (!this.isValidTransaction(node) || !this.simulateChanges(node, nodeIds, 'redo')) return;
+          this.nodes.set(node.id, node);
+          grow(node.id, nodeIds);
+        });
+    };
+    
+    // Branches off the old initial state cannot be reached after a cut
+    if (cut < 0) {
+      grow(null, idsAt.get('root'));
+    } else if (line.length === 0 && redo.length > 0) {
+      grow(null, idsAt.get('root'), [redo[0]]);
     }
+    line.forEach(node => grow(node.id, idsAt.get(node.id)));
+    
+    // Redo keeps following the saved branch choices
+    const savedActive = data.activeChildren && typeof data.activeChildren === 'object' ? data.activeChildren : {};
+    Object.entries(savedActive).forEach(([parent, child]) => {
+      const parentExists = parent === 'root' || this.nodes.has(parent);
+      if (parentExists && this.nodes.has(child) && this.nodes.get(child).parentId === (parent === 'root' ? null : parent)) {
+        this.activeChildren.set(parent, child);
+      }
+    });
+    line.forEach(node => this.activeChildren.set(this.nodeKey(node.parentId), node.id));
+    redo.forEach(node => {
+      if (this.nodes.has(node.id)) this.activeChildren.set(this.nodeKey(node.parentId), node.id);
+    });
+    
+    this.currentTransaction = null;
+    this.syncStacks();
+    
+    // New ids must not collide with objects the restored steps bring back
+    const referenced = [...liveIds];
+    this.nodes.forEach(transaction => {
+      transaction.changes.forEach(change => referenced.push(change.id));
+    });
+    this.nextObjectId = Math.max(Number(data.nextObjectId) || 1, 1);
+    this.reserveObjectIds(referenced);
+    
+    report.undo = this.undoStack.length;
+    report.redo = this.redoStack.length;
+    report.branches = this.nodes.size - report.undo - report.redo;
+    report.droppedUndo = undo.length - line.length;
+    report.droppedRedo = redo.length + branches.length - report.redo - report.branches;
+    report.trimmed = Number(data.trimmed) || 0;
+    
+    this.updateUI();
+    return report;
+  }
+
+  // Replay a transaction's effect on the set of ids present in the scene.
+  // Returns false if it refers to objects that are not where it expects.
+  simulateChanges(transaction, ids, direction) {
+    const changes = direction === 'undo' ? [...transaction.changes].reverse() : transaction.changes;
+    
+    return changes.every(change => {
+      // The environment and terrain are always there
+      if (change.type === 'env' || change.type === 'terrain') return true;
+      
+      // Undoing a create or redoing a delete removes the object
+      const removes = direction === 'undo' ? change.type === 'create' : change.type === 'delete';
+      const adds = direction === 'undo' ? change.type === 'delete' : change.type === 'create';
+      
+      if (adds) {
+        if (ids.has(change.id)) return false;
+        ids.add(change.id);
+        return true;
+      }
+      if (!ids.has(change.id)) return false;
+      if (removes) ids.delete(change.id);
+      return true;
+    });
+  }
+
+  isValidTransaction(transaction) {
+    if (!transaction || typeof transaction !== 'object' || !Array.isArray(transaction.changes)) return false;
+    
+    const isTransform = (value) => value && value.pos && value.rot && value.scale;
+    
+    return transaction.changes.every(change => {
+      if (!change || typeof change.id !== 'string') return false;
+      switch (change.type) {
+        case 'create':
+          return !!change.snapshotNew && change.snapshotNew.id === change.id;
+        case 'delete':
+          return !!change.snapshotOld && change.snapshotOld.id === change.id;
+        case 'xform':
+          return isTransform(change.prev) && isTransform(change.next);
+        case 'prop':
+          return typeof change.key === 'string';
+        case 'env':
+          return ENVIRONMENT_KEYS.includes(change.key);
+        case 'terrain':
+          return isTerrainDelta(change);
+        default:
+          return false;
+      }
+    });
   }
 
   // Rebuild object tracking after loading
@@ -512,8 +1053,14 @@ export class HistoryManager {
     });
   }
 
-  // Group multiple actions into one transaction (for AI agent)
+  // Group multiple actions into one transaction (for AI agent). Nested
+  // groups join the transaction that is already open.
   executeGroupedAction(label, actionFn) {
+    if (this.currentTransaction) {
+      actionFn();
+      return;
+    }
+    
     this.startTransaction(label);
     
     try {
@@ -0,0 +1,275 @@
+/**
+ * Language-model backend for Rosie. A provider turns a chat into a reply:
+ *
+ *   provider.complete(messages, tools) -> Promise<{ content, toolCalls: [{ name, arguments }] }>
+ *
+ * OpenAICompatibleProvider talks to any OpenAI-style /chat/completions
+ * endpoint (mockModelServer.js is one for offline testing). The model may
+ * only act through ROSIE_TOOLS; every call is checked with validateToolCall
+ * before AIAgent runs it, and AIAgent falls back to its built-in patterns
+ * when there is no provider or the model fails.
+ */
+
+export const COLOR_NAMES = ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'black', 'white', 'brown', 'gray', 'gold', 'silver'];
+export const SIZE_NAMES = ['tiny', 'small', 'medium', 'large', 'big', 'huge', 'massive', 'giant'];
+export const DIRECTIONS = ['center', 'left', 'right', 'front', 'back', 'north', 'south', 'east', 'west'];
+export const PATTERNS = ['line', 'grid', 'circle'];
+export const TIMES_OF_DAY = ['dawn', 'day', 'dusk', 'night'];
+export const WEATHERS = ['clear', 'rain', 'snow', 'fog', 'storm', 'wind'];
+
+const DEFAULT_TIMEOUT = 20000;
+
+const VECTOR = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', minimum: -1000, maximum: 1000 },
+    y: { type: 'number', minimum: -1000, maximum: 1000 },
+    z: { type: 'number', minimum: -1000, maximum: 1000 }
+  },
+  required: ['x', 'y', 'z'],
+  additionalProperties: false
+};
+
+const OBJECT_ID = {
+  type: 'string',
+  description: 'id of an object from the world summary; the selected object if left out',
+  pattern: '^obj_[A-Za-z0-9_]+$'
+};
+
+// Tools in the OpenAI function-calling format; `parameters` is also the
+// schema validateToolCall checks the model's arguments against
+export const ROSIE_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'create_object',
+      description: 'Create one object or saved prefab from a short description, e.g. "wooden house" or "pine tree".',
+      parameters: {
+        type: 'object',
+        properties: {
+          description: { type: 'string', minLength: 1, maxLength: 200 },
+          color: { type: 'string', enum: COLOR_NAMES },
+          size: { type: 'string', enum: SIZE_NAMES },
+          position: { ...VECTOR, description: 'world position; in front of the camera if left out' }
+        },
+        required: ['description'],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'move_object',
+      description: 'Move an object to a world position or in a direction relative to the camera.',
+      parameters: {
+        type: 'object',
+        properties: {
+          object_id: OBJECT_ID,
+          position: VECTOR,
+          direction: { type: 'string', enum: DIRECTIONS }
+        },
+        anyOf: [{ required: ['position'] }, { required: ['direction'] }],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'modify_object',
+      description: 'Recolor, resize (scale multiplies the current size), rename, show or hide an object.',
+      parameters: {
+        type: 'object',
+        properties: {
+          object_id: OBJECT_ID,
+          color: {
+            type: 'string',
+            description: `one of ${COLOR_NAMES.join(', ')} or #rrggbb`,
+            pattern: `^(${COLOR_NAMES.join('|')}|#[0-9a-fA-F]{6})$`
+          },
+          scale: { type: 'number', minimum: 0.1, maximum: 10 },
+          name: { type: 'string', minLength: 1, maxLength: 60 },
+          visible: { type: 'boolean' }
+        },
+        anyOf: [{ required: ['color'] }, { required: ['scale'] }, { required: ['name'] }, { required: ['visible'] }],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'duplicate_object',
+      description: 'Make copies of an object laid out in a pattern.',
+      parameters: {
+        type: 'object',
+        properties: {
+          object_id: OBJECT_ID,
+          count: { type: 'integer', minimum: 1, maximum: 50 },
+          pattern: { type: 'string', enum: PATTERNS }
+        },
+        required: ['count'],
+        additionalProperties: false
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'set_environment',
+      description: 'Change the time of day and/or the weather.',
+      parameters: {
+        type: 'object',
+        properties: {
+          time_of_day: { type: 'string', enum: TIMES_OF_DAY },
+          weather: { type: 'string', enum: WEATHERS }
+        },
+        anyOf: [{ required: ['time_of_day'] }, { required: ['weather'] }],
+        additionalProperties: false
+      }
+    }
+  }
+];
+
+export const ROSIE_SYSTEM_PROMPT = `You are Rosie, the cheerful co-creator in Worldsmith, a 3D world-building sandbox.
+Carry out the user's request only with the tools provided; use several tool calls for several steps.
+Refer to existing objects by the ids in the world summary. Distances are in metres, y is up.
+If the request needs no change to the world, answer in one or two friendly sentences without tools.`;
+
+// Check a tool call from the model. args may still be the JSON text the
+// model sent. Returns { name, args, errors } - errors is empty for a call
+// that can run.
+export function validateToolCall(name, args) {
+  const tool = ROSIE_TOOLS.find(candidate => candidate.function.name === name);
+  if (!tool) return { name, args, errors: [`unknown tool "${name}"`] };
+
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args || '{}');
+    } catch (error) {
+      return { name, args, errors: ['arguments are not valid JSON'] };
+    }
+  }
+
+  const errors = [];
+  validateValue(tool.function.parameters, args, 'arguments', errors);
+  return { name, args, errors: errors.map(error => `${name}: ${error}`) };
+}
+
+// The part of JSON Schema ROSIE_TOOLS uses
+function validateValue(schema, value, path, errors) {
+  if (schema.type === 'object') {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties && schema.properties[key]) {
+        validateValue(schema.properties[key], child, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+    if (schema.anyOf && !schema.anyOf.some(option => (option.required || []).every(key => key in value))) {
+      errors.push(`${path} needs one of: ${schema.anyOf.map(option => option.required.join(' + ')).join(', ')}`);
+    }
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') {
+      errors.push(`${path} must be a string`);
+      return;
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} has an unexpected format`);
+    return;
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+      errors.push(`${path} must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}`);
+      return;
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    return;
+  }
+
+  if (schema.type === 'boolean' && typeof value !== 'boolean') {
+    errors.push(`${path} must be true or false`);
+  }
+}
+
+// Any OpenAI-compatible chat endpoint. url is the API base
+// (https://api.openai.com/v1) or the full /chat/completions address.
+export class OpenAICompatibleProvider {
+  constructor({ url, model, apiKey = '', timeout = DEFAULT_TIMEOUT }) {
+    this.url = url;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  get name() {
+    return `${this.model} at ${this.endpoint}`;
+  }
+
+  get endpoint() {
+    const base = this.url.trim().replace(/\/+$/, '');
+    return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+  }
+
+  async complete(messages, tools) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      let response;
+      try {
+        response = await fetch(this.endpoint, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ model: this.model, messages, tools, tool_choice: 'auto', temperature: 0.2 }),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw new Error(error.name === 'AbortError' ? `no answer within ${this.timeout / 1000}s` : `cannot reach ${this.endpoint}`);
+      }
+
+      if (!response.ok) {
+        let detail = '';
+        try {
+          const body = await response.json();
+          detail = (body.error && body.error.message) || '';
+        } catch (error) {
+          // Not JSON; the status says enough
+        }
+        throw new Error(`endpoint answered ${response.status}${detail ? `: ${detail}` : ''}`);
+      }
+
+      const data = await response.json();
+      const message = data.choices && data.choices[0] && data.choices[0].message;
+      if (!message) throw new Error('reply has no message');
+
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({
+          name: call.function && call.function.name,
+          arguments: call.function && call.function.arguments
+        }))
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,253 @@
+import { validateToolCall } from './languageModel.js';
+
+/**
+ * MacroRecorder - records commands given to Rosie (typed, or from library
+ * and prefab clicks) and properties panel edits, and replays them as one
+ * undoable step
+ *
+ * macro: {
+ *   id, name, timestamp,
+ *   origin: { x, y, z },     // selected object (or view centre) when recording started
+ *   steps: [step]
+ * }
+ * step:
+ *   { type: 'text', text, placements: [{ x, y, z }], toolCalls? }
+ *       // where each object the command created stood, relative to origin;
+ *       // toolCalls ([{ name, args }]) when Rosie's language model handled
+ *       // the command, so replays don't depend on the model
+ *   { type: 'edit', target, command }
+ *       // WorldCommands command without its id; target is the index of an
+ *       // object created earlier in the macro, or null for the selection.
+ *       // Transform positions are relative to origin.
+ *
+ * A replay places everything relative to an anchor: the recording origin
+ * ('recorded'), the selected object ('selection') or the point under the
+ * cursor ('cursor'). Macros are kept in localStorage, not in world files.
+ */
+export class MacroRecorder {
+  constructor(worldsmith, storageKey = 'worldsmithMacros') {
+    this.worldsmith = worldsmith;
+    this.storageKey = storageKey;
+    this.macros = this.readMacros();
+    this.recording = null; // { origin, steps, objects } while recording
+    this.isReplaying = false;
+
+    // Objects a recorded command creates, for placements and edit targets
+    document.addEventListener('commandExecuted', (e) => {
+      if (!this.recording || this.isReplaying) return;
+      const step = this.recording.steps[this.recording.steps.length - 1];
+      if (!step || step.type !== 'text') return;
+
+      createdBy(e.detail).forEach(object => {
+        step.placements.push(subtract(object.position, this.recording.origin));
+        this.recording.objects.push(object);
+      });
+    });
+
+    document.addEventListener('rosieToolCalls', (e) => {
+      if (!this.recording || this.isReplaying) return;
+      const step = this.recording.steps[this.recording.steps.length - 1];
+      if (step && step.type === 'text' && step.text === e.detail.text) {
+        step.toolCalls = e.detail.calls;
+      }
+    });
+  }
+
+  readMacros() {
+    try {
+      const value = localStorage.getItem(this.storageKey);
+      const macros = value ? JSON.parse(value) : [];
+      return Array.isArray(macros) ? macros : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  writeMacros() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.macros));
+    this.notifyChange();
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  startRecording(origin) {
+    this.recording = { origin: { x: origin.x, y: origin.y, z: origin.z }, steps: [], objects: [] };
+    this.notifyChange();
+  }
+
+  // A command about to be given to Rosie
+  recordText(text) {
+    if (!this.recording || this.isReplaying) return;
+    this.recording.steps.push({ type: 'text', text, placements: [] });
+  }
+
+  // A properties panel edit that was applied to object
+  recordEdit(object, command) {
+    if (!this.recording || this.isReplaying) return;
+
+    const index = this.recording.objects.indexOf(object);
+    const { id, ...edit } = command;
+    if (edit.position) edit.position = subtract(edit.position, this.recording.origin);
+
+    this.recording.steps.push({ type: 'edit', target: index > -1 ? index : null, command: edit });
+  }
+
+  // Stop recording and keep the macro under name; null if nothing was
+  // recorded or no name is given
+  stopRecording(name) {
+    const recording = this.recording;
+    this.recording = null;
+
+    if (!recording || recording.steps.length === 0 || !name) {
+      this.notifyChange();
+      return null;
+    }
+
+    const macro = {
+      id: Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6),
+      name: name,
+      timestamp: Date.now(),
+      origin: recording.origin,
+      steps: recording.steps
+    };
+    this.macros.push(macro);
+    this.writeMacros();
+    return macro;
+  }
+
+  getMacro(id) {
+    return this.macros.find(macro => macro.id === id) || null;
+  }
+
+  deleteMacro(id) {
+    const index = this.macros.findIndex(macro => macro.id === id);
+    if (index === -1) return false;
+
+    this.macros.splice(index, 1);
+    this.writeMacros();
+    return true;
+  }
+
+  // Run a macro's steps as one history transaction, placed relative to
+  // anchor ({ x, y, z }, the macro origin if null). Resolves with the objects
+  // the replay created, or null if the world can't be edited now.
+  async replayMacro(id, anchor = null) {
+    const macro = this.getMacro(id);
+    if (!macro) throw new Error('Macro not found');
+
+    const worldsmith = this.worldsmith;
+    const base = anchor || macro.origin;
+    const created = [];
+    const collect = (e) => created.push(...createdBy(e.detail));
+
+    // Prefabs load before the transaction opens
+    const prepared = await Promise.all(macro.steps.map(step => this.prepareText(step)));
+    if (worldsmith.isReadOnlyBlocked()) return null;
+
+    this.isReplaying = true;
+    document.addEventListener('commandExecuted', collect);
+    try {
+      worldsmith.historyManager.executeGroupedAction(`Macro: ${macro.name}`, () => {
+        macro.steps.forEach((step, i) => {
+          if (step.type === 'text') {
+            this.replayText(step, prepared[i], base, created);
+          } else if (step.type === 'edit') {
+            this.replayEdit(step, base, created);
+          }
+        });
+      });
+    } finally {
+      document.removeEventListener('commandExecuted', collect);
+      this.isReplaying = false;
+    }
+
+    worldsmith.updateObjectCount();
+    return created;
+  }
+
+  // What a text step needs loaded before the replay's transaction opens:
+  //   { toolCalls }  its stored tool calls, checked again (stored macros can
+  //                  be edited by hand) and prepared for AIAgent.runToolCalls
+  //   { prefab }     the prefab a built-in command places, from buildPrefab
+  //                  (null if it could not be loaded)
+  //   null           nothing; the command runs as typed
+  async prepareText(step) {
+    const worldsmith = this.worldsmith;
+    const aiAgent = worldsmith.aiAgent;
+    if (!aiAgent || step.type !== 'text') return null;
+
+    if (Array.isArray(step.toolCalls)) {
+      const calls = step.toolCalls
+        .filter(call => call && typeof call === 'object')
+        .map(call => validateToolCall(call.name, call.args))
+        .filter(call => call.errors.length === 0)
+        .map(({ name, args }) => ({ name, args }));
+      return { toolCalls: await aiAgent.prepareToolCalls(calls) };
+    }
+
+    const request = aiAgent.findPrefabRequest(String(step.text));
+    if (!request) return null;
+    try {
+      return { prefab: await worldsmith.buildPrefab(request.prefab.id, request.position) };
+    } catch (error) {
+      worldsmith.log(`Macro step "${step.text}" skipped: ${error.message}`, 'warn');
+      return { prefab: null };
+    }
+  }
+
+  replayText(step, prepared, base, created) {
+    const worldsmith = this.worldsmith;
+    const first = created.length;
+
+    if (prepared && prepared.toolCalls) {
+      worldsmith.aiAgent.runToolCalls(prepared.toolCalls, `Rosie: ${step.text}`);
+    } else if (prepared) {
+      if (prepared.prefab) worldsmith.placePrefab(prepared.prefab.objects);
+    } else if (worldsmith.aiAgent) {
+      worldsmith.aiAgent.processCommand(step.text);
+    } else {
+      worldsmith.parseNaturalLanguage(step.text);
+    }
+
+    // Move what the command created to where it stood when recorded
+    const placements = Array.isArray(step.placements) ? step.placements : [];
+    created.slice(first).forEach((object, i) => {
+      const placement = placements[i];
+      if (!placement || !['x', 'y', 'z'].every(axis => Number.isFinite(placement[axis]))) return;
+      worldsmith.commands.transformObject(object, { position: add(base, placement) });
+    });
+  }
+
+  replayEdit(step, base, created) {
+    const worldsmith = this.worldsmith;
+    const object = step.target === null ? worldsmith.getEditedObject() : created[step.target];
+    if (!object) return;
+
+    const command = { ...step.command, id: worldsmith.historyManager.getObjectId(object) };
+    if (command.position) command.position = add(base, command.position);
+    worldsmith.commands.execute(command);
+  }
+
+  notifyChange() {
+    document.dispatchEvent(new CustomEvent('macrosChanged', {
+      detail: { count: this.macros.length, recording: this.isRecording }
+    }));
+  }
+}
+
+// Objects a 'commandExecuted' event created
+function createdBy(detail) {
+  if (detail.command.type === 'create' && detail.result) return [detail.result];
+  if (detail.command.type === 'duplicate' && detail.result) return detail.result;
+  return [];
+}
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
@@ -1,13 +1,17 @@
 
 
 import { Worldsmith } from './worldsmith.js';
+import { hasShareHash } from './shareLink.js';
 
 let game;
 
 async function init() {
   try {
     game = new Worldsmith();
-    await game.init();
+    
+    // Open a world shared through the link (#world=...)
+    const shareHash = hasShareHash(window.location.hash) ? window.location.hash : null;
+    await game.init({ shareHash });
     game.start();
   } catch (error) {
     console.error('Failed to initialize Worldsmith:', error);
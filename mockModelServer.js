@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { COLOR_NAMES, SIZE_NAMES, DIRECTIONS, PATTERNS, WEATHERS } from './languageModel.js';
+
+/**
+ * Stand-in for an OpenAI-compatible chat endpoint, so Rosie's language-model
+ * backend can be tried without a network or an API key
+ *
+ *   node mockModelServer.js [--port 8788] [--key <key>]
+ *
+ * In Worldsmith choose "🧠 Rosie Language Model" in the command palette with
+ * the address http://localhost:8788/v1 and any model name. Requests to
+ * POST /v1/chat/completions are answered with tool calls worked out from the
+ * last user message by a few keyword rules; "then" or ";" separates steps
+ * ("build a red house then make it night"). With --key, requests must carry
+ * that key as a bearer token.
+ */
+
+const USAGE = `Usage: node mockModelServer.js [--port 8788] [--key <key>]`;
+
+const DEFAULT_PORT = 8788;
+const MODEL_NAME = 'worldsmith-mock';
+const TIMES = { dawn: 'dawn', sunrise: 'dawn', morning: 'day', day: 'day', noon: 'day', dusk: 'dusk', evening: 'dusk', sunset: 'dusk', night: 'night' };
+
+// Tool calls for one user message: [{ name, args }]
+export function planToolCalls(text, world = null) {
+  return text
+    .split(/\s*(?:;|,?\s+(?:and\s+)?then\s+)\s*/i)
+    .filter(Boolean)
+    .map(step => planStep(step, world))
+    .filter(Boolean);
+}
+
+function planStep(step, world) {
+  const lower = step.toLowerCase();
+  const words = lower.match(/[a-z#0-9.]+/g) || [];
+  const color = COLOR_NAMES.find(name => words.includes(name));
+  const size = SIZE_NAMES.find(name => words.includes(name));
+  const number = lower.match(/\b(\d+)\b/);
+  const target = findObject(lower, world);
+
+  if (/\b(copy|copies|duplicate|clone)\b/.test(lower)) {
+    return {
+      name: 'duplicate_object',
+      args: {
+        ...target,
+        count: number ? Math.min(50, Math.max(1, parseInt(number[1], 10))) : 3,
+        pattern: PATTERNS.find(pattern => words.includes(pattern)) || 'line'
+      }
+    };
+  }
+
+  if (/^(move|shift|push)\b/.test(lower) || /^put (it|this|that|the)\b/.test(lower)) {
+    const coordinates = lower.match(/(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/);
+    if (coordinates) {
+      const [x, y, z] = coordinates.slice(1).map(Number);
+      return { name: 'move_object', args: { ...target, position: { x, y, z } } };
+    }
+    return { name: 'move_object', args: { ...target, direction: DIRECTIONS.find(direction => words.includes(direction)) || 'center' } };
+  }
+
+  const time = Object.keys(TIMES).find(word => words.includes(word));
+  const weather = WEATHERS.find(name => words.includes(name)) || (words.includes('sunny') ? 'clear' : null);
+  if ((time || weather) && !/^(create|build|make an?|place)\b/.test(lower) || /^make it (night|day|dawn|dusk)/.test(lower)) {
+    const args = {};
+    if (time) args.time_of_day = TIMES[time];
+    if (weather) args.weather = weather;
+    return { name: 'set_environment', args };
+  }
+
+  if (/^(make|paint|color|colour|turn|resize|rename|hide|show)\b/.test(lower) && (target.object_id || /\b(it|this|that|selected)\b/.test(lower))) {
+    const args = { ...target };
+    if (color) args.color = color;
+    if (/\b(bigger|larger|grow)\b/.test(lower)) args.scale = 1.5;
+    if (/\b(smaller|shrink)\b/.test(lower)) args.scale = 0.6;
+    const name = step.match(/\b(?:rename\b.*?\bto|call it)\s+"?([^"]+?)"?$/i);
+    if (name) args.name = name[1];
+    if (/^hide\b/.test(lower)) args.visible = false;
+    if (/^show\b/.test(lower)) args.visible = true;
+    return Object.keys(args).some(key => key !== 'object_id') ? { name: 'modify_object', args } : null;
+  }
+
+  // Anything else is something to build
+  const description = lower
+    .replace(/^(please\s+)?(create|make|build|add|spawn|generate|place|put|i want|i need)\s+/, '')
+    .replace(/^(an?|the|some)\s+/, '')
+    .split(/\s+/)
+    .filter(word => word !== color && word !== size)
+    .join(' ')
+    .trim();
+  if (!description) return null;
+
+  const args = { description };
+  if (color) args.color = color;
+  if (size) args.size = size;
+  return { name: 'create_object', args };
+}
+
+// { object_id } of the object the step names ("move the house left"), or
+// {} for the selection
+function findObject(lower, world) {
+  if (!world || !Array.isArray(world.objects)) return {};
+  const named = [...world.objects].reverse().find(object => {
+    const name = String(object.name || '').toLowerCase();
+    return name && new RegExp(`\\bthe ${name.replace(/[^a-z0-9 ]/g, '')}\\b`).test(lower);
+  });
+  return named ? { object_id: named.id } : {};
+}
+
+function worldFromMessages(messages) {
+  const system = messages.find(message => message.role === 'system');
+  const match = system && /World: (\{.*\})\s*$/s.exec(system.content || '');
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+export function startMockModel({ port = DEFAULT_PORT, host, key = null, log = console.log } = {}) {
+  let requestCount = 0;
+
+  const server = createServer((req, res) => {
+    // Worldsmith runs on another port; the browser asks first
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const sendError = (status, message) => sendJson(status, { error: { message, type: 'invalid_request_error' } });
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (key && req.headers.authorization !== `Bearer ${key}`) {
+      sendError(401, 'Incorrect API key provided');
+      return;
+    }
+
+    const path = new URL(req.url, 'http://mock').pathname.replace(/\/+$/, '');
+    if (req.method === 'GET' && path.endsWith('/models')) {
+      sendJson(200, { object: 'list', data: [{ id: MODEL_NAME, object: 'model', owned_by: 'worldsmith' }] });
+      return;
+    }
+    if (req.method !== 'POST' || !path.endsWith('/chat/completions')) {
+      sendError(404, `Unknown endpoint ${req.method} ${path}`);
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (error) {
+        sendError(400, 'Body is not valid JSON');
+        return;
+      }
+      if (!Array.isArray(request.messages)) {
+        sendError(400, 'messages must be an array');
+        return;
+      }
+
+      const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+      const text = lastUser ? String(lastUser.content || '') : '';
+      const id = ++requestCount;
+
+      // Questions get words, everything else tool calls
+      const calls = /\?\s*$/.test(text) ? [] : planToolCalls(text, worldFromMessages(request.messages));
+      const message = calls.length > 0 ? {
+        role: 'assistant',
+        content: null,
+        tool_calls: calls.map((call, index) => ({
+          id: `call_${id}_${index}`,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args) }
+        }))
+      } : {
+        role: 'assistant',
+        content: 'I am the mock model - ask me to build, move, recolor or copy something, or to change the weather.'
+      };
+
+      log(`#${id} "${text}" -> ${calls.length > 0 ? calls.map(call => call.name).join(', ') : 'text reply'}`);
+      sendJson(200, {
+        id: `chatcmpl-mock-${id}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model || MODEL_NAME,
+        choices: [{ index: 0, message, finish_reason: calls.length > 0 ? 'tool_calls' : 'stop' }]
+      });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+async function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: 'string', short: 'p' },
+      host: { type: 'string' },
+      key: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = values.port ? Number(values.port) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port "${values.port}"`);
+
+  const server = await startMockModel({ port, host: values.host, key: values.key || null });
+  console.log(`Mock language model on http://localhost:${server.address().port}/v1 (model "${MODEL_NAME}")`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`mock model: ${error.message}`);
+    process.exitCode = 2;
+  });
+}
@@ -1,6 +1,8 @@
 
 
 import * as THREE from 'three';
+import { createProceduralAsset } from './proceduralAssets.js';
+import { deserializeObject } from './objectSerializer.js';
 
 export class ObjectCreator {
   constructor(scene, assetLoader, loadedAssets) {
@@ -61,14 +63,18 @@ export class ObjectCreator {
   }
 
   createAsset(assetType) {
-    const asset = this.loadedAssets.get(assetType);
+    let asset = this.loadedAssets.get(assetType);
     if (!asset) {
-      console.warn(`Asset ${assetType} not loaded`);
-      return this.createShape('cube'); // Fallback
+      asset = createProceduralAsset(assetType);
+      if (!asset) {
+        console.warn(`Asset ${assetType} not loaded`);
+        return this.createShape('cube'); // Fallback
+      }
+      console.warn(`Asset ${assetType} not loaded, using procedural stand-in`);
     }
 
     const clone = asset.scene.clone();
-    clone.scale.setScalar(2);
+    clone.scale.setScalar(asset.userData && asset.userData.scale ? asset.userData.scale : 2);
     clone.userData.type = 'asset';
     clone.userData.assetType = assetType;
     
@@ -83,6 +89,58 @@ export class ObjectCreator {
     return clone;
   }
 
+  // Build an object from a world/prefab file entry (see worldSchema.js)
+  createFromEntry(entry) {
+    let obj = null;
+
+    if (entry.node) {
+      obj = deserializeObject(entry.node);
+    } else if (entry.assetType) {
+      obj = this.createAsset(entry.assetType);
+    } else if (entry.shapeType) {
+      obj = this.createShape(entry.shapeType);
+    } else if (entry.description) {
+      obj = this.createFromDescription(entry.description);
+    }
+
+    if (!obj) return null;
+
+    obj.position.set(entry.position.x, entry.position.y, entry.position.z);
+    obj.rotation.set(entry.rotation.x, entry.rotation.y, entry.rotation.z);
+    obj.scale.set(entry.scale.x, entry.scale.y, entry.scale.z);
+
+    if (entry.color !== undefined && obj.material && obj.material.color) {
+      obj.material.color.setHex(entry.color);
+    }
+
+    if (entry.name) {
+      obj.userData.name = entry.name;
+    }
+
+    return obj;
+  }
+
+  // Instantiate a validated prefab with its pivot at the given position.
+  // Returns the new top-level objects; nothing is added to the scene.
+  createPrefab(prefab, position) {
+    const offset = new THREE.Vector3(
+      position.x - prefab.pivot.x,
+      position.y - prefab.pivot.y,
+      position.z - prefab.pivot.z
+    );
+
+    return prefab.objects
+      .map(entry => {
+        const obj = this.createFromEntry(entry);
+        if (obj) {
+          obj.position.add(offset);
+          obj.userData.prefab = prefab.name;
+        }
+        return obj;
+      })
+      .filter(Boolean);
+  }
+
   createFromDescription(description) {
     // AI simulation - analyze description and create appropriate object
     const analyzed = this.analyzeDescription(description.toLowerCase());
@@ -136,8 +194,18 @@ export class ObjectCreator {
       analysis.shapeType = 'cone';
     }
 
+    // Imported models are matched by their registered name
+    for (const name of this.loadedAssets.keys()) {
+      if (description.includes(name) || description.includes(name.replace(/_/g, ' '))) {
+        analysis.assetType = name;
+        break;
+      }
+    }
+
     // Asset detection
-    if (description.includes('wizard') || description.includes('mage') || description.includes('magic')) {
+    if (analysis.assetType) {
+      // Already matched by name
+    } else if (description.includes('wizard') || description.includes('mage') || description.includes('magic')) {
       analysis.assetType = 'wizard';
     } else if (description.includes('dragon') || description.includes('beast') || description.includes('monster')) {
       analysis.assetType = 'dragon';
@@ -0,0 +1,182 @@
+import * as THREE from 'three';
+
+/**
+ * Object serializer - captures an object hierarchy (groups, meshes, geometry
+ * parameters and materials) as plain JSON and rebuilds it exactly
+ */
+
+// Constructor argument order for the parametric geometries we create
+const GEOMETRY_PARAMETERS = {
+  BoxGeometry: ['width', 'height', 'depth', 'widthSegments', 'heightSegments', 'depthSegments'],
+  SphereGeometry: ['radius', 'widthSegments', 'heightSegments', 'phiStart', 'phiLength', 'thetaStart', 'thetaLength'],
+  ConeGeometry: ['radius', 'height', 'radialSegments', 'heightSegments', 'openEnded', 'thetaStart', 'thetaLength'],
+  CylinderGeometry: ['radiusTop', 'radiusBottom', 'height', 'radialSegments', 'heightSegments', 'openEnded', 'thetaStart', 'thetaLength'],
+  TorusGeometry: ['radius', 'tube', 'radialSegments', 'tubularSegments', 'arc'],
+  PlaneGeometry: ['width', 'height', 'widthSegments', 'heightSegments'],
+  CapsuleGeometry: ['radius', 'length', 'capSegments', 'radialSegments'],
+  OctahedronGeometry: ['radius', 'detail'],
+  TetrahedronGeometry: ['radius', 'detail'],
+  DodecahedronGeometry: ['radius', 'detail'],
+  IcosahedronGeometry: ['radius', 'detail']
+};
+
+const MATERIAL_TYPES = [
+  'MeshLambertMaterial',
+  'MeshStandardMaterial',
+  'MeshPhongMaterial',
+  'MeshBasicMaterial'
+];
+
+// Material fields copied verbatim when present
+const MATERIAL_FIELDS = [
+  'opacity', 'transparent', 'side', 'wireframe', 'flatShading',
+  'roughness', 'metalness', 'shininess', 'emissiveIntensity'
+];
+
+export function serializeObject(object) {
+  const data = {
+    kind: object.isMesh ? 'Mesh' : object.isGroup ? 'Group' : 'Object3D',
+    name: object.name,
+    position: object.position.toArray(),
+    rotation: [object.rotation.x, object.rotation.y, object.rotation.z, object.rotation.order],
+    scale: object.scale.toArray(),
+    visible: object.visible,
+    castShadow: object.castShadow,
+    receiveShadow: object.receiveShadow,
+    userData: serializeUserData(object.userData),
+    children: []
+  };
+
+  if (object.isMesh) {
+    data.geometry = serializeGeometry(object.geometry);
+    data.material = Array.isArray(object.material)
+      ? object.material.map(serializeMaterial)
+      : serializeMaterial(object.material);
+  }
+
+  object.children.forEach(child => {
+    // Selection wireframes are editor state, not part of the object
+    if (child.userData.isHighlight) return;
+    data.children.push(serializeObject(child));
+  });
+
+  return data;
+}
+
+export function deserializeObject(data) {
+  let object;
+
+  if (data.kind === 'Mesh') {
+    const material = Array.isArray(data.material)
+      ? data.material.map(deserializeMaterial)
+      : deserializeMaterial(data.material);
+    object = new THREE.Mesh(deserializeGeometry(data.geometry), material);
+  } else if (data.kind === 'Group') {
+    object = new THREE.Group();
+  } else {
+    object = new THREE.Object3D();
+  }
+
+  object.name = data.name || '';
+  object.position.fromArray(data.position);
+  object.rotation.set(data.rotation[0], data.rotation[1], data.rotation[2], data.rotation[3] || 'XYZ');
+  object.scale.fromArray(data.scale);
+  object.visible = data.visible !== false;
+  object.castShadow = !!data.castShadow;
+  object.receiveShadow = !!data.receiveShadow;
+  object.userData = JSON.parse(JSON.stringify(data.userData || {}));
+
+  (data.children || []).forEach(childData => {
+    object.add(deserializeObject(childData));
+  });
+
+  return object;
+}
+
+function serializeUserData(userData) {
+  const copy = JSON.parse(JSON.stringify(userData || {}));
+  // History ids belong to the running session
+  delete copy.historyId;
+  return copy;
+}
+
+function isParametricGeometry(type) {
+  // Own keys only: "constructor" and friends must not reach new THREE[...]
+  return Object.prototype.hasOwnProperty.call(GEOMETRY_PARAMETERS, type);
+}
+
+function serializeGeometry(geometry) {
+  const argNames = isParametricGeometry(geometry.type) ? GEOMETRY_PARAMETERS[geometry.type] : null;
+
+  if (argNames && geometry.parameters) {
+    return {
+      type: geometry.type,
+      parameters: argNames.map(name => geometry.parameters[name])
+    };
+  }
+
+  // Non-parametric geometry: store the raw buffers
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = {
+      itemSize: attribute.itemSize,
+      normalized: attribute.normalized,
+      array: Array.from(attribute.array)
+    };
+  });
+
+  return {
+    type: 'BufferGeometry',
+    attributes: attributes,
+    index: geometry.index ? Array.from(geometry.index.array) : null
+  };
+}
+
+function deserializeGeometry(data) {
+  if (isParametricGeometry(data.type)) {
+    return new THREE[data.type](...(Array.isArray(data.parameters) ? data.parameters : []));
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  Object.entries(data.attributes || {}).forEach(([name, attribute]) => {
+    geometry.setAttribute(name, new THREE.Float32BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized));
+  });
+
+  if (data.index) {
+    geometry.setIndex(data.index);
+  }
+
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+function serializeMaterial(material) {
+  const data = { type: material.type };
+
+  if (material.color) data.color = material.color.getHex();
+  if (material.emissive) data.emissive = material.emissive.getHex();
+
+  MATERIAL_FIELDS.forEach(field => {
+    if (material[field] !== undefined) {
+      data[field] = material[field];
+    }
+  });
+
+  return data;
+}
+
+function deserializeMaterial(data) {
+  const type = MATERIAL_TYPES.includes(data.type) ? data.type : 'MeshLambertMaterial';
+  const material = new THREE[type]();
+
+  if (data.color !== undefined && material.color) material.color.setHex(data.color);
+  if (data.emissive !== undefined && material.emissive) material.emissive.setHex(data.emissive);
+
+  MATERIAL_FIELDS.forEach(field => {
+    if (data[field] !== undefined && material[field] !== undefined) {
+      material[field] = data[field];
+    }
+  });
+
+  return material;
+}
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+/**
+ * Procedural stand-ins for the bundled characters, used when their model
+ * files are missing (offline, air-gapped installs, broken paths)
+ */
+
+function mesh(geometry, color, options = {}) {
+  const material = new THREE.MeshLambertMaterial({ color, ...options });
+  const result = new THREE.Mesh(geometry, material);
+  result.castShadow = true;
+  result.receiveShadow = true;
+  return result;
+}
+
+function createWizard() {
+  const group = new THREE.Group();
+
+  const robe = mesh(new THREE.ConeGeometry(0.35, 1.1, 12), 0x4b3f9e);
+  robe.position.y = 0.55;
+  group.add(robe);
+
+  const head = mesh(new THREE.SphereGeometry(0.16, 16, 12), 0xf1c27d);
+  head.position.y = 1.2;
+  group.add(head);
+
+  const beard = mesh(new THREE.ConeGeometry(0.12, 0.3, 8), 0xdddddd);
+  beard.position.set(0, 1.02, 0.08);
+  beard.rotation.x = Math.PI;
+  group.add(beard);
+
+  const hat = mesh(new THREE.ConeGeometry(0.22, 0.5, 12), 0x2e2570);
+  hat.position.y = 1.55;
+  hat.rotation.z = 0.15;
+  group.add(hat);
+
+  const staff = mesh(new THREE.CylinderGeometry(0.025, 0.025, 1.4, 6), 0x8b5a2b);
+  staff.position.set(0.38, 0.7, 0);
+  group.add(staff);
+
+  const orb = mesh(new THREE.SphereGeometry(0.07, 12, 8), 0x7fdbff, { emissive: 0x3399ff });
+  orb.position.set(0.38, 1.45, 0);
+  group.add(orb);
+
+  return group;
+}
+
+function createDragon() {
+  const group = new THREE.Group();
+  const scales = 0x2e8b57;
+
+  const body = mesh(new THREE.SphereGeometry(0.45, 16, 12), scales);
+  body.scale.set(1.6, 0.9, 1);
+  body.position.y = 0.6;
+  group.add(body);
+
+  const neck = mesh(new THREE.CylinderGeometry(0.12, 0.18, 0.6, 8), scales);
+  neck.position.set(0.75, 0.95, 0);
+  neck.rotation.z = -0.8;
+  group.add(neck);
+
+  const head = mesh(new THREE.BoxGeometry(0.4, 0.22, 0.26), scales);
+  head.position.set(1.05, 1.2, 0);
+  group.add(head);
+
+  [-1, 1].forEach(side => {
+    const horn = mesh(new THREE.ConeGeometry(0.04, 0.18, 6), 0xf5f5dc);
+    horn.position.set(0.98, 1.38, side * 0.08);
+    horn.rotation.z = 0.5;
+    group.add(horn);
+
+    const wing = mesh(new THREE.ConeGeometry(0.5, 0.9, 3), 0x3cb371, { side: THREE.DoubleSide });
+    wing.scale.z = 0.1;
+    wing.position.set(0, 1.05, side * 0.55);
+    wing.rotation.x = side * 1.1;
+    group.add(wing);
+
+    [-0.35, 0.35].forEach(x => {
+      const leg = mesh(new THREE.CylinderGeometry(0.07, 0.06, 0.35, 6), scales);
+      leg.position.set(x, 0.18, side * 0.25);
+      group.add(leg);
+    });
+  });
+
+  const tail = mesh(new THREE.ConeGeometry(0.15, 1.0, 8), scales);
+  tail.position.set(-1.05, 0.5, 0);
+  tail.rotation.z = Math.PI / 2 + 0.3;
+  group.add(tail);
+
+  return group;
+}
+
+function createGhost() {
+  const group = new THREE.Group();
+  const ghostMaterial = { transparent: true, opacity: 0.7, emissive: 0x333344 };
+
+  const head = mesh(new THREE.SphereGeometry(0.4, 20, 16, 0, Math.PI * 2, 0, Math.PI / 2), 0xf0f0ff, ghostMaterial);
+  head.position.y = 1.1;
+  group.add(head);
+
+  const sheet = mesh(new THREE.CylinderGeometry(0.4, 0.5, 0.8, 20, 1, true), 0xf0f0ff, { ...ghostMaterial, side: THREE.DoubleSide });
+  sheet.position.y = 0.7;
+  group.add(sheet);
+
+  [-1, 1].forEach(side => {
+    const eye = mesh(new THREE.SphereGeometry(0.06, 8, 8), 0x111111);
+    eye.position.set(side * 0.14, 1.2, 0.35);
+    group.add(eye);
+  });
+
+  // Float above the ground
+  group.position.y = 0.2;
+  const wrapper = new THREE.Group();
+  wrapper.add(group);
+  return wrapper;
+}
+
+function createCubeGuy() {
+  const group = new THREE.Group();
+
+  const body = mesh(new THREE.BoxGeometry(0.5, 0.6, 0.3), 0xe67e22);
+  body.position.y = 0.85;
+  group.add(body);
+
+  const head = mesh(new THREE.BoxGeometry(0.35, 0.35, 0.35), 0xf1c27d);
+  head.position.y = 1.35;
+  group.add(head);
+
+  [-1, 1].forEach(side => {
+    const eye = mesh(new THREE.BoxGeometry(0.06, 0.06, 0.02), 0x222222);
+    eye.position.set(side * 0.08, 1.4, 0.18);
+    group.add(eye);
+
+    const arm = mesh(new THREE.BoxGeometry(0.14, 0.55, 0.14), 0xe67e22);
+    arm.position.set(side * 0.34, 0.85, 0);
+    group.add(arm);
+
+    const leg = mesh(new THREE.BoxGeometry(0.18, 0.55, 0.18), 0x2c3e50);
+    leg.position.set(side * 0.13, 0.28, 0);
+    group.add(leg);
+  });
+
+  return group;
+}
+
+const builders = {
+  wizard: createWizard,
+  dragon: createDragon,
+  ghost: createGhost,
+  cube_guy: createCubeGuy
+};
+
+export function hasProceduralAsset(name) {
+  return Object.prototype.hasOwnProperty.call(builders, name);
+}
+
+// Returns a glTF-like { scene, animations } or null if there is no stand-in
+export function createProceduralAsset(name) {
+  if (!hasProceduralAsset(name)) return null;
+
+  const scene = builders[name]();
+  scene.name = name;
+
+  return {
+    scene: scene,
+    animations: [],
+    userData: { isProcedural: true }
+  };
+}
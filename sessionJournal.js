@@ -0,0 +1,199 @@
+/**
+ * SessionJournal - continuously records the current world to localStorage so
+ * it can be offered for restore after a crash or GPU reset
+ *
+ * The session marker tells a crashed session (no clean shutdown, stale
+ * heartbeat) apart from one that is still open in another tab; tabs in the
+ * background, whose timers the browser throttles, get longer. Each tab
+ * writes its own marker and journal (keys end in the tab's session id), so
+ * tabs never overwrite or clear each other's.
+ */
+export class SessionJournal {
+  constructor(getSnapshot, options = {}) {
+    this.getSnapshot = getSnapshot;
+    this.sessionKeyPrefix = options.sessionKey || 'worldsmithSession';
+    this.journalKeyPrefix = options.journalKey || 'worldsmithJournal';
+    this.interval = options.interval || 5000; // write at most every 5 seconds
+    this.heartbeatTimeout = options.heartbeatTimeout || 15000;
+    // Browsers run timers in background tabs as rarely as once a minute
+    this.hiddenHeartbeatTimeout = options.hiddenHeartbeatTimeout || 5 * 60 * 1000;
+
+    this.sessionId = Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6);
+    this.sessionKey = `${this.sessionKeyPrefix}_${this.sessionId}`;
+    this.journalKey = `${this.journalKeyPrefix}_${this.sessionId}`;
+    this.isDirty = false;
+    this.timer = null;
+    this.quotaWarned = false;
+    this.onQuotaExceeded = options.onQuotaExceeded || null;
+
+    this.handleChange = () => { this.isDirty = true; };
+    this.handlePageHide = () => this.markClean();
+    // Back from the back/forward cache: open again, not cleanly closed
+    this.handlePageShow = (e) => {
+      if (e.persisted) this.writeSession({ clean: false, hidden: document.hidden });
+    };
+    this.handleVisibility = () => {
+      if (document.hidden) {
+        this.flush();
+        this.writeSession({ hidden: true });
+      } else {
+        this.writeSession({ hidden: false });
+      }
+    };
+  }
+
+  readJSON(key) {
+    try {
+      const value = localStorage.getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Marker and journal keys of every session in storage, this tab's
+  // included. The unsuffixed keys are from before markers were per tab.
+  listSessionKeys() {
+    const entries = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key === this.sessionKeyPrefix) {
+        entries.push({ sessionKey: key, journalKey: this.journalKeyPrefix });
+      } else if (key && key.startsWith(`${this.sessionKeyPrefix}_`)) {
+        const id = key.slice(this.sessionKeyPrefix.length + 1);
+        entries.push({ sessionKey: key, journalKey: `${this.journalKeyPrefix}_${id}` });
+      }
+    }
+    return entries;
+  }
+
+  // Newest journal left by a session that did not shut down cleanly. Markers
+  // of sessions that closed cleanly long enough ago are removed on the way.
+  findRecoverableSession() {
+    let recovery = null;
+
+    this.listSessionKeys().forEach(keys => {
+      const session = this.readJSON(keys.sessionKey);
+      if (!session || session.id === this.sessionId) return;
+
+      // A fresh heartbeat means the session is still alive in another tab;
+      // hidden tabs beat far less often
+      const timeout = session.hidden ? this.hiddenHeartbeatTimeout : this.heartbeatTimeout;
+      const isStale = Date.now() - session.heartbeat >= timeout;
+      if (session.clean) {
+        if (isStale) this.removeKeys(keys);
+        return;
+      }
+      if (!session.needsRecovery && !isStale) return;
+
+      const journal = this.readJSON(keys.journalKey);
+      if (!journal || !journal.world || !journal.world.objects || journal.world.objects.length === 0) {
+        this.removeKeys(keys);
+        return;
+      }
+
+      if (!recovery || journal.savedAt > recovery.journal.savedAt) {
+        recovery = { session, journal, keys };
+      }
+    });
+
+    return recovery;
+  }
+
+  start() {
+    this.writeSession({ clean: false, needsRecovery: false, hidden: document.hidden });
+
+    document.addEventListener('historyChanged', this.handleChange);
+    document.addEventListener('environmentChanged', this.handleChange);
+    document.addEventListener('checkpointsChanged', this.handleChange);
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    window.addEventListener('pagehide', this.handlePageHide);
+    window.addEventListener('pageshow', this.handlePageShow);
+
+    this.timer = setInterval(() => this.tick(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    document.removeEventListener('historyChanged', this.handleChange);
+    document.removeEventListener('environmentChanged', this.handleChange);
+    document.removeEventListener('checkpointsChanged', this.handleChange);
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    window.removeEventListener('pageshow', this.handlePageShow);
+  }
+
+  tick() {
+    if (this.isDirty) {
+      this.flush();
+    } else {
+      this.writeSession({});
+    }
+  }
+
+  // Write the current world immediately
+  flush() {
+    try {
+      const journal = {
+        sessionId: this.sessionId,
+        savedAt: Date.now(),
+        ...this.getSnapshot()
+      };
+      localStorage.setItem(this.journalKey, JSON.stringify(journal));
+      this.isDirty = false;
+      this.writeSession({});
+    } catch (error) {
+      if (!this.quotaWarned) {
+        this.quotaWarned = true;
+        if (this.onQuotaExceeded) this.onQuotaExceeded(error);
+      }
+    }
+  }
+
+  writeSession(fields) {
+    const previous = this.readJSON(this.sessionKey);
+    const session = {
+      ...(previous && previous.id === this.sessionId ? previous : {}),
+      id: this.sessionId,
+      heartbeat: Date.now(),
+      ...fields
+    };
+
+    try {
+      localStorage.setItem(this.sessionKey, JSON.stringify(session));
+    } catch (error) {
+      // Marker is tiny; if even this fails there is nothing useful to do
+    }
+  }
+
+  // Keep the journal for the next startup even if the page is reloaded
+  // (used when the WebGL context is lost)
+  markForRecovery() {
+    this.flush();
+    this.writeSession({ clean: false, needsRecovery: true });
+  }
+
+  markClean() {
+    const session = this.readJSON(this.sessionKey);
+    if (session && session.id === this.sessionId && session.needsRecovery) {
+      return;
+    }
+
+    this.writeSession({ clean: true });
+  }
+
+  // Forget a session found by findRecoverableSession once it has been
+  // restored or declined
+  discard(recovery) {
+    this.removeKeys(recovery.keys);
+  }
+
+  removeKeys(keys) {
+    localStorage.removeItem(keys.sessionKey);
+    localStorage.removeItem(keys.journalKey);
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Share links - a whole world compressed into the URL hash
+ *
+ *   #world=<payload>          editable copy
+ *   #world=<payload>&view=1   read-only viewing
+ *
+ * The payload is base64url text prefixed with its encoding: 'z' for
+ * deflate-compressed JSON, 'j' for plain JSON where CompressionStream is
+ * unavailable.
+ */
+
+// Many chat apps and browsers truncate or reject longer URLs
+export const MAX_SHARE_HASH_LENGTH = 16000;
+
+// Upper bound for the JSON a link may inflate to. Worlds that fit in
+// MAX_SHARE_HASH_LENGTH come nowhere near it; a crafted link could otherwise
+// expand to hundreds of megabytes.
+const MAX_SHARE_JSON_BYTES = MAX_SHARE_HASH_LENGTH * 512;
+
+const HASH_KEY = 'world';
+const READ_ONLY_KEY = 'view';
+
+function toBase64Url(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function pipeThrough(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Like pipeThrough, but gives up once the output passes limit bytes
+async function inflate(bytes, limit) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > limit) {
+      reader.cancel();
+      throw new Error(`world is larger than ${Math.round(limit / (1024 * 1024))} MB`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+export function hasShareHash(hash) {
+  return new URLSearchParams(String(hash).replace(/^#/, '')).has(HASH_KEY);
+}
+
+// Resolves with the hash string ('#world=...') for the given world data
+export async function encodeShareHash(worldData, { readOnly = false } = {}) {
+  const json = new TextEncoder().encode(JSON.stringify(worldData));
+
+  let payload;
+  if (typeof CompressionStream !== 'undefined') {
+    payload = 'z' + toBase64Url(await pipeThrough(json, new CompressionStream('deflate-raw')));
+  } else {
+    payload = 'j' + toBase64Url(json);
+  }
+
+  return `#${HASH_KEY}=${payload}${readOnly ? `&${READ_ONLY_KEY}=1` : ''}`;
+}
+
+// Resolves with { world, readOnly } or null if the hash holds no world.
+// Throws if the payload is damaged (e.g. a truncated link).
+export async function decodeShareHash(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+  const payload = params.get(HASH_KEY);
+  if (!payload) return null;
+
+  let json;
+  try {
+    const bytes = fromBase64Url(payload.slice(1));
+    if (payload[0] === 'z') {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot decompress share links');
+      }
+      json = new TextDecoder().decode(await inflate(bytes, MAX_SHARE_JSON_BYTES));
+    } else if (payload[0] === 'j') {
+      json = new TextDecoder().decode(bytes);
+    } else {
+      throw new Error('unknown encoding');
+    }
+  } catch (error) {
+    throw new Error(`Share link is damaged or incomplete (${error.message})`);
+  }
+
+  return {
+    world: JSON.parse(json),
+    readOnly: params.get(READ_ONLY_KEY) === '1'
+  };
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { PlayerController, ThirdPersonCameraController, FirstPersonCameraController } from './rosieControls.js';
+
+/**
+ * Standalone player - runtime of exported HTML walk-throughs
+ *
+ * Not loaded by the editor: WorldExporter.exportStandaloneHTML inlines this
+ * file, the controls and three.js into the exported page. The scene comes
+ * from the #worldsmithScene JSON block:
+ * { title, scene (Object3D.toJSON), spawn: { x, y, z }, cameraMode, exposure }
+ */
+const data = JSON.parse(document.getElementById('worldsmithScene').textContent);
+
+const container = document.getElementById('gameContainer');
+const renderer = new THREE.WebGLRenderer({ antialias: true });
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+renderer.setSize(window.innerWidth, window.innerHeight);
+renderer.shadowMap.enabled = true;
+renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+renderer.outputColorSpace = THREE.SRGBColorSpace;
+renderer.toneMapping = THREE.ACESFilmicToneMapping;
+renderer.toneMappingExposure = data.exposure || 2.2;
+container.appendChild(renderer.domElement);
+
+const scene = new THREE.ObjectLoader().parse(data.scene);
+const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+
+// Same player and controller settings as the editor
+const player = new THREE.Mesh(
+  new THREE.CapsuleGeometry(0.4, 1.2, 4, 8),
+  new THREE.MeshLambertMaterial({ color: 0x4169E1 })
+);
+player.position.set(data.spawn.x, data.spawn.y, data.spawn.z);
+player.castShadow = true;
+scene.add(player);
+
+const playerController = new PlayerController(player, {
+  moveSpeed: 10,
+  jumpForce: 15,
+  gravity: 30,
+  groundLevel: 1
+});
+
+const thirdPersonController = new ThirdPersonCameraController(camera, player, renderer.domElement, {
+  distance: 7,
+  height: 3,
+  rotationSpeed: 0.003
+});
+
+const firstPersonController = new FirstPersonCameraController(camera, player, renderer.domElement, {
+  eyeHeight: 1.6,
+  mouseSensitivity: 0.002
+});
+
+let cameraMode = 'third-person';
+
+function setCameraMode(mode) {
+  if (mode === cameraMode) return;
+
+  if (mode === 'first-person') {
+    thirdPersonController.disable();
+    firstPersonController.rotationY = thirdPersonController.rotation;
+    firstPersonController.enable();
+  } else {
+    firstPersonController.disable();
+    thirdPersonController.rotation = firstPersonController.rotationY;
+    thirdPersonController.enable();
+  }
+
+  cameraMode = mode;
+  playerController.setCameraMode(mode);
+}
+
+if (data.cameraMode === 'first-person') {
+  setCameraMode('first-person');
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.code === 'KeyC') {
+    setCameraMode(cameraMode === 'third-person' ? 'first-person' : 'third-person');
+  }
+});
+
+window.addEventListener('resize', () => {
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(window.innerWidth, window.innerHeight);
+});
+
+// Fixed timestep for movement, as in the editor loop
+const fixedTimeStep = 1 / 60;
+const maxDeltaTime = 1 / 20;
+const clock = new THREE.Clock();
+let accumulator = 0;
+
+renderer.setAnimationLoop(() => {
+  accumulator += Math.min(clock.getDelta(), maxDeltaTime);
+
+  while (accumulator >= fixedTimeStep) {
+    const rotation = cameraMode === 'third-person' ? thirdPersonController.rotation : firstPersonController.rotationY;
+    playerController.update(fixedTimeStep, rotation);
+    accumulator -= fixedTimeStep;
+  }
+
+  if (cameraMode === 'third-person') {
+    thirdPersonController.update();
+  } else {
+    firstPersonController.update();
+  }
+
+  renderer.render(scene, camera);
+});
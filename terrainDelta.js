@@ -0,0 +1,92 @@
+/**
+ * Terrain deltas - compact records of terrain edits for undo history
+ *
+ * delta: {
+ *   runs: [[start, length], ...],   // consecutive ground vertex indices
+ *   prev: [0.12, ...],              // heights before the edit, in run order
+ *   next: [0.48, ...]               // heights after the edit, in run order
+ * }
+ *
+ * Only vertices that changed are stored; a brush stroke touches a few rows
+ * of neighbouring vertices, which pack into a handful of runs.
+ */
+
+// Delta between two full height lists (WorldData.serializeTerrain heights),
+// or null if nothing changed
+export function diffTerrainHeights(before, after) {
+  const changed = [];
+  for (let i = 0; i < after.length; i++) {
+    if (before[i] !== after[i]) changed.push([i, before[i], after[i]]);
+  }
+  return encodeDelta(changed);
+}
+
+// One delta with the effect of first followed by second
+export function mergeTerrainDeltas(first, second) {
+  const heights = new Map(); // index -> [prev, next]
+  forEachHeight(first, (index, prev, next) => heights.set(index, [prev, next]));
+  forEachHeight(second, (index, prev, next) => {
+    const earlier = heights.get(index);
+    heights.set(index, [earlier ? earlier[0] : prev, next]);
+  });
+
+  const changed = [...heights.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .filter(([, [prev, next]]) => prev !== next)
+    .map(([index, [prev, next]]) => [index, prev, next]);
+  return encodeDelta(changed);
+}
+
+// Write the 'prev' or 'next' heights of a delta into the ground mesh
+export function applyTerrainDelta(ground, delta, field) {
+  if (!ground || !ground.geometry) return false;
+
+  const positions = ground.geometry.attributes.position;
+  forEachHeight(delta, (index, prev, next) => {
+    if (index < positions.count) positions.setZ(index, field === 'prev' ? prev : next);
+  });
+
+  positions.needsUpdate = true;
+  ground.geometry.computeVertexNormals();
+  ground.geometry.computeBoundingSphere();
+  return true;
+}
+
+// Whether a value from a saved file has the delta layout
+export function isTerrainDelta(delta) {
+  if (!delta || !Array.isArray(delta.runs) || !Array.isArray(delta.prev) || !Array.isArray(delta.next)) {
+    return false;
+  }
+  const validRuns = delta.runs.every(run => Array.isArray(run) && run.length === 2 &&
+    Number.isInteger(run[0]) && run[0] >= 0 && Number.isInteger(run[1]) && run[1] > 0);
+  const count = validRuns ? delta.runs.reduce((total, run) => total + run[1], 0) : -1;
+  return count === delta.prev.length && count === delta.next.length;
+}
+
+function forEachHeight(delta, callback) {
+  let k = 0;
+  delta.runs.forEach(([start, length]) => {
+    for (let i = start; i < start + length; i++, k++) {
+      callback(i, delta.prev[k], delta.next[k]);
+    }
+  });
+}
+
+// changed: [index, prev, next] sorted by index
+function encodeDelta(changed) {
+  if (changed.length === 0) return null;
+
+  const delta = { runs: [], prev: [], next: [] };
+  let run = null;
+  changed.forEach(([index, prev, next]) => {
+    if (run && run[0] + run[1] === index) {
+      run[1]++;
+    } else {
+      run = [index, 1];
+      delta.runs.push(run);
+    }
+    delta.prev.push(prev);
+    delta.next.push(next);
+  });
+  return delta;
+}
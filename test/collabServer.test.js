@@ -0,0 +1,308 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { applyOperation, startRelay } from '../collabServer.js';
+
+function snapshot(id, fields = {}) {
+  return {
+    id,
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1, z: 1 },
+    userData: { type: 'shape', shapeType: 'cube' },
+    material: { color: 0xff0000, transparent: false, opacity: 1 },
+    visible: true,
+    ...fields
+  };
+}
+
+function transform(x) {
+  return { pos: { x, y: 0, z: 0 }, rot: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 } };
+}
+
+// A bare WebSocket client, so tests control exactly how frames arrive
+class TestEditor {
+  constructor(socket, head) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.messages = [];
+    this.waiting = [];
+    this.closeCode = null;
+    this.closed = new Promise(resolve => socket.on('close', () => resolve(this.closeCode)));
+    socket.on('data', data => this.receive(data));
+    if (head.length > 0) this.receive(head);
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    while (this.buffer.length >= 2) {
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (this.buffer.length < offset + length) return;
+
+      const opcode = this.buffer[0] & 0x0f;
+      const payload = this.buffer.subarray(offset, offset + length);
+      this.buffer = this.buffer.subarray(offset + length);
+      if (opcode === 0x1) this.deliver(JSON.parse(payload.toString('utf8')));
+      if (opcode === 0x8) this.closeCode = payload.readUInt16BE(0);
+    }
+  }
+
+  deliver(message) {
+    if (this.waiting.length > 0) this.waiting.shift()(message);
+    else this.messages.push(message);
+  }
+
+  next() {
+    if (this.messages.length > 0) return Promise.resolve(this.messages.shift());
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  frame(opcode, payload, { fin = true, masked = true } = {}) {
+    const mask = masked ? randomBytes(4) : Buffer.alloc(0);
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]);
+    } else {
+      header = Buffer.alloc(4);
+      header[0] = (fin ? 0x80 : 0) | opcode;
+      header[1] = (masked ? 0x80 : 0) | 126;
+      header.writeUInt16BE(payload.length, 2);
+    }
+    const body = Buffer.from(payload.map((byte, i) => masked ? byte ^ mask[i % 4] : byte));
+    return Buffer.concat([header, mask, body]);
+  }
+
+  send(message) {
+    this.socket.write(this.frame(0x1, Buffer.from(JSON.stringify(message))));
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+}
+
+let relay;
+let port;
+const editors = [];
+
+// Resolves with the upgrade { socket, head } or the refusing response
+function handshake(path) {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      host: '127.0.0.1',
+      port,
+      path,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+    req.on('upgrade', (response, socket, head) => resolve({ socket, head }));
+    req.on('response', response => {
+      response.resume();
+      resolve({ response });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function connect(room) {
+  const { socket, head } = await handshake(`/${room}`);
+  const editor = new TestEditor(socket, head);
+  editors.push(editor);
+  return editor;
+}
+
+// Two editors in a fresh room; the host brought obj_1
+async function joinRoom(room) {
+  const host = await connect(room);
+  host.send({ type: 'hello', name: 'Ann', objects: [snapshot('obj_1')] });
+  assert.equal((await host.next()).type, 'welcome');
+
+  const guest = await connect(room);
+  guest.send({ type: 'hello', name: 'Ben' });
+  const welcome = await guest.next();
+  assert.equal((await host.next()).type, 'join');
+  return { host, guest, welcome };
+}
+
+before(async () => {
+  relay = await startRelay({ port: 0, host: '127.0.0.1', log: () => {} });
+  port = relay.address().port;
+});
+
+after(async () => {
+  editors.forEach(editor => editor.destroy());
+  await new Promise(resolve => relay.close(resolve));
+});
+
+test('applyOperation creates, moves, edits and deletes snapshots', () => {
+  const objects = new Map();
+
+  assert.equal(applyOperation(objects, { kind: 'create', snapshot: snapshot('obj_1') }), true);
+  assert.equal(applyOperation(objects, { kind: 'transform', id: 'obj_1', transform: transform(4) }), true);
+  assert.equal(applyOperation(objects, { kind: 'property', id: 'obj_1', key: 'color', value: 0x00ff00 }), true);
+  assert.equal(applyOperation(objects, { kind: 'property', id: 'obj_1', key: 'visible', value: false }), true);
+  assert.equal(applyOperation(objects, { kind: 'property', id: 'obj_1', key: 'name', value: 'Crate' }), true);
+
+  const stored = objects.get('obj_1');
+  assert.deepEqual(stored.position, { x: 4, y: 0, z: 0 });
+  assert.equal(stored.material.color, 0x00ff00);
+  assert.equal(stored.visible, false);
+  assert.equal(stored.userData.name, 'Crate');
+
+  assert.equal(applyOperation(objects, { kind: 'delete', id: 'obj_1' }), true);
+  assert.equal(objects.size, 0);
+});
+
+test('applyOperation refuses ops on missing objects', () => {
+  const objects = new Map();
+
+  assert.equal(applyOperation(objects, { kind: 'delete', id: 'obj_1' }), false);
+  assert.equal(applyOperation(objects, { kind: 'transform', id: 'obj_1', transform: transform(1) }), false);
+  assert.equal(applyOperation(objects, { kind: 'property', id: 'obj_1', key: 'name', value: 'x' }), false);
+});
+
+test('applyOperation refuses malformed ops and leaves the snapshot alone', () => {
+  const objects = new Map([['obj_1', snapshot('obj_1')]]);
+  const before = structuredClone(objects.get('obj_1'));
+  const refused = [
+    null,
+    [],
+    'create',
+    { kind: 'create' },
+    { kind: 'create', snapshot: { ...snapshot('obj_2'), id: 2 } },
+    { kind: 'create', snapshot: { ...snapshot('obj_2'), userData: null } },
+    { kind: 'create', snapshot: { ...snapshot('obj_2'), position: { x: 0, y: 0 } } },
+    { kind: 'create', snapshot: { ...snapshot('obj_2'), scale: { x: 1, y: 1, z: Infinity } } },
+    { kind: 'transform', id: 'obj_1' },
+    { kind: 'transform', id: 'obj_1', transform: { ...transform(1), rot: null } },
+    { kind: 'transform', id: 'obj_1', transform: { ...transform(1), pos: { x: '1', y: 0, z: 0 } } },
+    { kind: 'property', id: 'obj_1', key: 'color', value: '#ff0000' },
+    { kind: 'property', id: 'obj_1', key: 'visible', value: 'yes' },
+    { kind: 'property', id: 'obj_1', key: 'name', value: 7 },
+    { kind: 'property', id: 'obj_1', key: '__proto__', value: {} },
+    { kind: 'explode', id: 'obj_1' }
+  ];
+
+  refused.forEach(op => assert.equal(applyOperation(objects, op), false, JSON.stringify(op)));
+  assert.deepEqual([...objects.keys()], ['obj_1']);
+  assert.deepEqual(objects.get('obj_1'), before);
+});
+
+test('the host brings the world and later editors get the room copy', async () => {
+  const host = await connect('welcome');
+  host.send({ type: 'hello', name: 'Ann', objects: [snapshot('obj_1'), { id: 'broken' }, 'junk'] });
+  const hostWelcome = await host.next();
+  assert.equal(hostWelcome.host, true);
+  assert.deepEqual(hostWelcome.objects, []);
+
+  const guest = await connect('welcome');
+  guest.send({ type: 'hello', name: 'Ben' });
+  const guestWelcome = await guest.next();
+  assert.equal(guestWelcome.host, false);
+  assert.deepEqual(guestWelcome.objects, [snapshot('obj_1')]);
+  assert.deepEqual(guestWelcome.peers.map(peer => peer.name), ['Ann']);
+  assert.notEqual(guestWelcome.color, hostWelcome.color);
+
+  const join = await host.next();
+  assert.equal(join.peer.name, 'Ben');
+
+  guest.destroy();
+  assert.deepEqual(await host.next(), { type: 'leave', clientId: guestWelcome.clientId });
+});
+
+test('accepted ops are acknowledged and forwarded to the others', async () => {
+  const { host, guest, welcome } = await joinRoom('ops');
+
+  const op = { kind: 'transform', id: 'obj_1', transform: transform(3) };
+  guest.send({ type: 'op', op });
+
+  assert.deepEqual(await guest.next(), { type: 'ack', seq: 1 });
+  assert.deepEqual(await host.next(), { type: 'op', op, seq: 1, clientId: welcome.clientId });
+});
+
+test('refused ops get the room copy of the object back and are not forwarded', async () => {
+  const { host, guest } = await joinRoom('reject');
+
+  host.send({ type: 'op', op: { kind: 'property', id: 'obj_1', key: 'name', value: 'Tower' } });
+  assert.equal((await host.next()).type, 'ack');
+  assert.equal((await guest.next()).type, 'op');
+
+  // A move that lost its rotation, and a rename of an object that is gone
+  guest.send({ type: 'op', op: { kind: 'transform', id: 'obj_1', transform: { pos: { x: 1, y: 0, z: 0 } } } });
+  const reject = await guest.next();
+  assert.equal(reject.type, 'reject');
+  assert.equal(reject.seq, 2);
+  assert.equal(reject.id, 'obj_1');
+  assert.equal(reject.snapshot.userData.name, 'Tower');
+  assert.deepEqual(reject.snapshot.position, { x: 0, y: 0, z: 0 });
+
+  guest.send({ type: 'op', op: { kind: 'property', id: 'obj_9', key: 'name', value: 'Ghost' } });
+  assert.deepEqual(await guest.next(), { type: 'reject', seq: 3, id: 'obj_9', snapshot: null });
+
+  guest.send({ type: 'op', op: { kind: 'create', snapshot: { id: 'obj_5' } } });
+  assert.deepEqual(await guest.next(), { type: 'reject', seq: 4, id: 'obj_5', snapshot: null });
+
+  guest.send({ type: 'op', op: 42 });
+  assert.deepEqual(await guest.next(), { type: 'reject', seq: 5, id: null, snapshot: null });
+
+  // The host saw none of them: its next message is this presence
+  guest.send({ type: 'presence', position: { x: 1, y: 2, z: 3 }, heading: 'north', selection: ['obj_1', 7, null] });
+  const presence = await host.next();
+  assert.equal(presence.type, 'presence');
+  assert.deepEqual(presence.position, { x: 1, y: 2, z: 3 });
+  assert.equal(presence.heading, 0);
+  assert.deepEqual(presence.selection, ['obj_1']);
+});
+
+test('a hello split into single bytes and message fragments still arrives', async () => {
+  const editor = await connect('chunks');
+  const payload = Buffer.from(JSON.stringify({ type: 'hello', name: 'Ann', objects: [snapshot('obj_1', { userData: { type: 'shape', note: 'x'.repeat(300) } })] }));
+  const frames = Buffer.concat([
+    editor.frame(0x1, payload.subarray(0, 100), { fin: false }),
+    editor.frame(0x9, Buffer.from('ping')),
+    editor.frame(0x0, payload.subarray(100))
+  ]);
+
+  for (const byte of frames) {
+    editor.socket.write(Buffer.from([byte]));
+  }
+
+  const welcome = await editor.next();
+  assert.equal(welcome.type, 'welcome');
+  assert.equal(welcome.host, true);
+});
+
+test('unmasked and binary frames close the connection', async () => {
+  const unmasked = await connect('frames');
+  unmasked.socket.write(unmasked.frame(0x1, Buffer.from('{}'), { masked: false }));
+  assert.equal(await unmasked.closed, 1002);
+
+  const binary = await connect('frames');
+  binary.socket.write(binary.frame(0x2, Buffer.from([1, 2, 3])));
+  assert.equal(await binary.closed, 1003);
+});
+
+test('bad room names and plain requests are refused', async () => {
+  const { response } = await handshake('/%E0%A4%A');
+  assert.equal(response.statusCode, 400);
+
+  const plain = await new Promise((resolve, reject) => {
+    request({ host: '127.0.0.1', port, path: '/room' }, resolve).on('error', reject).end();
+  });
+  plain.resume();
+  assert.equal(plain.statusCode, 426);
+});
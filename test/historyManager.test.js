@@ -0,0 +1,280 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HistoryManager } from '../historyManager.js';
+
+// HistoryManager announces changes on document and updates the undo buttons
+globalThis.document = Object.assign(new EventTarget(), { getElementById: () => null });
+
+let world;
+let history;
+
+function createWorld() {
+  return {
+    scene: new THREE.Scene(),
+    createdObjects: [],
+    objectCreator: { createShape: () => new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()) },
+    updateObjectCount() {},
+    showToast() {},
+    setEnvironmentValue() {}
+  };
+}
+
+// An object in the scene with the given history id
+function addObject(id) {
+  const object = new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial());
+  object.userData = { type: 'shape', shapeType: 'cube', historyId: id };
+  world.scene.add(object);
+  world.createdObjects.push(object);
+  history.getObjectId(object);
+  return object;
+}
+
+function transform(x) {
+  return { pos: { x, y: 0, z: 0 }, rot: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 } };
+}
+
+// Commit one step that moves an object from x = from to x = to
+function move(object, from, to, label = 'Move') {
+  history.startTransaction(label);
+  history.recordTransformChange(object, transform(from), transform(to));
+  object.position.x = to;
+  history.commitTransaction();
+  return history.currentNodeId;
+}
+
+function labels(stack) {
+  return stack.map(node => node.label);
+}
+
+beforeEach(() => {
+  world = createWorld();
+  history = new HistoryManager(world);
+});
+
+test('a new step after an undo keeps the undone one as a branch', () => {
+  const box = addObject('obj_1');
+  move(box, 0, 1, 'A');
+  const b = move(box, 1, 2, 'B');
+  history.undo();
+  const c = move(box, 1, 3, 'C');
+
+  assert.deepEqual(labels(history.undoStack), ['A', 'C']);
+  assert.deepEqual(history.redoStack, []);
+  assert.ok(history.nodes.has(b));
+  assert.deepEqual(history.getBranchInfo(), { index: 2, count: 2 });
+
+  assert.ok(history.jumpTo(b));
+  assert.equal(box.position.x, 2);
+  assert.deepEqual(labels(history.undoStack), ['A', 'B']);
+
+  // Redo from A now follows B; C is still reachable
+  history.undo();
+  assert.deepEqual(labels(history.redoStack), ['B']);
+  assert.ok(history.jumpTo(c));
+  assert.equal(box.position.x, 3);
+});
+
+test('jumping to the initial state undoes the whole line', () => {
+  const box = addObject('obj_1');
+  move(box, 0, 1);
+  move(box, 1, 2);
+
+  assert.ok(history.jumpTo(null));
+  assert.equal(box.position.x, 0);
+  assert.equal(history.undoStack.length, 0);
+  assert.equal(history.redoStack.length, 2);
+  assert.equal(history.jumpTo('missing'), false);
+});
+
+test('the current line is pruned to maxHistorySize from the oldest step', () => {
+  history.maxHistorySize = 3;
+  const box = addObject('obj_1');
+  for (let i = 0; i < 5; i++) move(box, i, i + 1, `Step ${i}`);
+
+  assert.deepEqual(labels(history.undoStack), ['Step 2', 'Step 3', 'Step 4']);
+  assert.equal(history.undoStack[0].parentId, null);
+  assert.equal(history.nodes.size, 3);
+});
+
+test('branches are pruned to maxBranchNodes, oldest first', () => {
+  history.maxBranchNodes = 1;
+  const box = addObject('obj_1');
+  move(box, 0, 1, 'A');
+  const b1 = move(box, 1, 2, 'B1');
+  history.undo();
+  const b2 = move(box, 1, 3, 'B2');
+  history.undo();
+  move(box, 1, 4, 'B3');
+
+  assert.equal(history.nodes.has(b1), false);
+  assert.ok(history.nodes.has(b2));
+  assert.equal(history.nodes.size, 3);
+});
+
+test('successive moves of one object compact into one change', () => {
+  const box = addObject('obj_1');
+  history.startTransaction('Drag');
+  history.recordTransformChange(box, transform(0), transform(1));
+  history.recordTransformChange(box, transform(1), transform(2));
+  history.recordPropertyChange(box, 'name', null, 'Crate');
+  history.recordPropertyChange(box, 'name', 'Crate', 'Box');
+  history.commitTransaction();
+
+  const [step] = history.undoStack;
+  assert.equal(step.changes.length, 2);
+  assert.deepEqual(step.changes[0].prev, transform(0));
+  assert.deepEqual(step.changes[0].next, transform(2));
+  assert.equal(step.changes[1].prev, null);
+  assert.equal(step.changes[1].next, 'Box');
+});
+
+test('an object created and deleted in one step leaves no step behind', () => {
+  const box = addObject('obj_1');
+  history.startTransaction('Create');
+  history.recordObjectCreation(box);
+  history.recordTransformChange(box, transform(0), transform(1));
+  history.recordObjectDeletion(box);
+  history.commitTransaction();
+
+  assert.equal(history.undoStack.length, 0);
+  assert.equal(history.nodes.size, 0);
+});
+
+test('edits on both sides of a delete and re-create are not merged', () => {
+  const box = addObject('obj_1');
+  const snapshot = history.createObjectSnapshot(box);
+  history.startTransaction('Replace');
+  history.recordTransformChange(box, transform(0), transform(1));
+  history.recordObjectDeletion(box, snapshot);
+  history.recordObjectCreation(box, snapshot);
+  history.recordTransformChange(box, transform(0), transform(2));
+  history.commitTransaction();
+
+  assert.deepEqual(history.undoStack[0].changes.map(change => change.type), ['xform', 'delete', 'create', 'xform']);
+});
+
+test('saved history comes back with its branches and branch choices', () => {
+  const box = addObject('obj_1');
+  move(box, 0, 1, 'A');
+  move(box, 1, 2, 'B');
+  history.undo();
+  move(box, 1, 3, 'C');
+  history.undo();
+  const saved = JSON.parse(JSON.stringify(history.serializeHistory()));
+
+  const reloaded = new HistoryManager(world);
+  const report = reloaded.deserializeHistory(saved);
+
+  assert.deepEqual(report, { undo: 1, redo: 1, branches: 1, droppedUndo: 0, droppedRedo: 0, trimmed: 0 });
+  assert.deepEqual(labels(reloaded.undoStack), ['A']);
+  assert.deepEqual(labels(reloaded.redoStack), ['C']);
+});
+
+test('older saves without parent links are chained into a line', () => {
+  addObject('obj_1');
+  const step = (id, x) => ({ id, label: id, timestamp: 1, changes: [{ type: 'xform', id: 'obj_1', prev: transform(x), next: transform(x + 1) }] });
+
+  const report = history.deserializeHistory({ undoStack: [step('a', 0), step('b', 1)], redoStack: [step('c', 2)] });
+
+  assert.deepEqual(report.undo, 2);
+  assert.deepEqual(report.redo, 1);
+  assert.equal(history.nodes.get('a').parentId, null);
+  assert.equal(history.nodes.get('b').parentId, 'a');
+  assert.equal(history.nodes.get('c').parentId, 'b');
+});
+
+test('steps that do not match the loaded objects are dropped with the ones after them', () => {
+  const box = addObject('obj_1');
+  move(box, 0, 1, 'A');
+  move(box, 1, 2, 'B');
+  const saved = JSON.parse(JSON.stringify(history.serializeHistory()));
+
+  // The save is loaded into a world where the box has a different id
+  world = createWorld();
+  addObject('obj_9');
+  history = new HistoryManager(world);
+  history.rebuildObjectTracking();
+  const report = history.deserializeHistory(saved);
+
+  assert.equal(report.undo, 0);
+  assert.equal(report.droppedUndo, 2);
+  assert.equal(history.currentNodeId, null);
+});
+
+test('an undo step is cut where it stops replaying, keeping the later ones', () => {
+  addObject('obj_1');
+  const step = (id, parentId, changes) => ({ id, label: id, timestamp: 1, parentId, changes });
+  const snapshot = { id: 'obj_2', position: {}, rotation: {}, scale: {}, userData: {} };
+
+  // 'a' deleted obj_2, but the loaded world has it, so 'a' cannot be undone
+  addObject('obj_2');
+  const report = history.deserializeHistory({
+    undoStack: [
+      step('a', null, [{ type: 'delete', id: 'obj_2', snapshotOld: snapshot }]),
+      step('b', 'a', [{ type: 'xform', id: 'obj_1', prev: transform(0), next: transform(1) }])
+    ],
+    redoStack: []
+  });
+
+  assert.equal(report.undo, 1);
+  assert.equal(report.droppedUndo, 1);
+  assert.equal(history.nodes.get('b').parentId, null);
+});
+
+test('malformed steps and redo steps that cannot replay are dropped', () => {
+  addObject('obj_1');
+  const step = (id, parentId, changes) => ({ id, label: id, timestamp: 1, parentId, changes });
+
+  const report = history.deserializeHistory({
+    undoStack: [step('a', null, [{ type: 'xform', id: 'obj_1', prev: transform(0), next: transform(1) }])],
+    redoStack: [step('c', 'b', [{ type: 'xform', id: 'obj_1', prev: transform(2), next: transform(3) }]), step('b', 'a', [{ type: 'teleport', id: 'obj_1' }])],
+    branches: [step('d', 'a', [{ type: 'delete', id: 'obj_5', snapshotOld: { id: 'obj_5' } }]), null]
+  });
+
+  assert.equal(report.undo, 1);
+  assert.equal(report.redo, 0);
+  assert.equal(report.branches, 0);
+  assert.equal(report.droppedRedo, 3);
+  assert.deepEqual([...history.nodes.keys()], ['a']);
+});
+
+test('restored history reserves the object ids its steps refer to', () => {
+  addObject('obj_1');
+  const snapshot = { id: 'obj_7', position: {}, rotation: {}, scale: {}, userData: {} };
+
+  history.deserializeHistory({
+    undoStack: [{ id: 'a', label: 'a', timestamp: 1, changes: [{ type: 'delete', id: 'obj_7', snapshotOld: snapshot }] }],
+    redoStack: [],
+    nextObjectId: 2
+  });
+
+  assert.equal(history.generateObjectId(), 'obj_8');
+});
+
+test('non-history data restores nothing', () => {
+  assert.deepEqual(history.deserializeHistory({ undoStack: 'nope' }), { undo: 0, redo: 0, branches: 0, droppedUndo: 0, droppedRedo: 0, trimmed: 0 });
+  assert.equal(history.deserializeHistory(null).undo, 0);
+});
+
+test('saving over the size budget drops branches before undo steps', () => {
+  const box = addObject('obj_1');
+  move(box, 0, 1, 'A');
+  move(box, 1, 2, 'B');
+  history.undo();
+  move(box, 1, 3, 'C');
+  const full = history.serializeHistory();
+  const sizeOf = node => JSON.stringify(node).length;
+
+  history.maxSavedHistoryBytes = sizeOf(full.undoStack[0]) + sizeOf(full.undoStack[1]);
+  const withoutBranches = history.serializeHistory();
+  assert.deepEqual(withoutBranches.branches, []);
+  assert.deepEqual(labels(withoutBranches.undoStack), ['A', 'C']);
+  assert.equal(withoutBranches.trimmed, 1);
+
+  history.maxSavedHistoryBytes = sizeOf(full.undoStack[1]);
+  const newestOnly = history.serializeHistory();
+  assert.deepEqual(labels(newestOnly.undoStack), ['C']);
+  assert.equal(newestOnly.undoStack[0].parentId, null);
+  assert.equal(newestOnly.trimmed, 2);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROSIE_TOOLS, validateToolCall, OpenAICompatibleProvider } from '../languageModel.js';
+import { planToolCalls, startMockModel } from '../mockModelServer.js';
+
+test('well-formed calls to every tool pass', () => {
+  const calls = [
+    ['create_object', { description: 'pine tree', color: 'green', size: 'large', position: { x: 1, y: 0, z: -2 } }],
+    ['move_object', { object_id: 'obj_3', direction: 'left' }],
+    ['move_object', { position: { x: 0, y: 0, z: 0 } }],
+    ['modify_object', { color: '#12abEF', scale: 2 }],
+    ['modify_object', { object_id: 'obj_alice_4', visible: false }],
+    ['duplicate_object', { count: 50, pattern: 'circle' }],
+    ['set_environment', { time_of_day: 'dusk', weather: 'snow' }]
+  ];
+
+  calls.forEach(([name, args]) => assert.deepEqual(validateToolCall(name, args).errors, [], name));
+  assert.deepEqual(new Set(calls.map(([name]) => name)), new Set(ROSIE_TOOLS.map(tool => tool.function.name)));
+});
+
+test('arguments may arrive as JSON text', () => {
+  const call = validateToolCall('duplicate_object', '{"count": 3}');
+
+  assert.deepEqual(call.args, { count: 3 });
+  assert.deepEqual(call.errors, []);
+  assert.deepEqual(validateToolCall('set_environment', '').errors, ['set_environment: arguments needs one of: time_of_day, weather']);
+  assert.deepEqual(validateToolCall('create_object', '{"description":').errors, ['arguments are not valid JSON']);
+});
+
+test('unknown tools are refused', () => {
+  assert.deepEqual(validateToolCall('delete_world', {}).errors, ['unknown tool "delete_world"']);
+  assert.deepEqual(validateToolCall('toString', {}).errors, ['unknown tool "toString"']);
+});
+
+test('every broken rule is reported with its path', () => {
+  const { errors } = validateToolCall('create_object', {
+    color: 'teal',
+    size: 3,
+    position: { x: 2000, y: 'up' },
+    extra: true
+  });
+
+  assert.deepEqual(errors, [
+    'create_object: arguments.description is required',
+    'create_object: arguments.color must be one of red, blue, green, yellow, purple, orange, pink, black, white, brown, gray, gold, silver',
+    'create_object: arguments.size must be a string',
+    'create_object: arguments.position.z is required',
+    'create_object: arguments.position.x must be at most 1000',
+    'create_object: arguments.position.y must be a number',
+    'create_object: arguments.extra is not allowed'
+  ]);
+});
+
+test('strings, numbers and booleans are checked against their limits', () => {
+  const errorsOf = (name, args) => validateToolCall(name, args).errors;
+
+  assert.deepEqual(errorsOf('create_object', { description: '' }), ['create_object: arguments.description is too short']);
+  assert.deepEqual(errorsOf('create_object', { description: 'x'.repeat(201) }), ['create_object: arguments.description is too long']);
+  assert.deepEqual(errorsOf('move_object', { object_id: 'house', direction: 'left' }), ['move_object: arguments.object_id has an unexpected format']);
+  assert.deepEqual(errorsOf('modify_object', { color: '#fff' }), ['modify_object: arguments.color has an unexpected format']);
+  assert.deepEqual(errorsOf('modify_object', { scale: 0.01 }), ['modify_object: arguments.scale must be at least 0.1']);
+  assert.deepEqual(errorsOf('modify_object', { scale: Infinity }), ['modify_object: arguments.scale must be a number']);
+  assert.deepEqual(errorsOf('modify_object', { visible: 'no' }), ['modify_object: arguments.visible must be true or false']);
+  assert.deepEqual(errorsOf('duplicate_object', { count: 2.5 }), ['duplicate_object: arguments.count must be a whole number']);
+  assert.deepEqual(errorsOf('duplicate_object', { count: 51 }), ['duplicate_object: arguments.count must be at most 50']);
+});
+
+test('arguments must be an object with one of the alternatives', () => {
+  assert.deepEqual(validateToolCall('move_object', [1, 2]).errors, ['move_object: arguments must be an object']);
+  assert.deepEqual(validateToolCall('move_object', null).errors, ['move_object: arguments must be an object']);
+  assert.deepEqual(validateToolCall('move_object', { object_id: 'obj_1' }).errors, ['move_object: arguments needs one of: position, direction']);
+  assert.deepEqual(validateToolCall('modify_object', {}).errors, ['modify_object: arguments needs one of: color, scale, name, visible']);
+});
+
+test('the mock model only plans calls that pass the schema', () => {
+  const world = { objects: [{ id: 'obj_2', name: 'House' }] };
+  const calls = planToolCalls('build a big red house then move the house left; make 5 copies in a circle; make it night and rain; paint it blue', world);
+
+  assert.deepEqual(calls.map(call => call.name), ['create_object', 'move_object', 'duplicate_object', 'set_environment', 'modify_object']);
+  assert.deepEqual(calls[1].args, { object_id: 'obj_2', direction: 'left' });
+  calls.forEach(call => assert.deepEqual(validateToolCall(call.name, call.args).errors, [], call.name));
+});
+
+test('the provider reads tool calls from an OpenAI-compatible endpoint', async () => {
+  const server = await startMockModel({ port: 0, host: '127.0.0.1', key: 'secret', log: () => {} });
+  const url = `http://127.0.0.1:${server.address().port}/v1/`;
+
+  try {
+    const provider = new OpenAICompatibleProvider({ url, model: 'mock', apiKey: 'secret' });
+    assert.equal(provider.endpoint, `${url}chat/completions`);
+
+    const reply = await provider.complete([{ role: 'user', content: 'make it dusk' }], ROSIE_TOOLS);
+    assert.deepEqual(reply.toolCalls, [{ name: 'set_environment', arguments: '{"time_of_day":"dusk"}' }]);
+
+    const question = await provider.complete([{ role: 'user', content: 'what can you do?' }], ROSIE_TOOLS);
+    assert.deepEqual(question.toolCalls, []);
+    assert.match(question.content, /mock model/);
+
+    const wrongKey = new OpenAICompatibleProvider({ url, model: 'mock', apiKey: 'other' });
+    await assert.rejects(wrongKey.complete([], ROSIE_TOOLS), { message: 'endpoint answered 401: Incorrect API key provided' });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
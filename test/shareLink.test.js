@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareHash, decodeShareHash, hasShareHash } from '../shareLink.js';
+
+const world = {
+  version: '1.2.0',
+  name: 'Village',
+  objects: Array.from({ length: 20 }, (_, i) => ({ id: `obj_${i + 1}`, type: 'shape', shapeType: 'cube', position: { x: i, y: 0, z: 0 } }))
+};
+
+// Deflate bytes the way a hand-made link would carry them
+async function deflate(text) {
+  const stream = new Blob([new TextEncoder().encode(text)]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function base64Url(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+test('a world survives the round trip through a compressed link', async () => {
+  const hash = await encodeShareHash(world);
+
+  assert.match(hash, /^#world=z[A-Za-z0-9_-]+$/);
+  assert.ok(hash.length < JSON.stringify(world).length);
+  assert.deepEqual(await decodeShareHash(hash), { world, readOnly: false });
+});
+
+test('read-only links say so', async () => {
+  const hash = await encodeShareHash(world, { readOnly: true });
+
+  assert.match(hash, /&view=1$/);
+  assert.equal((await decodeShareHash(hash)).readOnly, true);
+  assert.equal((await decodeShareHash(hash.slice(1))).readOnly, true);
+});
+
+test('plain JSON links are made and read without CompressionStream', async () => {
+  const compressionStream = globalThis.CompressionStream;
+  globalThis.CompressionStream = undefined;
+  let hash;
+  try {
+    hash = await encodeShareHash(world);
+  } finally {
+    globalThis.CompressionStream = compressionStream;
+  }
+
+  assert.match(hash, /^#world=j/);
+  assert.deepEqual((await decodeShareHash(hash)).world, world);
+});
+
+test('hashes without a world are not share links', async () => {
+  assert.equal(hasShareHash('#world=zabc'), true);
+  assert.equal(hasShareHash('world=zabc&view=1'), true);
+  assert.equal(hasShareHash('#section=tools'), false);
+  assert.equal(hasShareHash(''), false);
+  assert.equal(await decodeShareHash('#section=tools'), null);
+  assert.equal(await decodeShareHash('#world='), null);
+});
+
+test('truncated or unknown payloads are reported as damaged', async () => {
+  const hash = await encodeShareHash(world);
+
+  await assert.rejects(decodeShareHash(hash.slice(0, hash.length / 2)), /^Error: Share link is damaged or incomplete/);
+  await assert.rejects(decodeShareHash('#world=xAAAA'), { message: 'Share link is damaged or incomplete (unknown encoding)' });
+});
+
+test('a link that inflates past the size limit is refused', async () => {
+  // A few kilobytes of link that would expand to 9 MB of JSON
+  const bomb = await deflate(`{"name":"${'0'.repeat(9 * 1024 * 1024)}"}`);
+  assert.ok(bomb.length < 16000);
+
+  await assert.rejects(decodeShareHash(`#world=z${base64Url(bomb)}`), {
+    message: 'Share link is damaged or incomplete (world is larger than 8 MB)'
+  });
+});
+
+test('a large world within the limit still decodes', async () => {
+  const text = JSON.stringify({ name: '0'.repeat(7 * 1024 * 1024) });
+
+  const decoded = await decodeShareHash(`#world=z${base64Url(await deflate(text))}`);
+  assert.equal(decoded.world.name.length, 7 * 1024 * 1024);
+});
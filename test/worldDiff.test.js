@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWorlds } from '../worldDiff.js';
+
+function entry(fields = {}) {
+  return {
+    type: 'mesh',
+    shapeType: 'cube',
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    scale: { x: 1, y: 1, z: 1 },
+    color: 0xff0000,
+    ...fields
+  };
+}
+
+test('identical worlds have no differences', () => {
+  const world = [entry({ id: 'obj_1' }), entry({ id: 'obj_2', shapeType: 'sphere' })];
+  assert.deepEqual(diffWorlds(world, structuredClone(world)), []);
+});
+
+test('objects only in one world are added or removed', () => {
+  const differences = diffWorlds([entry({ id: 'obj_1' })], [entry({ id: 'obj_2' })]);
+
+  assert.deepEqual(differences.map(d => [d.id, d.status]), [['obj_2', 'added'], ['obj_1', 'removed']]);
+  assert.equal(differences[0].ours, null);
+  assert.equal(differences[1].theirs, null);
+});
+
+test('a matched object lists every kind of change', () => {
+  const ours = entry({ id: 'obj_1', name: 'Box', node: { material: { color: 1, roughness: 0.5 }, children: [] } });
+  const theirs = entry({
+    id: 'obj_1',
+    name: 'Crate',
+    position: { x: 2, y: 0, z: 0 },
+    node: { material: { color: 2, roughness: 0.9 }, children: [] }
+  });
+
+  const [difference] = diffWorlds([ours], [theirs]);
+  assert.equal(difference.status, 'changed');
+  assert.deepEqual(difference.changes, ['moved', 'recolored', 'renamed', 'edited']);
+});
+
+test('movements within the tolerance and root visibility are ignored', () => {
+  const ours = entry({ id: 'obj_1', node: { visible: true, children: [] } });
+  const theirs = entry({ id: 'obj_1', position: { x: 0.00001, y: 0, z: 0 }, node: { visible: false, children: [] } });
+
+  assert.deepEqual(diffWorlds([ours], [theirs]), []);
+});
+
+test('the same id on a different kind of object is removed + added', () => {
+  const differences = diffWorlds([entry({ id: 'obj_1' })], [entry({ id: 'obj_1', shapeType: 'sphere' })]);
+
+  assert.deepEqual(differences.map(d => [d.id, d.status]), [['new_0', 'added'], ['obj_1', 'removed']]);
+});
+
+test('a repeated id in the compared file is a separate added object', () => {
+  const ours = [entry({ id: 'obj_1' })];
+  const theirs = [entry({ id: 'obj_1' }), entry({ id: 'obj_1', position: { x: 5, y: 0, z: 0 } })];
+
+  const differences = diffWorlds(ours, theirs);
+  assert.equal(differences.length, 1);
+  assert.equal(differences[0].id, 'new_1');
+  assert.equal(differences[0].status, 'added');
+  assert.equal(differences[0].theirs, theirs[1]);
+});
+
+test('a repeated id never matches the second copy after the first was a different kind', () => {
+  const ours = [entry({ id: 'obj_1' })];
+  const theirs = [entry({ id: 'obj_1', shapeType: 'sphere' }), entry({ id: 'obj_1' })];
+
+  const differences = diffWorlds(ours, theirs);
+  assert.deepEqual(differences.map(d => [d.id, d.status]), [['new_0', 'added'], ['new_1', 'added'], ['obj_1', 'removed']]);
+});
+
+test('entries without ids get generated keys', () => {
+  const differences = diffWorlds([entry()], [entry()]);
+
+  assert.deepEqual(differences.map(d => [d.id, d.status]), [['new_0', 'added'], ['ours_0', 'removed']]);
+});
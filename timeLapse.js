@@ -0,0 +1,420 @@
+import * as THREE from 'three';
+import { diffTerrainHeights, applyTerrainDelta } from './terrainDelta.js';
+
+/**
+ * TimeLapse - replays how the world was built. The steps of the undo line
+ * (HistoryManager.undoStack) are rebuilt one by one in a separate group,
+ * starting from the world as it was before the first step, while the camera
+ * orbits the finished world.
+ *
+ * The live objects are taken out of the scene for the replay and put back
+ * afterwards, with the environment, terrain and camera; history and the
+ * saved world are not touched.
+ *
+ * Frames can be captured while playing: 'webm' records the canvas with
+ * MediaRecorder, 'png' keeps one PNG per step and packs them into a zip.
+ */
+
+const ORBIT_SPEED = 0.25; // radians per second
+const HOLD_SECONDS = 2; // on the finished world before stopping
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export class TimeLapse {
+  // options.onStep(index, count, transaction) after each step,
+  // options.onFinish({ file, cancelled, error }) once the world is back;
+  // file is { blob, extension } for captures
+  constructor(worldsmith, options = {}) {
+    this.worldsmith = worldsmith;
+    this.onStep = options.onStep || null;
+    this.onFinish = options.onFinish || null;
+    this.state = null;
+  }
+
+  get isActive() {
+    return this.state !== null;
+  }
+
+  static canRecordVideo(canvas) {
+    return typeof MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function' &&
+      VIDEO_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+  }
+
+  // speed: steps per second; capture: null | 'webm' | 'png'.
+  // Returns the number of steps to play (0: no history, nothing started).
+  start({ speed = 2, capture = null } = {}) {
+    if (this.state) return 0;
+
+    const worldsmith = this.worldsmith;
+    const history = worldsmith.historyManager;
+    const line = [...history.undoStack];
+    if (line.length === 0) return 0;
+
+    if (capture === 'webm' && !TimeLapse.canRecordVideo(worldsmith.renderer.domElement)) {
+      throw new Error('Video recording is not supported in this browser');
+    }
+
+    // Orbit around the finished world
+    const bounds = new THREE.Box3();
+    worldsmith.createdObjects.forEach(obj => bounds.expandByObject(obj));
+    const sphere = bounds.isEmpty() ? new THREE.Sphere(new THREE.Vector3(), 8) : bounds.getBoundingSphere(new THREE.Sphere());
+
+    const environment = environmentOf(worldsmith);
+    const terrain = worldsmith.worldData.serializeTerrain(worldsmith.ground);
+    const initial = rewindLine(line, worldsmith.createdObjects.map(obj => history.createObjectSnapshot(obj)), environment);
+
+    const group = new THREE.Group();
+    group.name = 'Time-lapse';
+
+    this.state = {
+      line,
+      index: 0,
+      elapsed: 0,
+      speed,
+      paused: false,
+      finishing: false,
+      group,
+      objects: new Map(), // history id -> rebuilt object
+      center: sphere.center.clone(),
+      radius: Math.max(sphere.radius * 2.5, 15),
+      angle: 0,
+      startedAt: performance.now(),
+      saved: {
+        position: worldsmith.camera.position.clone(),
+        quaternion: worldsmith.camera.quaternion.clone(),
+        environment,
+        heights: terrain ? terrain.heights : null
+      },
+      capture,
+      frames: [], // PNG blob promises
+      recorder: null,
+      chunks: []
+    };
+
+    worldsmith.createdObjects.forEach(obj => worldsmith.scene.remove(obj));
+    worldsmith.scene.add(group);
+
+    // Terrain and environment as they were before the first step
+    for (let i = line.length - 1; i >= 0; i--) {
+      line[i].changes.forEach(change => {
+        if (change.type === 'terrain') applyTerrainDelta(worldsmith.ground, change, 'prev');
+      });
+    }
+    Object.entries(initial.environment).forEach(([key, value]) => worldsmith.setEnvironmentValue(key, value));
+    initial.snapshots.forEach(snapshot => this.addObject(snapshot));
+
+    this.placeCamera();
+    if (capture === 'webm') this.startRecorder();
+    if (capture === 'png') this.captureFrame();
+
+    return line.length;
+  }
+
+  setSpeed(speed) {
+    if (this.state && speed > 0) this.state.speed = speed;
+  }
+
+  togglePause() {
+    if (!this.state) return false;
+    this.state.paused = !this.state.paused;
+    return this.state.paused;
+  }
+
+  // Called every frame from the game loop
+  update(deltaTime) {
+    const state = this.state;
+    if (!state || state.finishing) return;
+
+    state.angle += deltaTime * ORBIT_SPEED;
+    this.placeCamera();
+    if (state.paused) return;
+
+    state.elapsed += deltaTime;
+    if (state.index < state.line.length) {
+      if (state.elapsed < 1 / state.speed) return;
+      state.elapsed = 0;
+
+      const transaction = state.line[state.index];
+      transaction.changes.forEach(change => this.applyChange(change));
+      state.index++;
+
+      if (state.capture === 'png') this.captureFrame();
+      if (this.onStep) this.onStep(state.index, state.line.length, transaction);
+    } else if (state.elapsed >= HOLD_SECONDS) {
+      this.finish(false);
+    }
+  }
+
+  // End the replay and put the world back. Captures are finished unless
+  // cancelled.
+  async finish(cancelled = true) {
+    const state = this.state;
+    if (!state || state.finishing) return;
+    state.finishing = true;
+
+    let file = null;
+    let error = null;
+    try {
+      if (state.recorder) {
+        const blob = await this.stopRecorder();
+        if (!cancelled) file = { blob, extension: 'webm' };
+      } else if (state.capture === 'png' && !cancelled) {
+        file = { blob: await this.buildFrameArchive(), extension: 'zip' };
+      }
+    } catch (e) {
+      error = e;
+    } finally {
+      this.restore();
+      if (this.onFinish) this.onFinish({ file, cancelled, error });
+    }
+  }
+
+  applyChange(change) {
+    const worldsmith = this.worldsmith;
+    const objects = this.state.objects;
+    const object = objects.get(change.id);
+
+    switch (change.type) {
+      case 'create':
+        this.addObject(change.snapshotNew);
+        break;
+      case 'delete':
+        if (object) {
+          this.state.group.remove(object);
+          worldsmith.disposeObject(object);
+          objects.delete(change.id);
+        }
+        break;
+      case 'xform':
+        if (object && change.next) {
+          object.position.set(change.next.pos.x, change.next.pos.y, change.next.pos.z);
+          object.rotation.set(change.next.rot.x, change.next.rot.y, change.next.rot.z);
+          object.scale.set(change.next.scale.x, change.next.scale.y, change.next.scale.z);
+        }
+        break;
+      case 'prop':
+        if (object) worldsmith.historyManager.setObjectProperty(object, change.key, change.next);
+        break;
+      case 'env':
+        worldsmith.setEnvironmentValue(change.key, change.next);
+        break;
+      case 'terrain':
+        applyTerrainDelta(worldsmith.ground, change, 'next');
+        break;
+    }
+  }
+
+  addObject(snapshot) {
+    const object = this.worldsmith.historyManager.buildObjectFromSnapshot(snapshot);
+    if (!object) return;
+    this.state.group.add(object);
+    this.state.objects.set(snapshot.id, object);
+  }
+
+  placeCamera() {
+    const { center, radius, angle } = this.state;
+    const camera = this.worldsmith.camera;
+    camera.position.set(
+      center.x + Math.cos(angle) * radius,
+      center.y + radius * 0.5,
+      center.z + Math.sin(angle) * radius
+    );
+    camera.lookAt(center);
+  }
+
+  restore() {
+    const worldsmith = this.worldsmith;
+    const state = this.state;
+
+    state.group.removeFromParent();
+    state.objects.forEach(object => worldsmith.disposeObject(object));
+    worldsmith.createdObjects.forEach(obj => worldsmith.scene.add(obj));
+
+    const terrain = worldsmith.worldData.serializeTerrain(worldsmith.ground);
+    if (terrain && state.saved.heights) {
+      const delta = diffTerrainHeights(terrain.heights, state.saved.heights);
+      if (delta) applyTerrainDelta(worldsmith.ground, delta, 'next');
+    }
+    Object.entries(state.saved.environment).forEach(([key, value]) => worldsmith.setEnvironmentValue(key, value));
+
+    worldsmith.camera.position.copy(state.saved.position);
+    worldsmith.camera.quaternion.copy(state.saved.quaternion);
+    this.state = null;
+  }
+
+  // Seconds since the replay started
+  getElapsedTime() {
+    return this.state ? (performance.now() - this.state.startedAt) / 1000 : 0;
+  }
+
+  captureFrame() {
+    const worldsmith = this.worldsmith;
+    const canvas = worldsmith.renderer.domElement;
+
+    // Read back right after drawing; the buffer is cleared once composited
+    worldsmith.renderer.render(worldsmith.scene, worldsmith.camera);
+    this.state.frames.push(new Promise(resolve => canvas.toBlob(resolve, 'image/png')));
+  }
+
+  async buildFrameArchive() {
+    const blobs = await Promise.all(this.state.frames);
+    const files = [];
+    for (let i = 0; i < blobs.length; i++) {
+      if (!blobs[i]) continue;
+      files.push({
+        name: `frame_${String(i).padStart(4, '0')}.png`,
+        bytes: new Uint8Array(await blobs[i].arrayBuffer())
+      });
+    }
+    if (files.length === 0) throw new Error('No frames were captured');
+    return zipFiles(files);
+  }
+
+  startRecorder() {
+    const state = this.state;
+    const canvas = this.worldsmith.renderer.domElement;
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+    state.recorder = new MediaRecorder(canvas.captureStream(30), { mimeType });
+    state.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) state.chunks.push(e.data);
+    };
+    state.recorder.start(1000);
+  }
+
+  stopRecorder() {
+    const state = this.state;
+    return new Promise(resolve => {
+      state.recorder.onstop = () => resolve(new Blob(state.chunks, { type: 'video/webm' }));
+      state.recorder.stop();
+    });
+  }
+}
+
+function environmentOf(worldsmith) {
+  return {
+    timeOfDay: worldsmith.timeOfDay,
+    weather: worldsmith.weather,
+    lightingSettings: { ...worldsmith.lightingSettings },
+    terrainSettings: { ...worldsmith.terrainSettings }
+  };
+}
+
+// Object snapshots and environment values from before the first step of
+// line, worked back from the current ones
+function rewindLine(line, snapshots, environment) {
+  const objects = new Map(snapshots.map(snapshot => [snapshot.id, snapshot]));
+  const values = { ...environment };
+
+  for (let i = line.length - 1; i >= 0; i--) {
+    const changes = line[i].changes;
+    for (let j = changes.length - 1; j >= 0; j--) {
+      const change = changes[j];
+      const snapshot = objects.get(change.id);
+
+      switch (change.type) {
+        case 'create':
+          objects.delete(change.id);
+          break;
+        case 'delete':
+          objects.set(change.id, change.snapshotOld);
+          break;
+        case 'xform':
+          if (snapshot && change.prev) {
+            objects.set(change.id, {
+              ...snapshot,
+              position: { ...change.prev.pos },
+              rotation: { ...change.prev.rot },
+              scale: { ...change.prev.scale }
+            });
+          }
+          break;
+        case 'prop':
+          if (snapshot) objects.set(change.id, withProperty(snapshot, change.key, change.prev));
+          break;
+        case 'env':
+          values[change.key] = change.prev;
+          break;
+      }
+    }
+  }
+
+  return { snapshots: [...objects.values()], environment: values };
+}
+
+// Snapshot with one HistoryManager.setObjectProperty key changed
+function withProperty(snapshot, key, value) {
+  if (key === 'color' && snapshot.material) {
+    return { ...snapshot, material: { ...snapshot.material, color: value } };
+  } else if (key === 'visible') {
+    return { ...snapshot, visible: value };
+  } else if (key === 'name') {
+    return { ...snapshot, userData: { ...snapshot.userData, name: value } };
+  }
+  return snapshot;
+}
+
+// Uncompressed zip archive of { name, bytes } files
+function zipFiles(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(12, 0x21, true); // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.bytes.length, true);
+    local.setUint32(22, file.bytes.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, file.bytes);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // version made by
+    entry.setUint16(6, 20, true); // version needed
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, file.bytes.length, true);
+    entry.setUint32(24, file.bytes.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, name);
+
+    offset += 30 + name.length + file.bytes.length;
+  });
+
+  const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
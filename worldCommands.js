@@ -0,0 +1,247 @@
+/**
+ * WorldCommands - the single path for changing objects in the world. Each
+ * command is applied, recorded in HistoryManager and announced with a
+ * 'commandExecuted' event, so Ctrl+Z reverts it and the same command can be
+ * run again.
+ *
+ * command:
+ *   { type: 'create', snapshot }                 // HistoryManager.createObjectSnapshot
+ *   { type: 'delete', ids: [historyId] }
+ *   { type: 'transform', id, position?, rotation?, scale? }   // { x, y, z }, rotation in radians
+ *   { type: 'setProperty', id, key: 'color' | 'visible' | 'name', value }
+ *   { type: 'duplicate', ids: [historyId], offsets: [{ x, y, z }] }   // one copy of each object per offset
+ *   { type: 'batch', commands: [command] }
+ *
+ * Commands run through HistoryManager.executeGroupedAction: on its own a
+ * command is one undo step named after its label, inside a batch or another
+ * grouped action it joins the open step.
+ */
+export class WorldCommands {
+  constructor(worldsmith) {
+    this.worldsmith = worldsmith;
+  }
+
+  get history() {
+    return this.worldsmith.historyManager;
+  }
+
+  // Run a command as one undoable step. `object` is an already built object
+  // for a create command (skips rebuilding it from the snapshot).
+  // Returns the created object(s) for create/duplicate, the changed object
+  // for transform/setProperty, the number of removed objects for delete and
+  // a list of results for batch; null if nothing was done.
+  execute(command, label = null, object = null) {
+    if (this.worldsmith.isReadOnlyBlocked()) return null;
+
+    let result = null;
+    this.history.executeGroupedAction(label || describeCommand(command), () => {
+      result = this.run(command, object);
+    });
+
+    this.worldsmith.updateObjectCount();
+    return result;
+  }
+
+  run(command, object = null) {
+    let result;
+    switch (command.type) {
+      case 'create':
+        result = this.runCreate(command, object);
+        break;
+      case 'delete':
+        result = this.runDelete(command);
+        break;
+      case 'transform':
+        result = this.runTransform(command);
+        break;
+      case 'setProperty':
+        result = this.runSetProperty(command);
+        break;
+      case 'duplicate':
+        result = this.runDuplicate(command);
+        break;
+      case 'batch':
+        result = command.commands.map(child => this.run(child));
+        break;
+      default:
+        throw new Error(`Unknown command type: ${command.type}`);
+    }
+
+    if (command.type !== 'batch') {
+      document.dispatchEvent(new CustomEvent('commandExecuted', {
+        detail: { command, result }
+      }));
+    }
+    return result;
+  }
+
+  // Shorthands taking objects instead of history ids
+
+  createObject(object, label = null) {
+    const snapshot = this.history.createObjectSnapshot(object);
+    return this.execute({ type: 'create', snapshot }, label, object);
+  }
+
+  deleteObjects(objects, label = null) {
+    return this.execute({ type: 'delete', ids: objects.map(obj => this.history.getObjectId(obj)) }, label);
+  }
+
+  // transform: { position?, rotation?, scale? } as { x, y, z }
+  transformObject(object, transform, label = null) {
+    return this.execute({ type: 'transform', id: this.history.getObjectId(object), ...transform }, label);
+  }
+
+  setProperty(object, key, value, label = null) {
+    return this.execute({ type: 'setProperty', id: this.history.getObjectId(object), key, value }, label);
+  }
+
+  duplicateObjects(objects, offsets, label = null) {
+    return this.execute({ type: 'duplicate', ids: objects.map(obj => this.history.getObjectId(obj)), offsets }, label);
+  }
+
+  // Run fn (which issues commands) as one undo step
+  batch(label, fn) {
+    if (this.worldsmith.isReadOnlyBlocked()) return;
+    this.history.executeGroupedAction(label, fn);
+    this.worldsmith.updateObjectCount();
+  }
+
+  runCreate(command, object) {
+    const history = this.history;
+    const prebuilt = Boolean(object);
+    let snapshot = command.snapshot;
+
+    if (!prebuilt) {
+      // Replaying a create whose object is still around gives a second one
+      if (this.worldsmith.findObjectById(snapshot.id)) {
+        snapshot = { ...snapshot, id: history.generateObjectId() };
+      }
+      object = history.restoreObjectFromSnapshot(snapshot);
+      if (!object) return null;
+    }
+
+    this.worldsmith.scene.add(object);
+    this.worldsmith.createdObjects.push(object);
+    // A prebuilt object's snapshot was just taken; others keep their own
+    // copy so the history never shares the command's snapshot
+    history.recordObjectCreation(object, prebuilt ? snapshot : null);
+
+    document.dispatchEvent(new CustomEvent('objectCreated', {
+      detail: { object, description: object.userData.description }
+    }));
+    return object;
+  }
+
+  runDelete(command) {
+    const history = this.history;
+    let removed = 0;
+
+    command.ids.forEach(id => {
+      const object = this.worldsmith.findObjectById(id);
+      if (!object) return;
+
+      const snapshot = history.createObjectSnapshot(object);
+      history.recordObjectDeletion(object, snapshot);
+      this.worldsmith.detachObject(object);
+      history.trackedObjects.delete(id);
+      removed++;
+
+      document.dispatchEvent(new CustomEvent('objectDeleted', {
+        detail: { object, snapshot }
+      }));
+    });
+
+    return removed;
+  }
+
+  runTransform(command) {
+    const object = this.worldsmith.findObjectById(command.id);
+    if (!object) return null;
+
+    const prev = transformOf(object);
+    if (command.position) object.position.set(command.position.x, command.position.y, command.position.z);
+    if (command.rotation) object.rotation.set(command.rotation.x, command.rotation.y, command.rotation.z);
+    if (command.scale) object.scale.set(command.scale.x, command.scale.y, command.scale.z);
+    const next = transformOf(object);
+
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+      this.history.recordTransformChange(object, prev, next);
+      this.refreshProperties(object);
+    }
+    return object;
+  }
+
+  runSetProperty(command) {
+    const history = this.history;
+    const object = this.worldsmith.findObjectById(command.id);
+    if (!object) return null;
+
+    const prev = history.getObjectProperty(object, command.key);
+    if (prev === undefined) return null;
+    if (prev === command.value) return object;
+
+    history.setObjectProperty(object, command.key, command.value);
+    history.recordPropertyChange(object, command.key, prev, command.value);
+    this.refreshProperties(object);
+    return object;
+  }
+
+  runDuplicate(command) {
+    const history = this.history;
+    const sources = command.ids.map(id => this.worldsmith.findObjectById(id)).filter(Boolean);
+    const copies = [];
+
+    command.offsets.forEach(offset => {
+      sources.forEach(source => {
+        const original = history.createObjectSnapshot(source);
+        const snapshot = {
+          ...original,
+          id: history.generateObjectId(),
+          position: {
+            x: original.position.x + (offset.x || 0),
+            y: original.position.y + (offset.y || 0),
+            z: original.position.z + (offset.z || 0)
+          }
+        };
+        const copy = history.restoreObjectFromSnapshot(snapshot);
+        if (copy) copies.push(this.runCreate({ type: 'create', snapshot }, copy));
+      });
+    });
+
+    return copies;
+  }
+
+  refreshProperties(object) {
+    if (this.worldsmith.selectedObject === object) {
+      this.worldsmith.updatePropertiesPanel(object);
+    }
+  }
+}
+
+// Default undo label for a command
+export function describeCommand(command) {
+  switch (command.type) {
+    case 'create':
+      return `Create ${command.snapshot.userData.name || command.snapshot.userData.description || 'object'}`;
+    case 'delete':
+      return command.ids.length === 1 ? 'Delete Object' : `Delete ${command.ids.length} objects`;
+    case 'transform':
+      return command.position && !command.rotation && !command.scale ? 'Move object' : 'Transform object';
+    case 'setProperty':
+      return `Set ${command.key}`;
+    case 'duplicate':
+      return `Duplicate ${command.ids.length * command.offsets.length} object(s)`;
+    case 'batch':
+      return `${command.commands.length} changes`;
+    default:
+      return 'Unknown Action';
+  }
+}
+
+function transformOf(object) {
+  return {
+    pos: { x: object.position.x, y: object.position.y, z: object.position.z },
+    rot: { x: object.rotation.x, y: object.rotation.y, z: object.rotation.z },
+    scale: { x: object.scale.x, y: object.scale.y, z: object.scale.z }
+  };
+}
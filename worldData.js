@@ -1,124 +1,434 @@
-
+import * as THREE from 'three';
+import { serializeObject, deserializeObject } from './objectSerializer.js';
+import {
+  WORLD_FORMAT,
+  WORLD_SCHEMA_VERSION,
+  PREFAB_FORMAT,
+  PREFAB_SCHEMA_VERSION,
+  migrateWorld,
+  validateWorld,
+  validatePrefab
+} from './worldSchema.js';
 
 export class WorldData {
   constructor() {
     this.worldName = 'My World';
-    this.version = '1.0.0';
+    this.version = WORLD_SCHEMA_VERSION;
   }
 
-  saveWorld(createdObjects, historyData = null) {
+  // Build the canonical world file contents (see worldSchema.js)
+  serializeWorld(createdObjects, historyData = null, environment = null, assets = [], checkpoints = []) {
     const worldData = {
+      format: WORLD_FORMAT,
       name: this.worldName,
       version: this.version,
       timestamp: new Date().toISOString(),
       objects: [],
-      historyData: historyData
+      assets: assets,
+      environment: environment,
+      historyData: historyData,
+      checkpoints: checkpoints
     };
 
     createdObjects.forEach(obj => {
-      const objectData = {
-        type: obj.userData.type || 'unknown',
-        position: {
-          x: obj.position.x,
-          y: obj.position.y,
-          z: obj.position.z
-        },
-        rotation: {
-          x: obj.rotation.x,
-          y: obj.rotation.y,
-          z: obj.rotation.z
-        },
-        scale: {
-          x: obj.scale.x,
-          y: obj.scale.y,
-          z: obj.scale.z
-        }
-      };
+      worldData.objects.push(this.serializeObjectEntry(obj));
+    });
 
-      if (obj.userData.shapeType) {
-        objectData.shapeType = obj.userData.shapeType;
-      }
-      
-      if (obj.userData.assetType) {
-        objectData.assetType = obj.userData.assetType;
-      }
-      
-      if (obj.userData.description) {
-        objectData.description = obj.userData.description;
-      }
+    return worldData;
+  }
 
-      if (obj.material && obj.material.color) {
-        objectData.color = obj.material.color.getHex();
+  // One objects[] entry of a world or prefab file
+  serializeObjectEntry(obj) {
+    const objectData = {
+      id: obj.userData.historyId || null,
+      type: obj.userData.type || 'unknown',
+      name: obj.userData.name || null,
+      position: {
+        x: obj.position.x,
+        y: obj.position.y,
+        z: obj.position.z
+      },
+      rotation: {
+        x: obj.rotation.x,
+        y: obj.rotation.y,
+        z: obj.rotation.z
+      },
+      scale: {
+        x: obj.scale.x,
+        y: obj.scale.y,
+        z: obj.scale.z
       }
+    };
 
-      worldData.objects.push(objectData);
-    });
+    if (obj.userData.shapeType) {
+      objectData.shapeType = obj.userData.shapeType;
+    }
+    
+    if (obj.userData.assetType) {
+      objectData.assetType = obj.userData.assetType;
+    }
+    
+    if (obj.userData.description) {
+      objectData.description = obj.userData.description;
+    }
+
+    if (obj.material && obj.material.color) {
+      objectData.color = obj.material.color.getHex();
+    }
+
+    // Loaded models are re-instanced from their asset; everything else is
+    // stored in full so per-child edits survive the round trip
+    if (objectData.type !== 'asset') {
+      objectData.node = serializeObject(obj);
+    }
 
-    const dataStr = JSON.stringify(worldData, null, 2);
+    return objectData;
+  }
+
+  // Build a prefab file from a set of objects (see worldSchema.js)
+  serializePrefab(objects, { name, pivot, thumbnail = null, description = '', assets = [] }) {
+    const bounds = new THREE.Box3();
+    objects.forEach(obj => bounds.expandByObject(obj));
+    const size = bounds.isEmpty() ? new THREE.Vector3() : bounds.getSize(new THREE.Vector3());
+
+    const types = new Set(objects.map(obj => obj.userData.shapeType || obj.userData.assetType || obj.userData.description || obj.userData.type || 'object'));
+
+    return {
+      format: PREFAB_FORMAT,
+      version: PREFAB_SCHEMA_VERSION,
+      name: name,
+      timestamp: new Date().toISOString(),
+      pivot: { x: pivot.x, y: pivot.y, z: pivot.z },
+      thumbnail: thumbnail,
+      metadata: {
+        description: description,
+        objectCount: objects.length,
+        size: { x: size.x, y: size.y, z: size.z },
+        types: Array.from(types)
+      },
+      // Ids belong to the world the objects came from
+      objects: objects.map(obj => {
+        const { id, ...entry } = this.serializeObjectEntry(obj);
+        return entry;
+      }),
+      assets: assets
+    };
+  }
+
+  // Validate parsed prefab file contents.
+  // Returns { prefab, problems, objectIndices }.
+  readPrefab(data) {
+    return validatePrefab(data);
+  }
+
+  downloadPrefab(prefab) {
+    this.downloadJSON(prefab, `${prefab.name.replace(/\s+/g, '_')}.prefab.json`);
+  }
+
+  saveWorld(createdObjects, historyData = null, environment = null) {
+    const worldData = this.serializeWorld(createdObjects, historyData, environment);
+    this.downloadWorld(worldData);
+    
+    console.log('World saved:', worldData);
+    return worldData;
+  }
+
+  downloadWorld(worldData) {
+    this.downloadJSON(worldData, `${(worldData.name || this.worldName).replace(/\s+/g, '_')}_${Date.now()}.json`);
+  }
+
+  downloadJSON(data, fileName) {
+    const dataStr = JSON.stringify(data, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
     
     const link = document.createElement('a');
     link.href = URL.createObjectURL(dataBlob);
-    link.download = `${this.worldName.replace(/\s+/g, '_')}_${Date.now()}.json`;
+    link.download = fileName;
     link.click();
-    
-    console.log('World saved:', worldData);
-    return worldData;
   }
 
-  loadWorld(file, objectCreator, scene, createdObjects) {
+  async loadWorld(file, objectCreator, scene, createdObjects) {
+    const text = await this.readFile(file);
+    return this.loadWorldData(this.parseWorld(text), objectCreator, scene, createdObjects);
+  }
+
+  readFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        try {
-          const worldData = JSON.parse(e.target.result);
-          
-          // Clear existing objects
-          createdObjects.forEach(obj => {
-            scene.remove(obj);
-          });
-          createdObjects.length = 0;
-
-          // Load objects
-          worldData.objects.forEach(objData => {
-            let newObj;
-            
-            if (objData.type === 'shape') {
-              newObj = objectCreator.createShape(objData.shapeType);
-            } else if (objData.type === 'asset') {
-              newObj = objectCreator.createAsset(objData.assetType);
-            } else if (objData.type === 'complex') {
-              newObj = objectCreator.createFromDescription(objData.description);
-            }
-
-            if (newObj) {
-              // Apply saved transforms
-              newObj.position.set(objData.position.x, objData.position.y, objData.position.z);
-              newObj.rotation.set(objData.rotation.x, objData.rotation.y, objData.rotation.z);
-              newObj.scale.set(objData.scale.x, objData.scale.y, objData.scale.z);
-              
-              if (objData.color && newObj.material) {
-                newObj.material.color.setHex(objData.color);
-              }
-              
-              createdObjects.push(newObj);
-            }
-          });
-          console.log('World loaded:', worldData);
-          resolve(worldData);
-        } catch (error) {
-          console.error('Failed to load world:', error);
-          reject(error);
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
+  }
+
+  // Replace the scene's objects with those from already parsed world data.
+  // Bad entries are skipped or repaired; see prepareWorld for the report.
+  loadWorldData(worldData, objectCreator, scene, createdObjects) {
+    const { world, objectIndices } = this.prepareWorld(worldData);
+    const { objects } = this.buildObjects(world, objectCreator, objectIndices);
+    this.replaceObjects(objects, scene, createdObjects);
+    this.worldName = world.name || this.worldName;
+    
+    console.log('World loaded:', world);
+    return world;
+  }
+
+  // Migrate and validate without touching the scene. Throws only when the
+  // file cannot be read at all (wrong format, newer schema).
+  prepareWorld(worldData) {
+    return validateWorld(migrateWorld(worldData));
+  }
+
+  // Create the objects of a validated world without adding them to the
+  // scene. Objects that fail to build are reported and left out.
+  buildObjects(world, objectCreator, objectIndices = null) {
+    const objects = [];
+    const problems = [];
+
+    world.objects.forEach((objData, i) => {
+      const index = objectIndices ? objectIndices[i] : i;
+
+      try {
+        let newObj;
+        
+        if (objData.node) {
+          try {
+            newObj = deserializeObject(objData.node);
+          } catch (error) {
+            // Fall back to rebuilding from the type when that is possible
+            if (!objData.shapeType && !objData.assetType && !objData.description) throw error;
+            problems.push({
+              index,
+              field: `objects[${index}].node`,
+              message: `could not be restored (${error.message}); rebuilt from its type`,
+              action: 'repaired'
+            });
+          }
         }
+
+        if (!newObj) {
+          newObj = this.rebuildObject(objData, objectCreator, index, problems);
+        }
+
+        if (!newObj) {
+          throw new Error('nothing was created');
+        }
+
+        // Apply saved transforms
+        newObj.position.set(objData.position.x, objData.position.y, objData.position.z);
+        newObj.rotation.set(objData.rotation.x, objData.rotation.y, objData.rotation.z);
+        newObj.scale.set(objData.scale.x, objData.scale.y, objData.scale.z);
+        
+        if (objData.color !== undefined && newObj.material && newObj.material.color) {
+          newObj.material.color.setHex(objData.color);
+        }
+
+        if (objData.name) {
+          newObj.userData.name = objData.name;
+        }
+
+        if (objData.id) {
+          newObj.userData.historyId = objData.id;
+        }
+        
+        objects.push(newObj);
+      } catch (error) {
+        problems.push({
+          index,
+          field: `objects[${index}]`,
+          message: `could not be built: ${error.message}`,
+          action: 'skipped'
+        });
+      }
+    });
+
+    return { objects, problems };
+  }
+
+  // Recreate an object from its type fields (files without a saved node)
+  rebuildObject(objData, objectCreator, index, problems) {
+    if (objData.assetType) {
+      if (!objectCreator.loadedAssets.has(objData.assetType)) {
+        problems.push({
+          index,
+          field: `objects[${index}].assetType`,
+          message: `model "${objData.assetType}" is not available; a placeholder is used`,
+          action: 'repaired'
+        });
+      }
+      return objectCreator.createAsset(objData.assetType);
+    }
+
+    if (objData.shapeType) {
+      return objectCreator.createShape(objData.shapeType);
+    }
+
+    if (objData.description) {
+      return objectCreator.createFromDescription(objData.description);
+    }
+
+    return null;
+  }
+
+  replaceObjects(objects, scene, createdObjects) {
+    createdObjects.forEach(obj => {
+      scene.remove(obj);
+    });
+    createdObjects.length = 0;
+
+    objects.forEach(obj => {
+      scene.add(obj);
+      createdObjects.push(obj);
+    });
+  }
+
+  // Human readable line for a validation problem
+  describeProblem(problem) {
+    const where = problem.index === null ? 'World' :
+      problem.field.startsWith('objects[') ? `Object #${problem.index + 1}` :
+      problem.field.startsWith('checkpoints[') ? `Checkpoint #${problem.index + 1}` :
+      `Model #${problem.index + 1}`;
+    const field = problem.field.replace(/^(objects|assets|checkpoints)\[\d+\]\.?/, '');
+    const outcome = problem.action === 'skipped' ? 'skipped' : 'repaired';
+    return `${where}${field ? ` – ${field}` : ''}: ${problem.message} (${outcome})`;
+  }
+
+  // Capture the ground mesh's vertex heights
+  serializeTerrain(ground) {
+    if (!ground || !ground.geometry) return null;
+
+    const params = ground.geometry.parameters || {};
+    const positions = ground.geometry.attributes.position;
+    const heights = new Array(positions.count);
+
+    for (let i = 0; i < positions.count; i++) {
+      // Round to keep save files compact
+      heights[i] = Math.round(positions.getZ(i) * 10000) / 10000;
+    }
+
+    return {
+      width: params.width,
+      height: params.height,
+      widthSegments: params.widthSegments,
+      heightSegments: params.heightSegments,
+      heights: heights
+    };
+  }
+
+  // Write saved vertex heights back into the ground mesh
+  applyTerrain(ground, terrainData) {
+    if (!ground || !ground.geometry || !terrainData || !Array.isArray(terrainData.heights)) {
+      return false;
+    }
+
+    const positions = ground.geometry.attributes.position;
+    if (terrainData.heights.length !== positions.count) {
+      console.warn(`Terrain size mismatch: expected ${positions.count} heights, got ${terrainData.heights.length}`);
+      return false;
+    }
+
+    for (let i = 0; i < positions.count; i++) {
+      positions.setZ(i, terrainData.heights[i]);
+    }
+
+    positions.needsUpdate = true;
+    ground.geometry.computeVertexNormals();
+    ground.geometry.computeBoundingSphere();
+    return true;
+  }
+
+  // Parse world file text and upgrade it to the current schema version.
+  // Throws before anything is touched if the file is from a newer build.
+  parseWorld(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`File is not valid JSON (${error.message})`);
+    }
+
+    return migrateWorld(parsed);
+  }
+
+  // Object counts by type, world-space bounds and triangle count of built
+  // objects. Triangles are an estimate for placeholder models.
+  getWorldStats(createdObjects) {
+    const stats = {
+      objectCount: createdObjects.length,
+      types: {},
+      bounds: null,
+      triangles: 0,
+      meshes: 0
+    };
+
+    const bounds = new THREE.Box3();
+
+    createdObjects.forEach(obj => {
+      const type = obj.userData.shapeType || obj.userData.assetType || 'complex';
+      stats.types[type] = (stats.types[type] || 0) + 1;
+
+      obj.updateMatrixWorld(true);
+      bounds.expandByObject(obj);
+
+      obj.traverse(child => {
+        if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+        const geometry = child.geometry;
+        const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+        stats.triangles += Math.floor(count / 3);
+        stats.meshes++;
+      });
+    });
+
+    if (!bounds.isEmpty()) {
+      const size = bounds.getSize(new THREE.Vector3());
+      stats.bounds = {
+        min: { x: bounds.min.x, y: bounds.min.y, z: bounds.min.z },
+        max: { x: bounds.max.x, y: bounds.max.y, z: bounds.max.z },
+        size: { x: size.x, y: size.y, z: size.z }
       };
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
-      
-      reader.readAsText(file);
+    }
+
+    return stats;
+  }
+
+  // Append the objects and models of another migrated world to a copy of
+  // base. Incoming entries are moved by offset; models whose name is
+  // already taken keep the base version.
+  mergeWorldData(base, incoming, offset = { x: 0, y: 0, z: 0 }) {
+    const assetNames = new Set((base.assets || []).map(asset => asset.name));
+    const skippedAssets = [];
+
+    const assets = [...(base.assets || [])];
+    (incoming.assets || []).forEach(asset => {
+      if (assetNames.has(asset.name)) {
+        skippedAssets.push(asset.name);
+        return;
+      }
+      assetNames.add(asset.name);
+      assets.push(asset);
     });
+
+    // Ids of the incoming world could collide with those of base
+    const moved = (incoming.objects || []).map(({ id, ...entry }) => ({
+      ...entry,
+      position: {
+        x: entry.position.x + offset.x,
+        y: entry.position.y + offset.y,
+        z: entry.position.z + offset.z
+      }
+    }));
+
+    return {
+      world: {
+        ...base,
+        timestamp: new Date().toISOString(),
+        objects: [...(base.objects || []), ...moved],
+        assets: assets,
+        // Undo steps refer to object ids of one session only
+        historyData: null
+      },
+      skippedAssets
+    };
   }
 
   exportWorldPreview(createdObjects) {
@@ -126,17 +436,12 @@ export class WorldData {
     let description = `World Preview:\n`;
     description += `Objects: ${createdObjects.length}\n\n`;
     
-    const objectTypes = {};
-    createdObjects.forEach(obj => {
-      const type = obj.userData.shapeType || obj.userData.assetType || 'complex';
-      objectTypes[type] = (objectTypes[type] || 0) + 1;
-    });
+    const { types } = this.getWorldStats(createdObjects);
     
-    Object.entries(objectTypes).forEach(([type, count]) => {
+    Object.entries(types).forEach(([type, count]) => {
       description += `${type}: ${count}\n`;
     });
     
     return description;
   }
 }
-
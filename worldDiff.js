@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+
+/**
+ * World diff - compares the current world with another version of the same
+ * world, matching objects by their history id (objects[].id, see
+ * worldSchema.js)
+ *
+ * difference: {
+ *   id,                                  // history id, or a generated key
+ *   status: 'added' | 'removed' | 'changed',
+ *   changes: ['moved', 'recolored', 'renamed', 'edited'],  // when changed
+ *   ours: entry | null,                  // object entry of the current world
+ *   theirs: entry | null                 // object entry of the compared file
+ * }
+ *
+ * 'added' objects exist only in the compared file, 'removed' ones only in
+ * the current world. Two objects with the same id but a different kind
+ * (separate sessions can hand out the same id) count as removed + added.
+ */
+
+const TOLERANCE = 1e-4;
+
+export const DIFF_COLORS = {
+  added: 0x2ecc71,
+  removed: 0xe74c3c,
+  changed: 0xf39c12,
+  active: 0xffff00
+};
+
+function kindOf(entry) {
+  return entry.assetType || entry.shapeType || entry.description || entry.type;
+}
+
+function vectorsDiffer(a, b) {
+  return ['x', 'y', 'z'].some(axis => Math.abs(a[axis] - b[axis]) > TOLERANCE);
+}
+
+// Every material color of an entry, in hierarchy order
+function colorsOf(entry) {
+  const colors = entry.color !== undefined ? [entry.color] : [];
+
+  const visit = (node) => {
+    const materials = Array.isArray(node.material) ? node.material : node.material ? [node.material] : [];
+    materials.forEach(material => colors.push(material.color));
+    (node.children || []).forEach(visit);
+  };
+  if (entry.node) visit(entry.node);
+
+  return colors;
+}
+
+// Node contents other than the root transform and colors. Root visibility
+// is left out too: frustum culling toggles it while the editor runs.
+function structureOf(node) {
+  if (!node) return null;
+
+  const strip = (data, isRoot) => {
+    const { position, rotation, scale, visible, material, children, ...rest } = data;
+    const materials = Array.isArray(material) ? material : material ? [material] : [];
+    return {
+      ...rest,
+      ...(isRoot ? {} : { position, rotation, scale, visible }),
+      material: materials.map(({ color, ...fields }) => fields),
+      children: (children || []).map(child => strip(child, false))
+    };
+  };
+
+  return JSON.stringify(strip(node, true));
+}
+
+function compareEntries(ours, theirs) {
+  const changes = [];
+
+  if (vectorsDiffer(ours.position, theirs.position) ||
+      vectorsDiffer(ours.rotation, theirs.rotation) ||
+      vectorsDiffer(ours.scale, theirs.scale)) {
+    changes.push('moved');
+  }
+
+  if (JSON.stringify(colorsOf(ours)) !== JSON.stringify(colorsOf(theirs))) {
+    changes.push('recolored');
+  }
+
+  if ((ours.name || null) !== (theirs.name || null)) {
+    changes.push('renamed');
+  }
+
+  if (ours.node && theirs.node && structureOf(ours.node) !== structureOf(theirs.node)) {
+    changes.push('edited');
+  }
+
+  return changes;
+}
+
+// Differences between two lists of validated object entries
+export function diffWorlds(oursEntries, theirsEntries) {
+  const differences = [];
+  const ours = new Map();
+  oursEntries.forEach(entry => {
+    if (entry.id) ours.set(entry.id, entry);
+  });
+
+  const matched = new Set();
+  const seen = new Set();
+
+  theirsEntries.forEach((theirs, index) => {
+    // A repeated id in their file is a separate object, never a second
+    // match for the same one of ours
+    const isRepeat = !!theirs.id && seen.has(theirs.id);
+    if (theirs.id) seen.add(theirs.id);
+    const mine = theirs.id && !isRepeat ? ours.get(theirs.id) : null;
+
+    if (mine && kindOf(mine) === kindOf(theirs)) {
+      matched.add(theirs.id);
+      const changes = compareEntries(mine, theirs);
+      if (changes.length > 0) {
+        differences.push({ id: theirs.id, status: 'changed', changes, ours: mine, theirs });
+      }
+      return;
+    }
+
+    // Keyed apart from our object when the id is taken by something else
+    differences.push({
+      id: theirs.id && !mine && !isRepeat ? theirs.id : `new_${index}`,
+      status: 'added',
+      changes: [],
+      ours: null,
+      theirs
+    });
+  });
+
+  oursEntries.forEach((entry, index) => {
+    if (entry.id && matched.has(entry.id)) return;
+    differences.push({
+      id: entry.id || `ours_${index}`,
+      status: 'removed',
+      changes: [],
+      ours: entry,
+      theirs: null
+    });
+  });
+
+  return differences;
+}
+
+/**
+ * WorldDiffOverlay - draws differences over the scene: translucent ghosts of
+ * the compared file's objects, colored boxes around affected objects and a
+ * line from each moved object to its new place
+ */
+export class WorldDiffOverlay {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = 'World Diff';
+    this.group.userData.isDiffOverlay = true;
+  }
+
+  // ghosts: Map of difference id -> object built from the theirs entry
+  // findObject(id): the current world's object for a history id
+  show(differences, ghosts, findObject, activeId = null) {
+    this.clear();
+
+    differences.forEach(difference => {
+      const color = difference.id === activeId ? DIFF_COLORS.active : DIFF_COLORS[difference.status];
+      const ours = difference.ours ? findObject(difference.id) : null;
+      const ghost = ghosts.get(difference.id);
+
+      if (ours) {
+        this.addBox(ours, color);
+      }
+
+      if (ghost) {
+        this.group.add(ghost);
+        if (!ours) this.addBox(ghost, color);
+      }
+
+      if (ours && ghost && difference.changes.includes('moved')) {
+        const from = new THREE.Box3().setFromObject(ours).getCenter(new THREE.Vector3());
+        const to = new THREE.Box3().setFromObject(ghost).getCenter(new THREE.Vector3());
+        const line = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints([from, to]),
+          new THREE.LineBasicMaterial({ color, depthTest: false })
+        );
+        line.userData.isDiffHelper = true;
+        this.group.add(line);
+      }
+    });
+
+    if (!this.group.parent) this.scene.add(this.group);
+  }
+
+  addBox(object, color) {
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return;
+
+    const helper = new THREE.Box3Helper(box, color);
+    helper.material.depthTest = false;
+    helper.userData.isDiffHelper = true;
+    this.group.add(helper);
+  }
+
+  // Turn a built object into a see-through ghost
+  static makeGhost(object) {
+    object.traverse(child => {
+      if (!child.isMesh) return;
+      child.castShadow = false;
+      child.receiveShadow = false;
+      const toGhost = (material) => {
+        const ghost = material.clone();
+        ghost.transparent = true;
+        ghost.opacity = 0.45;
+        ghost.depthWrite = false;
+        return ghost;
+      };
+      child.material = Array.isArray(child.material) ? child.material.map(toGhost) : toGhost(child.material);
+    });
+    object.userData.isDiffOverlay = true;
+    return object;
+  }
+
+  // Remove helpers; ghosts are owned by the caller and only detached
+  clear() {
+    [...this.group.children].forEach(child => {
+      this.group.remove(child);
+      if (child.userData.isDiffHelper) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+  }
+
+  dispose() {
+    this.clear();
+    this.group.removeFromParent();
+  }
+}
@@ -0,0 +1,398 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { mergeGeometries, mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// World units are meters
+export const EXPORT_UNITS = {
+  m: 1,
+  cm: 100,
+  mm: 1000,
+  in: 39.3701
+};
+
+/**
+ * WorldExporter - converts the built world into interchange formats for
+ * Blender, game engines and other tools
+ */
+export class WorldExporter {
+  constructor() {
+    this.gltfExporter = new GLTFExporter();
+  }
+
+  // Copy an object for export without editor-only state
+  cloneForExport(object) {
+    // SkeletonUtils keeps skinned assets bound to their own bones
+    const clone = object.userData.type === 'asset' ? SkeletonUtils.clone(object) : object.clone();
+
+    const highlights = [];
+    clone.traverse(child => {
+      if (child.userData.isHighlight) highlights.push(child);
+    });
+    highlights.forEach(highlight => highlight.removeFromParent());
+
+    // Frustum culling toggles visibility every frame; export everything
+    clone.visible = true;
+    clone.name = object.userData.name || object.name || object.userData.shapeType || object.userData.assetType || 'Object';
+
+    return clone;
+  }
+
+  // Assemble a standalone scene holding what should be exported
+  buildExportScene(objects, { ground = null, lights = [] } = {}) {
+    const exportScene = new THREE.Scene();
+    exportScene.name = 'Worldsmith World';
+
+    objects.forEach(object => {
+      exportScene.add(this.cloneForExport(object));
+    });
+
+    if (ground) {
+      const terrain = ground.clone();
+      terrain.name = 'Terrain';
+      exportScene.add(terrain);
+    }
+
+    lights.forEach(light => {
+      // glTF only supports punctual lights
+      if (!light.isDirectionalLight && !light.isPointLight && !light.isSpotLight) return;
+      const clone = light.clone();
+      clone.name = light.name || light.type;
+      exportScene.add(clone);
+    });
+
+    exportScene.updateMatrixWorld(true);
+    return exportScene;
+  }
+
+  // Resolves with an ArrayBuffer for .glb or a JSON object for .gltf
+  exportGLTF(objects, { binary = true, ground = null, lights = [] } = {}) {
+    const exportScene = this.buildExportScene(objects, { ground, lights });
+
+    return this.gltfExporter.parseAsync(exportScene, {
+      binary: binary,
+      onlyVisible: false,
+      trs: true
+    });
+  }
+
+  // Export transform: unit scaling plus optional Y-up -> Z-up for slicers
+  getExportMatrix({ units = 'm', scale = 1, zUp = false } = {}) {
+    const factor = (EXPORT_UNITS[units] || 1) * scale;
+    const matrix = new THREE.Matrix4().makeScale(factor, factor, factor);
+
+    if (zUp) {
+      matrix.premultiply(new THREE.Matrix4().makeRotationX(Math.PI / 2));
+    }
+
+    return matrix;
+  }
+
+  // Bake an object and all its child meshes into one welded world-space mesh.
+  // Each source mesh becomes a geometry group with its color in materials[].
+  mergeObject(object, exportMatrix) {
+    object.updateMatrixWorld(true);
+
+    const geometries = [];
+    const materials = [];
+    const matrix = new THREE.Matrix4();
+
+    object.traverse(child => {
+      if (!child.isMesh || child.userData.isHighlight || !child.geometry.attributes.position) return;
+
+      matrix.multiplyMatrices(exportMatrix, child.matrixWorld);
+
+      const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+      Object.keys(geometry.attributes).forEach(name => {
+        if (name !== 'position') geometry.deleteAttribute(name);
+      });
+      geometry.morphAttributes = {};
+      geometry.clearGroups();
+      geometry.applyMatrix4(matrix);
+
+      // Mirrored transforms flip triangle winding
+      if (matrix.determinant() < 0) {
+        this.flipWinding(geometry);
+      }
+
+      const material = Array.isArray(child.material) ? child.material[0] : child.material;
+      geometries.push(geometry);
+      materials.push({
+        color: material && material.color ? material.color.getHex() : 0xcccccc
+      });
+    });
+
+    if (geometries.length === 0) return null;
+
+    const merged = mergeVertices(mergeGeometries(geometries, true));
+    geometries.forEach(geometry => geometry.dispose());
+
+    return {
+      name: object.userData.name || object.name || object.userData.shapeType || object.userData.assetType || 'Object',
+      geometry: merged,
+      materials: materials
+    };
+  }
+
+  flipWinding(geometry) {
+    const position = geometry.attributes.position;
+    for (let i = 0; i < position.count; i += 3) {
+      const x = position.getX(i + 1);
+      const y = position.getY(i + 1);
+      const z = position.getZ(i + 1);
+      position.setXYZ(i + 1, position.getX(i + 2), position.getY(i + 2), position.getZ(i + 2));
+      position.setXYZ(i + 2, x, y, z);
+    }
+  }
+
+  mergeObjects(objects, options) {
+    const exportMatrix = this.getExportMatrix(options);
+    return objects
+      .map(object => this.mergeObject(object, exportMatrix))
+      .filter(Boolean);
+  }
+
+  // Call fn(a, b, c, normal) for every triangle of a merged mesh
+  forEachTriangle(geometry, fn) {
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+    const count = index ? index.count : position.count;
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const ab = new THREE.Vector3();
+
+    for (let i = 0; i < count; i += 3) {
+      a.fromBufferAttribute(position, index ? index.getX(i) : i);
+      b.fromBufferAttribute(position, index ? index.getX(i + 1) : i + 1);
+      c.fromBufferAttribute(position, index ? index.getX(i + 2) : i + 2);
+
+      normal.subVectors(c, b).cross(ab.subVectors(a, b)).normalize();
+      fn(a, b, c, normal);
+    }
+  }
+
+  // STL, Z-up by default as slicers expect. Returns an ArrayBuffer (binary)
+  // or a string (ASCII).
+  exportSTL(objects, { binary = true, units = 'mm', scale = 1, zUp = true } = {}) {
+    const meshes = this.mergeObjects(objects, { units, scale, zUp });
+
+    if (!binary) {
+      let output = '';
+      meshes.forEach(mesh => {
+        const name = this.sanitizeName(mesh.name);
+        output += `solid ${name}\n`;
+        this.forEachTriangle(mesh.geometry, (a, b, c, normal) => {
+          output += `  facet normal ${normal.x} ${normal.y} ${normal.z}\n`;
+          output += '    outer loop\n';
+          output += `      vertex ${a.x} ${a.y} ${a.z}\n`;
+          output += `      vertex ${b.x} ${b.y} ${b.z}\n`;
+          output += `      vertex ${c.x} ${c.y} ${c.z}\n`;
+          output += '    endloop\n';
+          output += '  endfacet\n';
+        });
+        output += `endsolid ${name}\n`;
+      });
+      meshes.forEach(mesh => mesh.geometry.dispose());
+      return output;
+    }
+
+    const triangleCount = meshes.reduce((sum, mesh) => {
+      const geometry = mesh.geometry;
+      return sum + (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+    }, 0);
+
+    // 80 byte header, triangle count, then 50 bytes per triangle
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+    const header = 'Worldsmith STL export';
+    for (let i = 0; i < header.length; i++) {
+      view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    const writeVector = (v) => {
+      view.setFloat32(offset, v.x, true);
+      view.setFloat32(offset + 4, v.y, true);
+      view.setFloat32(offset + 8, v.z, true);
+      offset += 12;
+    };
+
+    meshes.forEach(mesh => {
+      this.forEachTriangle(mesh.geometry, (a, b, c, normal) => {
+        writeVector(normal);
+        writeVector(a);
+        writeVector(b);
+        writeVector(c);
+        view.setUint16(offset, 0, true);
+        offset += 2;
+      });
+      mesh.geometry.dispose();
+    });
+
+    return buffer;
+  }
+
+  // Wavefront OBJ with a companion MTL holding one material per color
+  exportOBJ(objects, { units = 'm', scale = 1, zUp = false, mtlFileName = 'world.mtl' } = {}) {
+    const meshes = this.mergeObjects(objects, { units, scale, zUp });
+    const colorMaterials = new Map(); // hex -> material name
+
+    let obj = '# Worldsmith OBJ export\n';
+    obj += `mtllib ${mtlFileName}\n`;
+    let vertexOffset = 1;
+
+    meshes.forEach(mesh => {
+      const geometry = mesh.geometry;
+      const position = geometry.attributes.position;
+      const index = geometry.index;
+
+      obj += `o ${this.sanitizeName(mesh.name)}\n`;
+
+      for (let i = 0; i < position.count; i++) {
+        obj += `v ${position.getX(i)} ${position.getY(i)} ${position.getZ(i)}\n`;
+      }
+
+      const groups = geometry.groups.length > 0 ?
+        geometry.groups :
+        [{ start: 0, count: index ? index.count : position.count, materialIndex: 0 }];
+
+      groups.forEach(group => {
+        const color = mesh.materials[group.materialIndex].color;
+        if (!colorMaterials.has(color)) {
+          colorMaterials.set(color, `color_${color.toString(16).padStart(6, '0')}`);
+        }
+        obj += `usemtl ${colorMaterials.get(color)}\n`;
+
+        for (let i = group.start; i < group.start + group.count; i += 3) {
+          const a = (index ? index.getX(i) : i) + vertexOffset;
+          const b = (index ? index.getX(i + 1) : i + 1) + vertexOffset;
+          const c = (index ? index.getX(i + 2) : i + 2) + vertexOffset;
+          obj += `f ${a} ${b} ${c}\n`;
+        }
+      });
+
+      vertexOffset += position.count;
+      geometry.dispose();
+    });
+
+    let mtl = '# Worldsmith MTL export\n';
+    colorMaterials.forEach((name, color) => {
+      const r = ((color >> 16) & 255) / 255;
+      const g = ((color >> 8) & 255) / 255;
+      const b = (color & 255) / 255;
+      mtl += `\nnewmtl ${name}\n`;
+      mtl += `Kd ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}\n`;
+      mtl += 'Ka 0 0 0\nKs 0 0 0\nd 1\nillum 1\n';
+    });
+
+    return { obj, mtl };
+  }
+
+  // Sources inlined into standalone HTML exports. Loaded on demand so the
+  // editor bundle does not carry a second copy of three.js.
+  async loadStandaloneSources() {
+    const [three, controls, mobileControls, player] = await Promise.all([
+      // Not listed in three's package exports, so addressed by path
+      import('/node_modules/three/build/three.module.min.js?raw'),
+      import('./rosieControls.js?raw'),
+      import('./rosieMobileControls.js?raw'),
+      import('./standalonePlayer.js?raw')
+    ]);
+
+    return {
+      three: three.default,
+      controls: controls.default,
+      mobileControls: mobileControls.default,
+      player: player.default
+    };
+  }
+
+  // Self-contained HTML page with a read-only walk-through of the world
+  // (see standalonePlayer.js). Everything is inlined so it runs from disk.
+  async exportStandaloneHTML(objects, { title = 'Worldsmith World', ground = null, lights = [], background = null, fog = null, spawn, cameraMode = 'third-person', exposure = 2.2 } = {}) {
+    const sources = await this.loadStandaloneSources();
+
+    const exportScene = new THREE.Scene();
+    exportScene.name = title;
+    exportScene.background = background ? background.clone() : null;
+    exportScene.fog = fog ? fog.clone() : null;
+
+    objects.forEach(object => {
+      exportScene.add(this.cloneForExport(object));
+    });
+
+    if (ground) {
+      exportScene.add(ground.clone());
+    }
+
+    lights.forEach(light => {
+      exportScene.add(light.clone());
+    });
+
+    const sceneData = {
+      title: title,
+      scene: exportScene.toJSON(),
+      spawn: { x: spawn.x, y: spawn.y, z: spawn.z },
+      cameraMode: cameraMode,
+      exposure: exposure
+    };
+
+    // Sibling imports become bare specifiers that the import map resolves
+    const rewriteImports = (source) => source.replace(/from\s+['"]\.\/([\w-]+)\.js['"]/g, "from '@worldsmith/$1'");
+    const imports = {
+      'three': toDataURL(sources.three),
+      '@worldsmith/rosieControls': toDataURL(rewriteImports(sources.controls)),
+      '@worldsmith/rosieMobileControls': toDataURL(sources.mobileControls)
+    };
+
+    // JSON and code must not close their script tags early
+    const escapeScript = (text) => text.replace(/<\/script/gi, '<\\/script');
+    const escapeHTML = (text) => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="generator" content="Worldsmith">
+    <title>${escapeHTML(title)}</title>
+    <style>
+      html, body { margin: 0; height: 100%; overflow: hidden; background: #87ceeb; font-family: system-ui, sans-serif; }
+      #gameContainer, canvas { display: block; width: 100%; height: 100%; }
+      #help {
+        position: fixed; left: 20px; bottom: 20px; padding: 8px 12px; border-radius: 8px;
+        background: rgba(0,0,0,0.5); color: #fff; font-size: 12px; pointer-events: none;
+      }
+      #help strong { display: block; margin-bottom: 4px; }
+    </style>
+    <script type="importmap">${escapeScript(JSON.stringify({ imports }))}</script>
+  </head>
+  <body>
+    <div id="gameContainer"></div>
+    <div id="help"><strong>${escapeHTML(title)}</strong>WASD to walk · Space to jump · Drag or click to look · C to switch camera</div>
+    <script type="application/json" id="worldsmithScene">${JSON.stringify(sceneData).replace(/</g, '\\u003c')}</script>
+    <script type="module">
+${escapeScript(rewriteImports(sources.player))}
+    </script>
+  </body>
+</html>
+`;
+  }
+
+  sanitizeName(name) {
+    return String(name).trim().replace(/\s+/g, '_').replace(/[^\w.-]/g, '') || 'Object';
+  }
+}
+
+// Module source as a base64 data: URL, usable in an import map
+function toDataURL(source) {
+  const bytes = new TextEncoder().encode(source);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return `data:text/javascript;base64,${btoa(binary)}`;
+}
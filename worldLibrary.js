@@ -0,0 +1,139 @@
+/**
+ * WorldLibrary - browser-side storage of saved worlds in IndexedDB
+ *
+ * Each record holds the world file contents plus library metadata:
+ * { id, name, thumbnail, createdAt, updatedAt, objectCount, isAutosave, data }
+ */
+export class WorldLibrary {
+  constructor(dbName = 'worldsmith', storeName = 'worlds') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbVersion = 1;
+    this.db = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error || new Error('Failed to open world library'));
+    });
+  }
+
+  // Run fn against the object store and resolve with the request's result
+  async withStore(mode, fn) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const store = transaction.objectStore(this.storeName);
+      const request = fn(store);
+      let result;
+
+      if (request) {
+        request.onsuccess = () => { result = request.result; };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || new Error('World library transaction failed'));
+      transaction.onabort = () => reject(transaction.error || new Error('World library transaction aborted'));
+    });
+  }
+
+  generateId() {
+    return 'world_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 6);
+  }
+
+  // List metadata for every stored world, newest first (world data omitted)
+  async listWorlds() {
+    const records = await this.withStore('readonly', store => store.getAll());
+
+    return (records || [])
+      .map(({ data, ...meta }) => meta)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  getWorld(id) {
+    return this.withStore('readonly', store => store.get(id));
+  }
+
+  // Create or overwrite a slot. Pass an existing id to overwrite it.
+  async saveWorld({ id = null, name, data, thumbnail = null, isAutosave = false }) {
+    const now = Date.now();
+    const existing = id ? await this.getWorld(id) : null;
+
+    const record = {
+      id: id || this.generateId(),
+      name: name || (existing && existing.name) || 'Untitled World',
+      thumbnail: thumbnail || (existing && existing.thumbnail) || null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      objectCount: data && data.objects ? data.objects.length : 0,
+      isAutosave: isAutosave,
+      data: data
+    };
+
+    await this.withStore('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async renameWorld(id, name) {
+    const record = await this.getWorld(id);
+    if (!record) throw new Error('World not found');
+
+    record.name = name;
+    record.updatedAt = Date.now();
+    if (record.data) {
+      record.data.name = name;
+    }
+
+    await this.withStore('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async duplicateWorld(id) {
+    const record = await this.getWorld(id);
+    if (!record) throw new Error('World not found');
+
+    const now = Date.now();
+    const copy = {
+      ...record,
+      id: this.generateId(),
+      name: `${record.name} (copy)`,
+      createdAt: now,
+      updatedAt: now,
+      isAutosave: false,
+      data: record.data ? { ...record.data, name: `${record.name} (copy)` } : record.data
+    };
+
+    await this.withStore('readwrite', store => store.put(copy));
+    return copy;
+  }
+
+  deleteWorld(id) {
+    return this.withStore('readwrite', store => store.delete(id));
+  }
+}
@@ -0,0 +1,555 @@
+/**
+ * World file schema - the canonical on-disk layout of a saved world
+ *
+ * {
+ *   format: 'worldsmith-world',      // file type marker
+ *   version: '1.6.0',                // schema version, see WORLD_SCHEMA_VERSIONS
+ *   name: 'My World',
+ *   timestamp: '2025-01-01T00:00:00.000Z',
+ *   objects: [
+ *     {
+ *       id: 'obj_12' | null,         // history id, kept across saves so versions
+ *                                    // of a world can be compared object by object
+ *       type: 'shape' | 'asset' | 'complex' | 'unknown',
+ *       name: 'Red House' | null,
+ *       position: { x, y, z },
+ *       rotation: { x, y, z },       // euler angles in radians
+ *       scale: { x, y, z },
+ *       shapeType?: 'cube' | 'sphere' | ...,
+ *       assetType?: 'wizard' | ...,
+ *       description?: 'red house',
+ *       color?: 0xff0000,            // material color as a number
+ *       node?: { kind, name, position, rotation, scale, geometry, material, userData, children }
+ *                                    // full hierarchy, see objectSerializer.js;
+ *                                    // absent for assets and pre-1.3.0 files
+ *     }
+ *   ],
+ *   assets: [                        // user-imported glTF models used by objects
+ *     {
+ *       name: 'windmill',            // matches objects[].assetType
+ *       fileName: 'windmill.glb',
+ *       source: 'embedded' | 'url',
+ *       data?: 'Z2xURg...',          // base64 file contents when embedded
+ *       url?: 'https://...'          // location when referenced
+ *     }
+ *   ],
+ *   environment: {
+ *     timeOfDay: 0.5,                // 0 = midnight, 0.5 = noon
+ *     weather: 'clear',
+ *     lightingSettings: { sunIntensity, sunElevation, ambientIntensity, exposure, fogColor, fogDensity },
+ *     terrainSettings: { brightness, contrast, saturation, albedoTint, roughness, normalStrength },
+ *     terrain: {
+ *       width, height, widthSegments, heightSegments,
+ *       heights: [0.12, ...]         // local z of every ground vertex, row by row
+ *     } | null
+ *   } | null,                        // null keeps the current environment
+ *   historyData: { undoStack, redoStack, branches?, activeChildren?,
+ *                  nextObjectId } | null   // branches: other undo tree nodes
+ *   checkpoints: [                   // named restore points, see checkpointManager.js
+ *     {
+ *       id, name, timestamp,
+ *       thumbnail: 'data:image/jpeg;base64,...' | null,
+ *       objects: [{ id, position, rotation, scale, userData, node?, ... }],
+ *                                    // HistoryManager.createObjectSnapshot
+ *       environment: { ... } | null  // same layout as environment above
+ *     }
+ *   ]
+ * }
+ *
+ * Whenever the layout changes, bump WORLD_SCHEMA_VERSION, append it to
+ * WORLD_SCHEMA_VERSIONS and register a migration from the previous version.
+ * Older files are upgraded one step at a time on load, then checked entry by
+ * entry with validateWorld.
+ */
+
+export const WORLD_FORMAT = 'worldsmith-world';
+
+/**
+ * Prefab file schema - a reusable collection of objects
+ *
+ * {
+ *   format: 'worldsmith-prefab',
+ *   version: '1.0.0',                // see PREFAB_SCHEMA_VERSION
+ *   name: 'Market Stall',
+ *   timestamp: '2025-01-01T00:00:00.000Z',
+ *   pivot: { x, y, z },              // world point that lands on the spawn position
+ *   thumbnail: 'data:image/jpeg;base64,...' | null,
+ *   metadata: {
+ *     description: '',
+ *     objectCount: 3,
+ *     size: { x, y, z },             // bounding box size in meters
+ *     types: ['cube', 'tree']
+ *   },
+ *   objects: [...],                  // same entries as a world file, positions
+ *                                    // in world space around the pivot
+ *   assets: [...]                    // embedded models, as in a world file
+ * }
+ */
+export const PREFAB_FORMAT = 'worldsmith-prefab';
+
+export const PREFAB_SCHEMA_VERSION = '1.0.0';
+
+// Every schema version ever written, oldest first
+export const WORLD_SCHEMA_VERSIONS = ['1.0.0', '1.1.0', '1.2.0', '1.3.0', '1.4.0', '1.5.0', '1.6.0'];
+
+export const WORLD_SCHEMA_VERSION = WORLD_SCHEMA_VERSIONS[WORLD_SCHEMA_VERSIONS.length - 1];
+
+// Migrations keyed by the version they upgrade from. Each one receives data
+// in that version's layout and returns data in the next version's layout.
+const migrations = {
+  // 1.0.0 -> 1.1.0: add the format marker and per-object names
+  '1.0.0': (data) => ({
+    ...data,
+    format: WORLD_FORMAT,
+    version: '1.1.0',
+    // Malformed entries are left for validateWorld to report
+    objects: Array.isArray(data.objects) ? data.objects.map(obj => isPlainObject(obj) ? {
+      ...obj,
+      name: obj.name || null
+    } : obj) : data.objects,
+    historyData: data.historyData || null
+  }),
+
+  // 1.1.0 -> 1.2.0: environment, lighting and terrain state
+  '1.1.0': (data) => ({
+    ...data,
+    version: '1.2.0',
+    environment: null
+  }),
+
+  // 1.2.0 -> 1.3.0: optional full object hierarchy. Older objects have none
+  // and are rebuilt from their description.
+  '1.2.0': (data) => ({
+    ...data,
+    version: '1.3.0'
+  }),
+
+  // 1.3.0 -> 1.4.0: imported model assets
+  '1.3.0': (data) => ({
+    ...data,
+    version: '1.4.0',
+    assets: []
+  }),
+
+  // 1.4.0 -> 1.5.0: optional object ids. Older objects get fresh ones on load.
+  '1.4.0': (data) => ({
+    ...data,
+    version: '1.5.0'
+  }),
+
+  // 1.5.0 -> 1.6.0: named checkpoints
+  '1.5.0': (data) => ({
+    ...data,
+    version: '1.6.0',
+    checkpoints: []
+  })
+};
+
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+// Upgrade world data of any supported version to WORLD_SCHEMA_VERSION
+export function migrateWorld(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('World file is not a valid world object');
+  }
+
+  if (data.format !== undefined && data.format !== WORLD_FORMAT) {
+    throw new Error(`Unsupported file format "${data.format}"`);
+  }
+
+  // The earliest builds did not always stamp a version, and some wrote
+  // short forms such as "1.0" or 1
+  let version = data.version ? String(data.version) : WORLD_SCHEMA_VERSIONS[0];
+  version = WORLD_SCHEMA_VERSIONS.find(known => compareVersions(known, version) === 0) || version;
+
+  if (compareVersions(version, WORLD_SCHEMA_VERSION) > 0) {
+    throw new Error(`World was saved with a newer schema version (${version}); this build supports up to ${WORLD_SCHEMA_VERSION}. Please update Worldsmith to open it.`);
+  }
+
+  if (!WORLD_SCHEMA_VERSIONS.includes(version)) {
+    throw new Error(`Unknown world schema version "${version}"`);
+  }
+
+  let migrated = { ...data, version };
+
+  while (version !== WORLD_SCHEMA_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`No migration available from schema version ${version}`);
+    }
+
+    migrated = migrate(migrated);
+    version = migrated.version;
+  }
+
+  return migrated;
+}
+
+// Downgrades keyed by the version they go down to, for tools that feed
+// older builds. Each one receives data in the next version's layout and
+// returns it in this version's layout plus notes on what was lost.
+const downgrades = {
+  // 1.6.0 -> 1.5.0: no checkpoints
+  '1.5.0': (data) => ({
+    data: (({ checkpoints, ...rest }) => ({ ...rest, version: '1.5.0' }))(data),
+    lost: Array.isArray(data.checkpoints) && data.checkpoints.length > 0 ?
+      [`${data.checkpoints.length} checkpoint(s) dropped`] : []
+  }),
+
+  // 1.5.0 -> 1.4.0: no object ids
+  '1.4.0': (data) => ({
+    data: {
+      ...data,
+      version: '1.4.0',
+      objects: Array.isArray(data.objects) ? data.objects.map(obj => {
+        if (!isPlainObject(obj)) return obj;
+        const { id, ...entry } = obj;
+        return entry;
+      }) : data.objects
+    },
+    lost: Array.isArray(data.objects) && data.objects.some(obj => isPlainObject(obj) && obj.id) ?
+      ['object ids dropped; the versions can no longer be compared object by object'] : []
+  }),
+
+  // 1.4.0 -> 1.3.0: imported models cannot be stored
+  '1.3.0': (data) => ({
+    data: (({ assets, ...rest }) => ({ ...rest, version: '1.3.0' }))(data),
+    lost: Array.isArray(data.assets) && data.assets.length > 0 ?
+      [`${data.assets.length} embedded model(s) dropped; their objects will load as placeholders`] : []
+  }),
+
+  // 1.3.0 -> 1.2.0: objects are rebuilt from their type, per-child edits are lost
+  '1.2.0': (data) => {
+    const objects = Array.isArray(data.objects) ? data.objects : [];
+    const withNode = objects.filter(obj => isPlainObject(obj) && obj.node).length;
+    return {
+      data: {
+        ...data,
+        version: '1.2.0',
+        objects: objects.map(obj => {
+          if (!isPlainObject(obj)) return obj;
+          const { node, ...rest } = obj;
+          return rest;
+        })
+      },
+      lost: withNode > 0 ? [`full hierarchy of ${withNode} object(s) dropped; they are rebuilt from their type`] : []
+    };
+  },
+
+  // 1.2.0 -> 1.1.0: no environment
+  '1.1.0': (data) => ({
+    data: (({ environment, ...rest }) => ({ ...rest, version: '1.1.0' }))(data),
+    lost: data.environment ? ['environment, lighting and terrain dropped'] : []
+  }),
+
+  // 1.1.0 -> 1.0.0: no format marker or object names
+  '1.0.0': (data) => ({
+    data: (({ format, ...rest }) => ({
+      ...rest,
+      version: '1.0.0',
+      objects: Array.isArray(data.objects) ? data.objects.map(obj => {
+        if (!isPlainObject(obj)) return obj;
+        const { name, ...entry } = obj;
+        return entry;
+      }) : data.objects
+    }))(data),
+    lost: ['object names dropped']
+  })
+};
+
+// Rewrite world data of any supported version in the layout of
+// targetVersion (default: the current one). Returns { world, lost } where
+// lost lists what older layouts cannot hold.
+export function convertWorld(data, targetVersion = WORLD_SCHEMA_VERSION) {
+  const target = WORLD_SCHEMA_VERSIONS.find(known => compareVersions(known, targetVersion) === 0);
+  if (!target) {
+    throw new Error(`Unknown world schema version "${targetVersion}"; supported: ${WORLD_SCHEMA_VERSIONS.join(', ')}`);
+  }
+
+  let world = migrateWorld(data);
+  const lost = [];
+
+  for (let i = WORLD_SCHEMA_VERSIONS.length - 2; i >= 0 && compareVersions(world.version, target) > 0; i--) {
+    const result = downgrades[WORLD_SCHEMA_VERSIONS[i]](world);
+    world = result.data;
+    lost.push(...result.lost);
+  }
+
+  return { world, lost };
+}
+
+const OBJECT_TYPES = ['shape', 'asset', 'complex', 'unknown'];
+const NODE_KINDS = ['Mesh', 'Group', 'Object3D'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Check a migrated world (WORLD_SCHEMA_VERSION layout) entry by entry.
+// Returns a repaired copy plus every problem found; nothing is thrown for
+// bad entries so the caller can decide whether to load what is left.
+//
+// problem: { index, field, message, action: 'repaired' | 'skipped' }
+// index is the position in the file's objects/assets list, or null for
+// top-level fields. objectIndices[i] is the file position of
+// world.objects[i].
+export function validateWorld(data) {
+  const problems = [];
+  const report = (index, field, message, action) => {
+    problems.push({ index, field, message, action });
+  };
+
+  const world = { ...data };
+
+  if (world.name != null && typeof world.name !== 'string') {
+    report(null, 'name', 'is not a text value; removed', 'repaired');
+    world.name = null;
+  }
+
+  if (!Array.isArray(world.objects)) {
+    report(null, 'objects', 'is missing or not a list; loading an empty world', 'repaired');
+    world.objects = [];
+  }
+
+  // Position of each kept object in the original file, for error messages
+  const objectIndices = [];
+  const ids = new Set();
+  world.objects = world.objects.reduce((kept, obj, index) => {
+    const validated = validateObject(obj, index, report);
+    if (validated) {
+      if (validated.id !== undefined && ids.has(validated.id)) {
+        report(index, `objects[${index}].id`, `"${validated.id}" is used twice; a new id is assigned`, 'repaired');
+        delete validated.id;
+      }
+      if (validated.id !== undefined) ids.add(validated.id);
+      kept.push(validated);
+      objectIndices.push(index);
+    }
+    return kept;
+  }, []);
+
+  if (!Array.isArray(world.assets)) {
+    if (world.assets != null) report(null, 'assets', 'is not a list', 'repaired');
+    world.assets = [];
+  }
+
+  world.assets = world.assets.filter((asset, index) => {
+    if (!isPlainObject(asset) || typeof asset.name !== 'string' || !asset.name) {
+      report(index, `assets[${index}].name`, 'is missing', 'skipped');
+      return false;
+    }
+    const hasSource = asset.source === 'url' ? typeof asset.url === 'string' : typeof asset.data === 'string';
+    if (!hasSource) {
+      report(index, `assets[${index}].${asset.source === 'url' ? 'url' : 'data'}`, `model "${asset.name}" has no contents`, 'skipped');
+      return false;
+    }
+    return true;
+  });
+
+  if (world.environment != null && !isPlainObject(world.environment)) {
+    report(null, 'environment', 'is not an object; keeping the current environment', 'repaired');
+    world.environment = null;
+  }
+
+  if (world.historyData != null) {
+    const history = world.historyData;
+    if (!isPlainObject(history) || !Array.isArray(history.undoStack) || !Array.isArray(history.redoStack)) {
+      report(null, 'historyData', 'is malformed; undo history will start empty', 'repaired');
+      world.historyData = null;
+    }
+  }
+
+  if (!Array.isArray(world.checkpoints)) {
+    if (world.checkpoints != null) report(null, 'checkpoints', 'is not a list', 'repaired');
+    world.checkpoints = [];
+  }
+
+  const checkpointIds = new Set();
+  world.checkpoints = world.checkpoints.reduce((kept, checkpoint, index) => {
+    const validated = validateCheckpoint(checkpoint, index, report);
+    if (validated) {
+      if (checkpointIds.has(validated.id)) {
+        validated.id = `${validated.id}_${index}`;
+      }
+      checkpointIds.add(validated.id);
+      kept.push(validated);
+    }
+    return kept;
+  }, []);
+
+  return { world, problems, objectIndices };
+}
+
+function validateObject(obj, index, report) {
+  const prefix = `objects[${index}]`;
+
+  if (!isPlainObject(obj)) {
+    report(index, prefix, 'is not an object', 'skipped');
+    return null;
+  }
+
+  const result = { ...obj };
+
+  if (result.node !== undefined && (!isPlainObject(result.node) || !NODE_KINDS.includes(result.node.kind))) {
+    report(index, `${prefix}.node`, 'is malformed; rebuilding from type', 'repaired');
+    delete result.node;
+  }
+
+  if (!OBJECT_TYPES.includes(result.type)) {
+    // Infer the type from the fields that are present
+    const inferred = result.assetType ? 'asset' : result.shapeType ? 'shape' : result.description ? 'complex' : 'unknown';
+    report(index, `${prefix}.type`, `unknown type ${JSON.stringify(result.type)}; treated as "${inferred}"`, 'repaired');
+    result.type = inferred;
+  }
+
+  // Without a saved hierarchy the object is rebuilt from its type
+  if (!result.node) {
+    const required = { shape: 'shapeType', asset: 'assetType', complex: 'description' }[result.type];
+    if (!required) {
+      report(index, `${prefix}.node`, 'has no saved geometry and no type to rebuild it from', 'skipped');
+      return null;
+    }
+    if (typeof result[required] !== 'string' || !result[required]) {
+      report(index, `${prefix}.${required}`, `is required for ${result.type} objects`, 'skipped');
+      return null;
+    }
+  }
+
+  if (result.id != null && (typeof result.id !== 'string' || !result.id)) {
+    report(index, `${prefix}.id`, 'is not a text value; a new id is assigned', 'repaired');
+    delete result.id;
+  } else if (result.id === null) {
+    delete result.id;
+  }
+
+  if (result.name != null && typeof result.name !== 'string') {
+    report(index, `${prefix}.name`, 'is not a text value; removed', 'repaired');
+    result.name = null;
+  }
+
+  result.position = validateVector(result.position, 0, `${prefix}.position`, index, report);
+  result.rotation = validateVector(result.rotation, 0, `${prefix}.rotation`, index, report);
+  result.scale = validateVector(result.scale, 1, `${prefix}.scale`, index, report);
+
+  if (result.color !== undefined && !isFiniteNumber(result.color)) {
+    const hex = typeof result.color === 'string' ? result.color.replace(/^#|^0x/i, '') : '';
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      result.color = parseInt(hex, 16);
+      report(index, `${prefix}.color`, 'was a string; converted to a number', 'repaired');
+    } else {
+      report(index, `${prefix}.color`, `${JSON.stringify(result.color)} is not a color; removed`, 'repaired');
+      delete result.color;
+    }
+  }
+
+  return result;
+}
+
+function validateCheckpoint(checkpoint, index, report) {
+  const prefix = `checkpoints[${index}]`;
+
+  if (!isPlainObject(checkpoint) || !Array.isArray(checkpoint.objects)) {
+    report(index, prefix, 'is malformed', 'skipped');
+    return null;
+  }
+
+  const result = { ...checkpoint };
+
+  if (typeof result.id !== 'string' || !result.id) {
+    result.id = `checkpoint_${index + 1}`;
+  }
+
+  if (typeof result.name !== 'string' || !result.name.trim()) {
+    report(index, `${prefix}.name`, 'is missing', 'repaired');
+    result.name = `Checkpoint ${index + 1}`;
+  }
+
+  if (!isFiniteNumber(result.timestamp)) result.timestamp = 0;
+  if (typeof result.thumbnail !== 'string') result.thumbnail = null;
+
+  if (result.environment != null && !isPlainObject(result.environment)) {
+    report(index, `${prefix}.environment`, 'is not an object; the environment will not be restored', 'repaired');
+    result.environment = null;
+  }
+
+  // Snapshots are rebuilt by HistoryManager.restoreObjectFromSnapshot
+  const isVector = (value) => isPlainObject(value) && ['x', 'y', 'z'].every(axis => isFiniteNumber(value[axis]));
+  result.objects = result.objects.filter((snapshot, objectIndex) => {
+    const valid = isPlainObject(snapshot) && typeof snapshot.id === 'string' && snapshot.id &&
+      isPlainObject(snapshot.userData) &&
+      isVector(snapshot.position) && isVector(snapshot.rotation) && isVector(snapshot.scale) &&
+      (snapshot.node === undefined || (isPlainObject(snapshot.node) && NODE_KINDS.includes(snapshot.node.kind)));
+    if (!valid) report(index, `${prefix}.objects[${objectIndex}]`, 'is malformed', 'skipped');
+    return valid;
+  });
+
+  return result;
+}
+
+// Accepts { x, y, z } or [x, y, z]; bad components fall back to the default
+function validateVector(value, fallback, field, index, report) {
+  if (Array.isArray(value)) {
+    value = { x: value[0], y: value[1], z: value[2] };
+  }
+
+  if (!isPlainObject(value)) {
+    if (value !== undefined) report(index, field, 'is not a vector; reset', 'repaired');
+    return { x: fallback, y: fallback, z: fallback };
+  }
+
+  const vector = {};
+  ['x', 'y', 'z'].forEach(axis => {
+    if (isFiniteNumber(value[axis])) {
+      vector[axis] = value[axis];
+    } else {
+      report(index, `${field}.${axis}`, `${JSON.stringify(value[axis])} is not a number; set to ${fallback}`, 'repaired');
+      vector[axis] = fallback;
+    }
+  });
+  return vector;
+}
+
+// Check a prefab file. Throws if it is not a prefab this build can read;
+// bad object entries are repaired or dropped as for worlds.
+export function validatePrefab(data) {
+  if (!isPlainObject(data) || data.format !== PREFAB_FORMAT) {
+    throw new Error('File is not a Worldsmith prefab');
+  }
+
+  if (compareVersions(data.version || PREFAB_SCHEMA_VERSION, PREFAB_SCHEMA_VERSION) > 0) {
+    throw new Error(`Prefab was saved with a newer schema version (${data.version}); this build supports up to ${PREFAB_SCHEMA_VERSION}.`);
+  }
+
+  const { world, problems, objectIndices } = validateWorld({ objects: data.objects, assets: data.assets });
+
+  const pivot = isPlainObject(data.pivot) ? data.pivot : {};
+  const prefab = {
+    ...data,
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Prefab',
+    pivot: {
+      x: isFiniteNumber(pivot.x) ? pivot.x : 0,
+      y: isFiniteNumber(pivot.y) ? pivot.y : 0,
+      z: isFiniteNumber(pivot.z) ? pivot.z : 0
+    },
+    thumbnail: typeof data.thumbnail === 'string' ? data.thumbnail : null,
+    metadata: isPlainObject(data.metadata) ? data.metadata : {},
+    objects: world.objects,
+    assets: world.assets
+  };
+
+  return { prefab, problems, objectIndices };
+}
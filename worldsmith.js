@@ -2,8 +2,21 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { ObjectCreator } from './objectCreator.js';
 import { WorldData } from './worldData.js';
+import { WorldLibrary } from './worldLibrary.js';
+import { SessionJournal } from './sessionJournal.js';
+import { WorldExporter } from './worldExporter.js';
+import { AssetManager } from './assetManager.js';
+import { PREFAB_FORMAT } from './worldSchema.js';
+import { encodeShareHash, decodeShareHash, hasShareHash, MAX_SHARE_HASH_LENGTH } from './shareLink.js';
+import { diffWorlds, WorldDiffOverlay } from './worldDiff.js';
 import { HistoryManager } from './historyManager.js';
+import { CheckpointManager } from './checkpointManager.js';
+import { WorldCommands } from './worldCommands.js';
+import { MacroRecorder } from './macroRecorder.js';
+import { TimeLapse } from './timeLapse.js';
+import { CollabSession } from './collabSession.js';
 import { AIAgent } from './aiAgent.js';
+import { OpenAICompatibleProvider } from './languageModel.js';
 import { PlayerController, ThirdPersonCameraController, FirstPersonCameraController } from './rosieControls.js';
 
 export class Worldsmith {
@@ -41,13 +54,23 @@ export class Worldsmith {
     // Game objects
     this.createdObjects = [];
     this.selectedObject = null;
+    this.selectedObjects = []; // Shift+click adds to the selection
     this.player = null;
     this.ground = null;
     
     // Systems
     this.objectCreator = null;
     this.worldData = null;
+    this.worldLibrary = null;
+    this.prefabLibrary = null;
+    this.sessionJournal = null;
+    this.worldExporter = null;
+    this.assetManager = null;
     this.historyManager = null;
+    this.commands = null;
+    this.macroRecorder = null;
+    this.timeLapse = null;
+    this.collab = null;
     this.aiAgent = null;
     
     // Controls
@@ -117,6 +140,29 @@ export class Worldsmith {
     this.physicsWorld = null;
     this.physicsAccumulator = 0;
     
+    // World library & autosave
+    this.currentWorldId = null;
+    this.autosaveSlotId = 'autosave';
+    this.autosaveInterval = 5 * 60 * 1000; // 5 minutes
+    this.autosaveTimer = null;
+    this.resolveLoadReport = null;
+    
+    // Shared-link viewing: editing is disabled until "Edit a copy"
+    this.readOnly = false;
+    this.editingServicesStarted = false;
+    
+    // Prefabs (metadata of the library's records, kept for Rosie lookups)
+    this.prefabs = [];
+    
+    // Last pointer position, for "here" placement
+    this.lastPointer = null;
+    
+    // Open version comparison: { name, differences, index, ghosts, overlay }
+    this.worldDiff = null;
+    
+    // Bundled models, relative to the page so it works offline
+    this.assetManifestUrl = 'assets/manifest.json';
+    
     // Diagnostics
     this.diagnosticsLog = [];
     this.maxLogEntries = 10;
@@ -130,7 +176,8 @@ export class Worldsmith {
     this.setupEventListeners();
   }
 
-  async init() {
+  // options.shareHash: location hash holding a shared world (see shareLink.js)
+  async init(options = {}) {
     try {
       await this.initRenderer();
       await this.initScene();
@@ -138,6 +185,19 @@ export class Worldsmith {
       await this.initUI();
       await this.loadAssets();
       
+      await this.refreshPrefabs();
+      
+      // A shared link replaces the crash recovery offer; the journal is left
+      // alone so it can still be offered next time
+      const sharedLoaded = options.shareHash ? await this.loadSharedWorld(options.shareHash) : false;
+      if (!sharedLoaded) {
+        await this.checkCrashRecovery();
+      }
+      
+      if (!this.readOnly) {
+        this.startEditingServices();
+      }
+      
       this.log('Worldsmith initialized successfully');
       this.showToast('Worldsmith ready!', 'success');
       
@@ -170,6 +230,9 @@ export class Worldsmith {
     
     // WebGL context loss handling
     canvas.addEventListener('webglcontextlost', this.handleContextLost.bind(this));
+    
+    // Terrain brush strokes start on the canvas
+    canvas.addEventListener('pointerdown', this.handleTerrainPointerDown.bind(this));
     this.scene.fog = new THREE.Fog(0xf0f8ff, 100, 400); // Светлее и дальше
     
     this.updateRendererSize();
@@ -321,9 +384,26 @@ export class Worldsmith {
   async initSystems() {
     // Initialize core systems
     this.objectCreator = new ObjectCreator(this.scene, this.assetLoader, this.loadedAssets);
+    this.assetManager = new AssetManager(this.assetLoader, this.loadedAssets);
     this.worldData = new WorldData();
+    this.worldLibrary = new WorldLibrary();
+    this.prefabLibrary = new WorldLibrary('worldsmith-prefabs', 'prefabs');
+    this.sessionJournal = new SessionJournal(
+      () => ({ world: this.serializeCurrentWorld(), currentWorldId: this.currentWorldId }),
+      { onQuotaExceeded: () => this.showToast('Scene too large for crash recovery journal', 'warning') }
+    );
+    this.worldExporter = new WorldExporter();
     this.historyManager = new HistoryManager(this);
+    this.commands = new WorldCommands(this);
+    this.macroRecorder = new MacroRecorder(this);
+    this.timeLapse = new TimeLapse(this, {
+      onStep: (index, count, transaction) => this.updateTimeLapseStatus(index, count, transaction),
+      onFinish: (result) => this.handleTimeLapseFinished(result)
+    });
+    this.checkpointManager = new CheckpointManager(this);
+    this.collab = new CollabSession(this);
     this.aiAgent = new AIAgent(this);
+    this.loadRosieModelSettings();
     
     this.log('Core systems initialized');
   }
@@ -340,31 +420,33 @@ export class Worldsmith {
   }
 
   async loadAssets() {
-    const assetPaths = {
-      wizard: 'https://threejs.org/examples/models/gltf/Soldier.glb',
-      dragon: 'https://threejs.org/examples/models/gltf/Soldier.glb',
-      ghost: 'https://threejs.org/examples/models/gltf/Soldier.glb',
-      cube_guy: 'https://threejs.org/examples/models/gltf/Soldier.glb'
-    };
-    
-    const loadPromises = Object.entries(assetPaths).map(async ([name, path]) => {
-      try {
-        const gltf = await this.assetLoader.loadAsync(path);
-        this.loadedAssets.set(name, gltf);
-        this.log(`Loaded asset: ${name}`);
-      } catch (error) {
-        this.log(`Failed to load asset ${name}: ${error.message}`, 'error');
-      }
+    const overlay = document.getElementById('loadingOverlay');
+    const text = document.getElementById('loadingText');
+    const bar = document.getElementById('loadingBarFill');
+    if (overlay) overlay.classList.remove('hidden');
+    
+    const summary = await this.assetManager.loadManifest(this.assetManifestUrl, (done, total, name) => {
+      if (text) text.textContent = `Loading assets... ${done}/${total} (${name})`;
+      if (bar) bar.style.width = `${Math.round(done / total * 100)}%`;
     });
     
-    await Promise.allSettled(loadPromises);
-    this.log(`Assets loaded: ${this.loadedAssets.size}/${Object.keys(assetPaths).length}`);
+    if (overlay) overlay.classList.add('hidden');
+    
+    summary.loaded.forEach(name => this.log(`Loaded asset: ${name}`));
+    if (summary.procedural.length > 0) {
+      this.log(`Using procedural stand-ins for: ${summary.procedural.join(', ')}`, 'warn');
+    }
+    summary.failed.forEach(failure => this.log(`Failed to load asset ${failure}`, 'error'));
+    
+    const total = summary.loaded.length + summary.procedural.length + summary.failed.length;
+    this.log(`Assets loaded: ${summary.loaded.length}/${total} (${summary.procedural.length} procedural)`);
   }
 
   setupEventListeners() {
     // Window events
     window.addEventListener('resize', this.handleResize.bind(this));
     window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+    window.addEventListener('hashchange', this.handleHashChange.bind(this));
     
     // Page visibility
     document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
@@ -375,6 +457,16 @@ export class Worldsmith {
     
     // Mouse events
     document.addEventListener('click', this.handleClick.bind(this));
+    document.addEventListener('pointermove', (e) => {
+      // Last point over the world, so panel buttons can act "at the cursor"
+      if (this.renderer && e.target === this.renderer.domElement) {
+        this.lastPointer = { x: e.clientX, y: e.clientY };
+      }
+      if (this.terrainEditor.isEditing) {
+        this.sculptTerrainAt(e.clientX, e.clientY, e.shiftKey);
+      }
+    });
+    document.addEventListener('pointerup', () => this.endTerrainStroke());
     document.addEventListener('contextmenu', this.handleContextMenu.bind(this));
   }
 
@@ -403,6 +495,71 @@ export class Worldsmith {
       redoBtn.addEventListener('click', () => this.historyManager.redo());
     }
     
+    const historyBtn = document.getElementById('historyBtn');
+    if (historyBtn) {
+      historyBtn.addEventListener('click', () => this.toggleHistoryPanel());
+    }
+    
+    const historyCloseBtn = document.getElementById('historyCloseBtn');
+    if (historyCloseBtn) {
+      historyCloseBtn.addEventListener('click', () => this.hideHistoryPanel());
+    }
+    
+    // Named checkpoints panel
+    [
+      ['checkpointBtn', () => this.toggleCheckpointPanel()],
+      ['checkpointCreateBtn', () => this.createCheckpoint()],
+      ['checkpointCloseBtn', () => this.hideCheckpointPanel()]
+    ].forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    });
+    
+    document.addEventListener('checkpointsChanged', () => {
+      const panel = document.getElementById('checkpointPanel');
+      if (panel && panel.classList.contains('show')) this.renderCheckpointPanel();
+    });
+    
+    // Macros panel
+    [
+      ['macroBtn', () => this.toggleMacroPanel()],
+      ['macroRecordBtn', () => this.toggleMacroRecording()],
+      ['macroCloseBtn', () => this.hideMacroPanel()]
+    ].forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    });
+    
+    document.addEventListener('macrosChanged', () => this.renderMacroPanel());
+    
+    // Time-lapse controls
+    [
+      ['timeLapsePauseBtn', () => this.toggleTimeLapsePause()],
+      ['timeLapseStopBtn', () => this.stopTimeLapse()]
+    ].forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    });
+    
+    const timeLapseSpeed = document.getElementById('timeLapseSpeed');
+    if (timeLapseSpeed) {
+      timeLapseSpeed.addEventListener('change', () => this.timeLapse.setSpeed(parseFloat(timeLapseSpeed.value)));
+    }
+    
+    // Live session
+    const collabLeaveBtn = document.getElementById('collabLeaveBtn');
+    if (collabLeaveBtn) {
+      collabLeaveBtn.addEventListener('click', () => this.leaveCollabSession());
+    }
+    
+    document.addEventListener('collabChanged', (e) => this.handleCollabChanged(e.detail));
+    
+    // Keep the history browser in step with undo, redo and new actions
+    document.addEventListener('historyChanged', () => {
+      const panel = document.getElementById('historyPanel');
+      if (panel && panel.classList.contains('show')) this.renderHistoryPanel();
+    });
+    
     const clearAllBtn = document.getElementById('clearAllBtn');
     if (clearAllBtn) {
       clearAllBtn.addEventListener('click', this.handleClearAll.bind(this));
@@ -455,6 +612,111 @@ export class Worldsmith {
     if (quickLoadWorld) {
       quickLoadWorld.addEventListener('click', () => this.loadWorld());
     }
+    
+    const readOnlyEditBtn = document.getElementById('readOnlyEditBtn');
+    if (readOnlyEditBtn) {
+      readOnlyEditBtn.addEventListener('click', () => this.exitReadOnlyMode());
+    }
+    
+    const worldShareBtn = document.getElementById('worldShareBtn');
+    if (worldShareBtn) {
+      worldShareBtn.addEventListener('click', () => this.copyShareLink());
+    }
+    
+    const prefabSaveBtn = document.getElementById('prefabSaveBtn');
+    if (prefabSaveBtn) {
+      prefabSaveBtn.addEventListener('click', () => this.saveSelectionAsPrefab());
+    }
+    
+    const prefabImportBtn = document.getElementById('prefabImportBtn');
+    if (prefabImportBtn) {
+      prefabImportBtn.addEventListener('click', () => this.pickPrefabFile());
+    }
+    
+    const quickImportModel = document.getElementById('quickImportModel');
+    if (quickImportModel) {
+      quickImportModel.addEventListener('click', () => this.pickModelFiles());
+    }
+    
+    // Drag-and-drop model import onto the canvas
+    const gameContainer = document.getElementById('gameContainer');
+    if (gameContainer) {
+      gameContainer.addEventListener('dragover', this.handleDragOver.bind(this));
+      gameContainer.addEventListener('drop', this.handleDrop.bind(this));
+    }
+    
+    // World browser
+    const loadReportConfirm = document.getElementById('loadReportConfirm');
+    if (loadReportConfirm) {
+      loadReportConfirm.addEventListener('click', () => this.resolveLoadReport && this.resolveLoadReport(true));
+    }
+    
+    const loadReportCancel = document.getElementById('loadReportCancel');
+    if (loadReportCancel) {
+      loadReportCancel.addEventListener('click', () => this.resolveLoadReport && this.resolveLoadReport(false));
+    }
+    
+    const worldBrowserClose = document.getElementById('worldBrowserClose');
+    if (worldBrowserClose) {
+      worldBrowserClose.addEventListener('click', () => this.hideWorldBrowser());
+    }
+    
+    const worldSaveAsBtn = document.getElementById('worldSaveAsBtn');
+    if (worldSaveAsBtn) {
+      worldSaveAsBtn.addEventListener('click', () => this.saveWorldAs());
+    }
+    
+    const worldImportBtn = document.getElementById('worldImportBtn');
+    if (worldImportBtn) {
+      worldImportBtn.addEventListener('click', () => this.importWorldFile());
+    }
+    
+    const worldMergeBtn = document.getElementById('worldMergeBtn');
+    if (worldMergeBtn) {
+      worldMergeBtn.addEventListener('click', () => this.pickMergeWorldFile());
+    }
+    
+    const worldCompareBtn = document.getElementById('worldCompareBtn');
+    if (worldCompareBtn) {
+      worldCompareBtn.addEventListener('click', () => this.pickCompareWorldFile());
+    }
+    
+    // Version comparison panel
+    [
+      ['diffPrevBtn', () => this.stepWorldDiff(-1)],
+      ['diffNextBtn', () => this.stepWorldDiff(1)],
+      ['diffAcceptAllBtn', () => this.acceptAllWorldDifferences()],
+      ['diffCloseBtn', () => this.closeWorldDiff()]
+    ].forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    });
+    
+    const worldExportBtn = document.getElementById('worldExportBtn');
+    if (worldExportBtn) {
+      worldExportBtn.addEventListener('click', () => this.exportWorldFile());
+    }
+    
+    const autosaveInterval = document.getElementById('autosaveInterval');
+    if (autosaveInterval) {
+      autosaveInterval.addEventListener('change', (e) => this.setAutosaveInterval(parseInt(e.target.value, 10)));
+    }
+    
+    // Object properties: every edit is an undoable command
+    const objName = document.getElementById('objName');
+    if (objName) {
+      objName.addEventListener('change', () => this.applyNameInput());
+    }
+    
+    ['posX', 'posY', 'posZ', 'rotX', 'rotY', 'rotZ', 'scale'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.addEventListener('change', () => this.applyTransformInput(id));
+    });
+    
+    const objColor = document.getElementById('objColor');
+    if (objColor) {
+      objColor.addEventListener('change', () => this.applyColorInput());
+    }
   }
 
   handleResize() {
@@ -477,11 +739,22 @@ export class Worldsmith {
   }
 
   handleKeyDown(e) {
+    // Only Escape (stop) while the time-lapse plays
+    if (this.timeLapse && this.timeLapse.isActive) {
+      if (e.code === 'Escape') {
+        e.preventDefault();
+        this.stopTimeLapse();
+      }
+      return;
+    }
+    
     // Check if UI is focused (inputs, command palette, etc.)
     const isCommandPaletteOpen = document.getElementById('commandPalette')?.classList.contains('show');
     const isConsoleOpen = document.getElementById('consolePanel')?.classList.contains('show');
+    const isWorldBrowserOpen = document.getElementById('worldBrowser')?.classList.contains('show') ||
+      document.getElementById('loadReport')?.classList.contains('show');
     
-    if (this.isUIFocused || isCommandPaletteOpen || isConsoleOpen) {
+    if (this.isUIFocused || isCommandPaletteOpen || isConsoleOpen || isWorldBrowserOpen) {
       // Only allow certain hotkeys when UI is focused
       if (e.ctrlKey || e.metaKey) {
         switch (e.code) {
@@ -627,6 +900,8 @@ export class Worldsmith {
   }
 
   handleCanvasClick(e) {
+    if (this.readOnly || this.terrainEditor.enabled) return;
+    
     const canvas = this.renderer.domElement;
     const rect = canvas.getBoundingClientRect();
     const mouse = new THREE.Vector2();
@@ -642,7 +917,10 @@ export class Worldsmith {
     if (intersects.length > 0) {
       const clickedObject = this.findRootObject(intersects[0].object);
       
-      if (this.selectedObject === clickedObject) {
+      if (e.shiftKey) {
+        // Shift+click - add to or remove from the selection
+        this.toggleObjectSelection(clickedObject);
+      } else if (this.selectedObject === clickedObject && this.selectedObjects.length === 1) {
         // Double click - delete object
         this.deleteObject(clickedObject);
       } else {
@@ -684,6 +962,7 @@ export class Worldsmith {
   }
 
   queueCommand(command) {
+    if (this.isReadOnlyBlocked()) return;
     this.commandQueue.push(command);
     this.processCommandQueue();
   }
@@ -714,9 +993,13 @@ export class Worldsmith {
   async executeCommand(command) {
     this.log(`Executing command: ${command}`);
     
+    // Recorded when it runs, so the objects it creates (possibly after
+    // waiting for the language model) belong to this step
+    this.macroRecorder.recordText(command);
+    
     try {
       if (this.aiAgent) {
-        this.aiAgent.processCommand(command);
+        await this.aiAgent.handleCommand(command);
       } else {
         this.parseNaturalLanguage(command);
       }
@@ -740,6 +1023,22 @@ export class Worldsmith {
     // Hide command palette
     this.hideCommandPalette();
     
+    // Cancel a pending world load
+    if (this.resolveLoadReport) {
+      this.resolveLoadReport(false);
+    }
+    
+    // Hide world browser
+    this.hideWorldBrowser();
+    
+    // Leave terrain brush mode
+    this.terrainEditor.enabled = false;
+    
+    // Hide history browser, checkpoints and macros
+    this.hideHistoryPanel();
+    this.hideCheckpointPanel();
+    this.hideMacroPanel();
+    
     // Hide command bar
     this.hideCommandBar();
     
@@ -782,8 +1081,14 @@ export class Worldsmith {
     e.preventDefault();
     this.webglContextLost = true;
     this.pause();
+    
+    // Keep the current world so it can be restored after the reload
+    if (this.sessionJournal && this.editingServicesStarted) {
+      this.sessionJournal.markForRecovery();
+    }
+    
     this.log('WebGL context lost', 'error');
-    this.showToast('Graphics context lost. Please reload the page.', 'error');
+    this.showToast('Graphics context lost. Please reload the page - your work will be offered for restore.', 'error');
   }
 
   handleContextRestored() {
@@ -878,13 +1183,20 @@ export class Worldsmith {
   }
 
   update(deltaTime) {
-    // Camera controller updates
-    if (this.cameraMode === 'third-person' && this.thirdPersonController) {
+    // Camera controller updates; the time-lapse flies its own camera
+    if (this.timeLapse && this.timeLapse.isActive) {
+      this.timeLapse.update(deltaTime);
+    } else if (this.cameraMode === 'third-person' && this.thirdPersonController) {
       this.thirdPersonController.update();
     } else if (this.cameraMode === 'first-person' && this.firstPersonController) {
       this.firstPersonController.update();
     }
     
+    // Other editors' avatars and selections in a live session
+    if (this.collab) {
+      this.collab.update(deltaTime);
+    }
+    
     // AI agent autonomous behavior
     if (this.aiAgent) {
       this.aiAgent.checkForAutonomousSuggestions();
@@ -1062,27 +1374,48 @@ export class Worldsmith {
     if (!obj) return null;
     
     // Position object in front of camera
+    obj.position.copy(this.getSpawnPosition());
+    
+    if (!this.commands.createObject(obj, `Create ${description}`)) return null;
+    
+    this.log(`Created: ${description}`);
+    return obj;
+  }
+
+  getSpawnPosition() {
     const cameraDirection = new THREE.Vector3();
     this.camera.getWorldDirection(cameraDirection);
     const spawnPosition = this.camera.position.clone().add(cameraDirection.multiplyScalar(5));
     spawnPosition.y = Math.max(spawnPosition.y, 1);
+    return spawnPosition;
+  }
+
+  // World point under the given screen coordinates (ground or objects)
+  getCursorWorldPosition(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
     
-    obj.position.copy(spawnPosition);
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(mouse, this.camera);
     
-    this.scene.add(obj);
-    this.createdObjects.push(obj);
+    const intersects = raycaster.intersectObjects([this.ground, ...this.createdObjects], true);
+    return intersects.length > 0 ? intersects[0].point : null;
+  }
+
+  // Spawn a registered model by name
+  spawnAsset(assetName, position = null) {
+    if (!this.objectCreator || !this.loadedAssets.has(assetName)) return null;
     
-    // Record creation for history
-    this.historyManager.recordObjectCreation(obj);
-    this.historyManager.commitTransaction();
+    const obj = this.objectCreator.createAsset(assetName);
+    obj.userData.name = assetName;
+    obj.position.copy(position || this.getSpawnPosition());
     
-    this.updateObjectCount();
-    this.log(`Created: ${description}`);
+    if (!this.commands.createObject(obj, `Place ${assetName}`)) return null;
     
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('objectCreated', {
-      detail: { object: obj, description }
-    }));
+    this.log(`Placed asset: ${assetName}`);
     
     return obj;
   }
@@ -1090,34 +1423,9 @@ export class Worldsmith {
   deleteObject(obj) {
     if (!obj || !this.createdObjects.includes(obj)) return;
     
-    // Record deletion for history
-    const snapshot = this.historyManager.createObjectSnapshot(obj);
-    this.historyManager.startTransaction('Delete Object');
-    this.historyManager.recordObjectDeletion(obj, snapshot);
-    
-    // Remove from scene and arrays
-    this.scene.remove(obj);
-    const index = this.createdObjects.indexOf(obj);
-    if (index > -1) {
-      this.createdObjects.splice(index, 1);
-    }
-    
-    // Dispose resources
-    this.disposeObject(obj);
-    
-    // Deselect if selected
-    if (this.selectedObject === obj) {
-      this.selectObject(null);
+    if (this.commands.deleteObjects([obj], 'Delete Object')) {
+      this.log('Object deleted');
     }
-    
-    this.historyManager.commitTransaction();
-    this.updateObjectCount();
-    this.log('Object deleted');
-    
-    // Dispatch event
-    document.dispatchEvent(new CustomEvent('objectDeleted', {
-      detail: { object: obj, snapshot }
-    }));
   }
 
   disposeObject(obj) {
@@ -1137,11 +1445,13 @@ export class Worldsmith {
 
   selectObject(obj) {
     // Clear previous selection
-    if (this.selectedObject) {
+    this.selectedObjects.forEach(selected => this.clearObjectHighlight(selected));
+    if (this.selectedObject && !this.selectedObjects.includes(this.selectedObject)) {
       this.clearObjectHighlight(this.selectedObject);
     }
     
     this.selectedObject = obj;
+    this.selectedObjects = obj ? [obj] : [];
     
     if (obj) {
       this.highlightObject(obj);
@@ -1152,6 +1462,38 @@ export class Worldsmith {
     }
   }
 
+  toggleObjectSelection(obj) {
+    const index = this.selectedObjects.indexOf(obj);
+    
+    if (index > -1) {
+      this.selectedObjects.splice(index, 1);
+      this.clearObjectHighlight(obj);
+      this.selectedObject = this.selectedObjects[this.selectedObjects.length - 1] || null;
+    } else {
+      this.selectedObjects.push(obj);
+      this.highlightObject(obj);
+      this.selectedObject = obj;
+    }
+    
+    if (this.selectedObject) {
+      this.updatePropertiesPanel(this.selectedObject);
+    } else {
+      this.clearPropertiesPanel();
+    }
+    this.log(`Selection: ${this.selectedObjects.length} object(s)`);
+  }
+
+  // Replace the selection with several objects
+  selectObjects(objects) {
+    this.selectObject(null);
+    objects.forEach(obj => this.toggleObjectSelection(obj));
+  }
+
+  // Selected objects that are still in the world
+  getSelectedObjects() {
+    return this.selectedObjects.filter(obj => this.createdObjects.includes(obj));
+  }
+
   highlightObject(obj) {
     // Add wireframe highlight
     const wireframe = new THREE.WireframeGeometry(obj.geometry);
@@ -1178,25 +1520,11 @@ export class Worldsmith {
   }
 
   clearAll() {
-    this.historyManager.startTransaction('Clear All');
-    
-    // Record all deletions
-    this.createdObjects.forEach(obj => {
-      const snapshot = this.historyManager.createObjectSnapshot(obj);
-      this.historyManager.recordObjectDeletion(obj, snapshot);
-    });
+    if (this.isReadOnlyBlocked()) return;
     
-    // Remove all objects
-    this.createdObjects.forEach(obj => {
-      this.scene.remove(obj);
-      this.disposeObject(obj);
-    });
-    
-    this.createdObjects = [];
+    this.commands.deleteObjects([...this.createdObjects], 'Clear All');
     this.selectObject(null);
     
-    this.historyManager.commitTransaction();
-    this.updateObjectCount();
     this.log('All objects cleared');
     this.showToast('All objects cleared', 'info');
   }
@@ -1388,6 +1716,45 @@ export class Worldsmith {
       case 'load':
         this.loadWorld();
         break;
+      case 'export-json':
+        this.exportWorldFile();
+        break;
+      case 'import-json':
+        this.importWorldFile();
+        break;
+      case 'merge-json':
+        this.pickMergeWorldFile();
+        break;
+      case 'compare-json':
+        this.pickCompareWorldFile();
+        break;
+      case 'save-prefab':
+        this.saveSelectionAsPrefab();
+        break;
+      case 'share-link':
+        this.copyShareLink();
+        break;
+      case 'share-link-view':
+        this.copyShareLink({ readOnly: true });
+        break;
+      case 'export-html':
+        this.downloadStandaloneHTML();
+        break;
+      case 'export-glb':
+        this.downloadGLTF({ binary: true });
+        break;
+      case 'export-gltf':
+        this.downloadGLTF({ binary: false });
+        break;
+      case 'export-stl':
+        this.downloadPrintable('stl');
+        break;
+      case 'export-stl-ascii':
+        this.downloadPrintable('stl-ascii');
+        break;
+      case 'export-obj':
+        this.downloadPrintable('obj');
+        break;
       case 'toggle-ui':
         this.toggleImmersiveMode();
         break;
@@ -1403,12 +1770,48 @@ export class Worldsmith {
       case 'redo':
         this.historyManager.redo();
         break;
+      case 'history':
+        this.toggleHistoryPanel();
+        break;
+      case 'terrain-brush':
+        this.toggleTerrainBrush();
+        break;
+      case 'checkpoint':
+        this.createCheckpoint();
+        break;
+      case 'checkpoints':
+        this.toggleCheckpointPanel();
+        break;
+      case 'macro-record':
+        this.toggleMacroRecording();
+        break;
+      case 'macros':
+        this.toggleMacroPanel();
+        break;
+      case 'time-lapse':
+        this.startTimeLapse();
+        break;
+      case 'time-lapse-webm':
+        this.startTimeLapse('webm');
+        break;
+      case 'time-lapse-png':
+        this.startTimeLapse('png');
+        break;
+      case 'collab-join':
+        this.joinCollabSession();
+        break;
+      case 'collab-leave':
+        this.leaveCollabSession();
+        break;
       case 'ai-help':
         this.showAIHelp();
         break;
       case 'toggle-ai-suggestions':
         this.toggleAISuggestions();
         break;
+      case 'rosie-model':
+        this.configureRosieModel();
+        break;
     }
   }
 
@@ -1434,108 +1837,2103 @@ export class Worldsmith {
   }
 
   // Save/Load functionality
-  saveWorld() {
-    try {
-      const worldData = this.saveWorldData();
-      
-      const dataStr = JSON.stringify(worldData, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(dataBlob);
-      link.download = `${worldData.name.replace(/\s+/g, '_')}_${Date.now()}.json`;
-      link.click();
-      
-      // Also save to localStorage
-      localStorage.setItem('worldSave', JSON.stringify(worldData));
-      
-      this.showToast('World saved!', 'success');
-      this.log('World saved successfully');
-    } catch (error) {
-      this.log(`Save failed: ${error.message}`, 'error');
-      this.showToast(`Save failed: ${error.message}`, 'error');
-    }
+  serializeCurrentWorld() {
+    // Models only checkpoints still use are saved too
+    const usedAssets = this.createdObjects
+      .filter(obj => obj.userData.assetType)
+      .map(obj => obj.userData.assetType)
+      .concat(this.checkpointManager.getUsedAssets());
+    
+    return this.worldData.serializeWorld(
+      this.createdObjects,
+      this.historyManager.serializeHistory(),
+      this.getEnvironmentState(),
+      this.assetManager.serializeAssets(usedAssets),
+      this.checkpointManager.serializeCheckpoints()
+    );
   }
 
-  loadWorld() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
+  // Validate a world, register its embedded models and build its objects
+  // off-scene. Problems are shown before anything is replaced; resolves with
+  // null (current world untouched) if the user cancels.
+  async loadWorldIntoScene(data) {
+    const prepared = await this.buildWorldObjects(data);
+    if (!prepared) return null;
+    
+    // Other editors keep the shared world; this one goes its own way
+    if (this.collab.isConnected) {
+      this.collab.disconnect();
+      this.showToast('Left the live session to load another world', 'info');
+    }
     
-    input.onchange = async (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-      
-      try {
-        const worldData = await this.worldData.loadWorld(
-          file, 
-          this.objectCreator, 
-          this.scene, 
-          this.createdObjects
-        );
-        
-        // Restore history if available
-        if (worldData.historyData) {
-          this.historyManager.deserializeHistory(worldData.historyData);
-        }
-        
-        this.updateObjectCount();
-        this.selectObject(null);
-        
-        this.showToast('World loaded!', 'success');
-        this.log('World loaded successfully');
-      } catch (error) {
-        this.log(`Load failed: ${error.message}`, 'error');
-        this.showToast(`Load failed: ${error.message}`, 'error');
-      }
-    };
+    this.closeWorldDiff();
+    this.worldData.replaceObjects(prepared.objects, this.scene, this.createdObjects);
+    this.worldData.worldName = prepared.world.name || this.worldData.worldName;
     
-    input.click();
+    // Objects keep their saved ids so restored undo steps and later
+    // comparisons find them
+    this.historyManager.rebuildObjectTracking();
+    return prepared.world;
   }
 
-  // Natural language processing
-  parseNaturalLanguage(input) {
-    const command = input.toLowerCase().trim();
+  // Resolves with { world, objects } or null if the user cancelled after
+  // seeing the problem report
+  async buildWorldObjects(data) {
+    const { world, problems, objectIndices } = this.worldData.prepareWorld(data);
+    
+    const failed = await this.assetManager.loadSerializedAssets(world.assets);
+    failed.forEach(failure => {
+      problems.push({ index: null, field: 'assets', message: `model ${failure}`, action: 'skipped' });
+    });
     
-    // Time of day commands
-    if (command.includes('night') || command.includes('dark')) {
-      this.setTimeOfDay(0.0);
-      this.showRosieResponse("🌙 Setting to nighttime. The stars are beautiful tonight!");
-      return;
-    }
+    const built = this.worldData.buildObjects(world, this.objectCreator, objectIndices);
+    problems.push(...built.problems);
     
-    if (command.includes('day') || command.includes('morning') || command.includes('noon')) {
-      this.setTimeOfDay(0.5);
-      this.showRosieResponse("☀️ Brightening to daytime! Perfect weather for building.");
-      return;
+    if (problems.length > 0) {
+      problems.sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+      problems.forEach(problem => this.log(`World file: ${this.worldData.describeProblem(problem)}`, 'warn'));
+      
+      const proceed = await this.showLoadReport(problems, built.objects.length);
+      if (!proceed) {
+        built.objects.forEach(obj => this.disposeObject(obj));
+        this.log('World load cancelled; current world kept');
+        return null;
+      }
     }
     
-    if (command.includes('dawn') || command.includes('sunrise')) {
-      this.setTimeOfDay(0.25);
-      this.showRosieResponse("🌅 Setting to dawn. What a beautiful sunrise!");
-      return;
+    return { world, objects: built.objects };
+  }
+
+  // Add a world's objects to the current one as a single undoable step.
+  // The group is centered on the target point and rests on it.
+  async mergeWorldIntoScene(data, target = null) {
+    if (this.isReadOnlyBlocked()) return null;
+    
+    const prepared = await this.buildWorldObjects(data);
+    if (!prepared) return null;
+    
+    const { world, objects } = prepared;
+    if (objects.length === 0) {
+      this.showToast('Nothing to import', 'info');
+      return [];
     }
     
-    if (command.includes('dusk') || command.includes('sunset')) {
-      this.setTimeOfDay(0.75);
-      this.showRosieResponse("🌇 Setting to dusk. The golden hour is magical!");
-      return;
-    }
+    const bounds = new THREE.Box3();
+    objects.forEach(obj => bounds.expandByObject(obj));
     
-    // Weather commands
-    if (command.includes('rain') || command.includes('storm')) {
-      this.setWeather('rain');
-      this.showRosieResponse("🌧️ Adding rain effects. I love the sound of rain!");
-      return;
-    }
+    const anchor = target || this.getViewTarget();
+    const offset = new THREE.Vector3(
+      anchor.x - (bounds.min.x + bounds.max.x) / 2,
+      anchor.y - bounds.min.y,
+      anchor.z - (bounds.min.z + bounds.max.z) / 2
+    );
     
-    if (command.includes('clear') || command.includes('sunny')) {
-      this.setWeather('clear');
-      this.showRosieResponse("☀️ Clearing the weather. Beautiful clear skies!");
-      return;
-    }
+    this.historyManager.remapObjectIds(objects);
     
-    // Creation commands
+    this.commands.batch(`Import ${world.name || 'world'}`, () => {
+      objects.forEach(obj => {
+        obj.position.add(offset);
+        this.commands.createObject(obj);
+      });
+    });
+    
+    this.selectObject(null);
+    
+    this.showToast(`Imported ${objects.length} object(s)`, 'success');
+    this.log(`Merged ${objects.length} objects from ${world.name || 'world file'}`);
+    return objects;
+  }
+
+  async importDroppedJSON(file, position) {
+    try {
+      const text = await this.worldData.readFile(file);
+      const data = JSON.parse(text);
+      
+      if (data && data.format === PREFAB_FORMAT) {
+        const record = await this.importPrefabData(data);
+        if (record) await this.spawnPrefab(record.id, position);
+      } else {
+        await this.mergeWorldIntoScene(this.worldData.parseWorld(text), position);
+      }
+    } catch (error) {
+      this.log(`Import failed: ${error.message}`, 'error');
+      this.showToast(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  // World point under the last known pointer position, or the view center
+  getCursorTarget() {
+    const point = this.lastPointer ? this.getCursorWorldPosition(this.lastPointer.x, this.lastPointer.y) : null;
+    return point || this.getViewTarget();
+  }
+
+  // Point in the middle of the view, or in front of the camera
+  getViewTarget() {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const point = this.getCursorWorldPosition(rect.left + rect.width / 2, rect.top + rect.height / 2);
+    return point || this.getSpawnPosition();
+  }
+
+  async mergeWorldFile(file, target = null) {
+    try {
+      const text = await this.worldData.readFile(file);
+      await this.mergeWorldIntoScene(this.worldData.parseWorld(text), target);
+    } catch (error) {
+      this.log(`Import failed: ${error.message}`, 'error');
+      this.showToast(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  pickMergeWorldFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      this.hideWorldBrowser();
+      this.mergeWorldFile(file);
+    };
+    input.click();
+  }
+
+  pickCompareWorldFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      this.hideWorldBrowser();
+      this.compareWorldFile(file);
+    };
+    input.click();
+  }
+
+  async compareWorldFile(file) {
+    try {
+      const text = await this.worldData.readFile(file);
+      await this.startWorldDiff(this.worldData.parseWorld(text), file.name);
+    } catch (error) {
+      this.log(`Compare failed: ${error.message}`, 'error');
+      this.showToast(`Compare failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Overlay another version of this world and list what differs. Nothing
+  // changes until differences are accepted one by one or all at once.
+  async startWorldDiff(data, label = null) {
+    if (this.isReadOnlyBlocked()) return null;
+    
+    this.closeWorldDiff();
+    
+    const { world, problems } = this.worldData.prepareWorld(data);
+    problems.forEach(problem => this.log(`Compared file: ${this.worldData.describeProblem(problem)}`, 'warn'));
+    
+    // Their models are needed to show and accept their objects
+    const failed = await this.assetManager.loadSerializedAssets(world.assets);
+    failed.forEach(failure => this.log(`Compared file: model ${failure}`, 'warn'));
+    
+    // Objects without an id (from older files) get one here
+    const ours = this.createdObjects.map(obj => {
+      this.historyManager.getObjectId(obj);
+      return this.worldData.serializeObjectEntry(obj);
+    });
+    
+    const differences = diffWorlds(ours, world.objects);
+    
+    if (world.objects.length > 0 && !world.objects.some(entry => entry.id)) {
+      this.showToast('This file has no object ids (saved by an older version); objects cannot be matched', 'warning');
+    }
+    
+    this.worldDiff = {
+      name: world.name || label || 'compared world',
+      differences: differences,
+      index: differences.length > 0 ? 0 : -1,
+      ghosts: new Map(),
+      overlay: new WorldDiffOverlay(this.scene)
+    };
+    
+    differences.forEach(difference => {
+      if (!difference.theirs) return;
+      try {
+        const ghost = this.objectCreator.createFromEntry(difference.theirs);
+        if (ghost) this.worldDiff.ghosts.set(difference.id, WorldDiffOverlay.makeGhost(ghost));
+      } catch (error) {
+        this.log(`Compared file: ${difference.theirs.name || 'object'} cannot be shown (${error.message})`, 'warn');
+      }
+    });
+    
+    const panel = document.getElementById('diffPanel');
+    if (panel) panel.classList.add('show');
+    
+    this.updateWorldDiff();
+    if (differences.length > 0) this.focusWorldDifference(0);
+    
+    this.log(`Comparing with ${this.worldDiff.name}: ${differences.length} difference(s)`);
+    if (differences.length === 0) {
+      this.showToast('No differences found', 'info');
+    }
+    return differences;
+  }
+
+  // Current world object with the given history id
+  findObjectById(id) {
+    const object = this.historyManager.trackedObjects.get(id);
+    return object && this.createdObjects.includes(object) ? object : null;
+  }
+
+  updateWorldDiff() {
+    const diff = this.worldDiff;
+    if (!diff) return;
+    
+    const active = diff.differences[diff.index];
+    diff.overlay.show(diff.differences, diff.ghosts, id => this.findObjectById(id), active ? active.id : null);
+    this.renderWorldDiffList();
+  }
+
+  renderWorldDiffList() {
+    const diff = this.worldDiff;
+    const list = document.getElementById('diffList');
+    if (!diff || !list) return;
+    
+    const counts = { added: 0, removed: 0, changed: 0 };
+    diff.differences.forEach(difference => counts[difference.status]++);
+    
+    const title = document.getElementById('diffTitle');
+    if (title) title.textContent = `🔀 Compare with ${diff.name}`;
+    
+    const summary = document.getElementById('diffSummary');
+    if (summary) {
+      summary.textContent = diff.differences.length === 0 ?
+        'No differences left' :
+        `${counts.added} added · ${counts.removed} removed · ${counts.changed} changed`;
+    }
+    
+    list.innerHTML = '';
+    diff.differences.forEach((difference, index) => {
+      const entry = difference.theirs || difference.ours;
+      const item = document.createElement('li');
+      item.className = `diff-item ${difference.status}${index === diff.index ? ' active' : ''}`;
+      item.addEventListener('click', () => this.focusWorldDifference(index));
+      
+      const label = document.createElement('span');
+      label.className = 'diff-label';
+      const icon = { added: '＋', removed: '－', changed: '～' }[difference.status];
+      const detail = difference.status === 'changed' ? difference.changes.join(', ') : difference.status;
+      label.textContent = `${icon} ${entry.name || entry.shapeType || entry.assetType || entry.description || 'Object'} — ${detail}`;
+      item.appendChild(label);
+      
+      [
+        ['✓', 'Accept: apply this change to the current world', () => this.acceptWorldDifference(index)],
+        ['✕', 'Reject: keep the current world as it is', () => this.rejectWorldDifference(index)]
+      ].forEach(([text, tooltip, handler]) => {
+        const button = document.createElement('button');
+        button.className = 'world-action-btn';
+        button.textContent = text;
+        button.title = tooltip;
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        item.appendChild(button);
+      });
+      
+      list.appendChild(item);
+    });
+  }
+
+  // Highlight a difference and walk the player up to it
+  focusWorldDifference(index) {
+    const diff = this.worldDiff;
+    if (!diff || !diff.differences[index]) return;
+    
+    diff.index = index;
+    this.updateWorldDiff();
+    
+    const difference = diff.differences[index];
+    const target = this.findObjectById(difference.id) || diff.ghosts.get(difference.id);
+    if (!target || !this.player) return;
+    
+    const bounds = new THREE.Box3().setFromObject(target);
+    if (bounds.isEmpty()) return;
+    
+    const center = bounds.getCenter(new THREE.Vector3());
+    const distance = Math.max(6, bounds.getSize(new THREE.Vector3()).length() * 1.5);
+    const direction = new THREE.Vector3();
+    this.camera.getWorldDirection(direction);
+    direction.y = 0;
+    if (direction.lengthSq() < 1e-6) direction.set(0, 0, -1);
+    direction.normalize();
+    
+    this.player.position.set(center.x - direction.x * distance, this.player.position.y, center.z - direction.z * distance);
+    
+    const item = document.querySelector('#diffList .diff-item.active');
+    if (item) item.scrollIntoView({ block: 'nearest' });
+  }
+
+  stepWorldDiff(delta) {
+    const diff = this.worldDiff;
+    if (!diff || diff.differences.length === 0) return;
+    
+    const count = diff.differences.length;
+    this.focusWorldDifference(((diff.index + delta) % count + count) % count);
+  }
+
+  // Bring the current world in line with the compared file for one
+  // difference. Run inside a command batch so it joins one undo step.
+  applyWorldDifference(difference) {
+    const current = this.findObjectById(difference.id);
+    
+    if (difference.status === 'removed') {
+      if (!current) return false;
+      this.commands.deleteObjects([current]);
+      return true;
+    }
+    
+    if (difference.status === 'changed' && current && difference.changes.every(change => change === 'moved')) {
+      const { position, rotation, scale } = difference.theirs;
+      this.commands.transformObject(current, { position, rotation, scale });
+      return true;
+    }
+    
+    // Added objects and other edits: build their version, replacing ours
+    const replacement = this.objectCreator.createFromEntry(difference.theirs);
+    if (!replacement) return false;
+    
+    if (current) {
+      this.commands.deleteObjects([current]);
+    }
+    
+    // Keep the id so the object still matches in later comparisons
+    if (difference.theirs.id && !this.findObjectById(difference.theirs.id)) {
+      replacement.userData.historyId = difference.theirs.id;
+    }
+    
+    this.commands.createObject(replacement);
+    return true;
+  }
+
+  // Remove an object from the world without recording history
+  detachObject(obj) {
+    if (this.selectedObjects.includes(obj) || this.selectedObject === obj) {
+      this.selectObject(null);
+    }
+    
+    this.scene.remove(obj);
+    const index = this.createdObjects.indexOf(obj);
+    if (index > -1) {
+      this.createdObjects.splice(index, 1);
+    }
+    this.disposeObject(obj);
+  }
+
+  acceptWorldDifference(index) {
+    const diff = this.worldDiff;
+    if (!diff || !diff.differences[index] || this.isReadOnlyBlocked()) return;
+    
+    const difference = diff.differences[index];
+    const entry = difference.theirs || difference.ours;
+    
+    this.commands.batch(`Accept ${difference.status} ${entry.name || entry.shapeType || entry.assetType || 'object'}`, () => {
+      try {
+        if (!this.applyWorldDifference(difference)) {
+          this.showToast('This difference can no longer be applied', 'warning');
+        }
+      } catch (error) {
+        this.log(`Accept failed: ${error.message}`, 'error');
+        this.showToast(`Accept failed: ${error.message}`, 'error');
+      }
+    });
+    
+    this.dropWorldDifference(index);
+  }
+
+  rejectWorldDifference(index) {
+    if (!this.worldDiff || !this.worldDiff.differences[index]) return;
+    this.dropWorldDifference(index);
+  }
+
+  acceptAllWorldDifferences() {
+    const diff = this.worldDiff;
+    if (!diff || diff.differences.length === 0 || this.isReadOnlyBlocked()) return;
+    
+    let applied = 0;
+    this.commands.batch(`Accept changes from ${diff.name}`, () => {
+      try {
+        diff.differences.forEach(difference => {
+          if (this.applyWorldDifference(difference)) applied++;
+        });
+      } catch (error) {
+        this.log(`Accept failed: ${error.message}`, 'error');
+      }
+    });
+    
+    this.showToast(`Accepted ${applied} difference(s)`, 'success');
+    this.log(`Accepted ${applied} difference(s) from ${diff.name}`);
+    this.closeWorldDiff();
+  }
+
+  // Take a resolved difference off the list and its ghost out of the scene
+  dropWorldDifference(index) {
+    const diff = this.worldDiff;
+    const [difference] = diff.differences.splice(index, 1);
+    
+    const ghost = diff.ghosts.get(difference.id);
+    if (ghost) {
+      ghost.removeFromParent();
+      this.disposeObject(ghost);
+      diff.ghosts.delete(difference.id);
+    }
+    
+    if (diff.differences.length === 0) {
+      this.showToast('All differences resolved', 'success');
+      this.closeWorldDiff();
+      return;
+    }
+    
+    diff.index = Math.min(index, diff.differences.length - 1);
+    this.updateWorldDiff();
+  }
+
+  closeWorldDiff() {
+    const diff = this.worldDiff;
+    if (!diff) return;
+    
+    diff.overlay.dispose();
+    diff.ghosts.forEach(ghost => this.disposeObject(ghost));
+    this.worldDiff = null;
+    
+    const panel = document.getElementById('diffPanel');
+    if (panel) panel.classList.remove('show');
+  }
+
+  toggleHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    if (!panel) return;
+    
+    if (panel.classList.contains('show')) {
+      this.hideHistoryPanel();
+    } else {
+      this.renderHistoryPanel();
+      panel.classList.add('show');
+    }
+  }
+
+  hideHistoryPanel() {
+    const panel = document.getElementById('historyPanel');
+    if (panel) panel.classList.remove('show');
+  }
+
+  // Every step of the undo tree, depth first. Later alternatives to a step
+  // are indented under the step they branched from.
+  renderHistoryPanel() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+    
+    const history = this.historyManager;
+    const applied = new Set(history.undoStack.map(node => node.id));
+    const ahead = new Set(history.redoStack.map(node => node.id));
+    
+    const branch = document.getElementById('historyBranch');
+    if (branch) {
+      const { index, count } = history.getBranchInfo();
+      branch.textContent = count > 1 ?
+        `Branch ${index} of ${count} · ${applied.size} step(s) applied` :
+        `${applied.size} step(s) applied · ${ahead.size} to redo`;
+    }
+    
+    list.innerHTML = '';
+    const addRow = (node, depth, branchStart = false) => {
+      const id = node ? node.id : null;
+      const item = document.createElement('li');
+      const state = id === history.currentNodeId ? 'current' :
+        id === null || applied.has(id) ? 'applied' :
+        ahead.has(id) ? 'ahead' : 'other-branch';
+      item.className = `history-item ${state}`;
+      item.style.paddingLeft = `${6 + depth * 12}px`;
+      item.title = state === 'other-branch' ? 'On another branch - click to switch to it' : 'Click to go back to this point';
+      item.addEventListener('click', () => history.jumpTo(id));
+      
+      const label = document.createElement('span');
+      label.className = 'history-label';
+      label.textContent = node ? `${branchStart ? '↳ ' : ''}${node.label}` : 'Initial state';
+      item.appendChild(label);
+      
+      if (node) {
+        const time = document.createElement('span');
+        time.className = 'history-time';
+        time.textContent = new Date(node.timestamp).toLocaleTimeString();
+        item.appendChild(time);
+      }
+      
+      list.appendChild(item);
+      if (state === 'current') item.scrollIntoView({ block: 'nearest' });
+    };
+    
+    const visit = (parentId, depth) => {
+      history.childrenOf(parentId).forEach((child, i) => {
+        const childDepth = i === 0 ? depth : depth + 1;
+        addRow(child, childDepth, i > 0);
+        visit(child.id, childDepth);
+      });
+    };
+    
+    addRow(null, 0);
+    visit(null, 0);
+  }
+
+  toggleCheckpointPanel() {
+    const panel = document.getElementById('checkpointPanel');
+    if (!panel) return;
+    
+    if (panel.classList.contains('show')) {
+      this.hideCheckpointPanel();
+    } else {
+      this.renderCheckpointPanel();
+      panel.classList.add('show');
+    }
+  }
+
+  hideCheckpointPanel() {
+    const panel = document.getElementById('checkpointPanel');
+    if (panel) panel.classList.remove('show');
+  }
+
+  renderCheckpointPanel() {
+    const list = document.getElementById('checkpointList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const checkpoints = this.checkpointManager.checkpoints;
+    
+    if (checkpoints.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'world-empty';
+      empty.textContent = 'No checkpoints yet. Create one before a big change to get back to it later.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    // Newest first
+    [...checkpoints].reverse().forEach(checkpoint => {
+      const item = document.createElement('div');
+      item.className = 'world-item';
+      item.title = 'Double-click to restore';
+      
+      const thumb = document.createElement('div');
+      thumb.className = 'world-thumb';
+      if (checkpoint.thumbnail) {
+        thumb.style.backgroundImage = `url(${checkpoint.thumbnail})`;
+      }
+      
+      const info = document.createElement('div');
+      info.className = 'world-info';
+      const name = document.createElement('div');
+      name.className = 'world-name';
+      name.textContent = checkpoint.name;
+      const meta = document.createElement('div');
+      meta.className = 'world-meta';
+      meta.textContent = `${new Date(checkpoint.timestamp).toLocaleString()} · ${checkpoint.objects.length} objects`;
+      info.appendChild(name);
+      info.appendChild(meta);
+      
+      const actions = document.createElement('div');
+      actions.className = 'world-actions';
+      [
+        ['👁️', 'Preview: show what restoring would change', () => this.previewCheckpoint(checkpoint.id)],
+        ['↺', 'Restore (undoable)', () => this.restoreCheckpoint(checkpoint.id)],
+        ['⑂', 'Fork: start a new world from this checkpoint', () => this.forkCheckpoint(checkpoint.id)],
+        ['🗑️', 'Delete', () => this.deleteCheckpoint(checkpoint.id)]
+      ].forEach(([icon, title, handler]) => {
+        const btn = document.createElement('button');
+        btn.className = 'world-action-btn';
+        btn.textContent = icon;
+        btn.title = title;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        actions.appendChild(btn);
+      });
+      
+      item.addEventListener('dblclick', () => this.restoreCheckpoint(checkpoint.id));
+      item.appendChild(thumb);
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+
+  createCheckpoint() {
+    if (this.isReadOnlyBlocked()) return null;
+    
+    const name = prompt('Checkpoint name:', `Checkpoint ${this.checkpointManager.checkpoints.length + 1}`);
+    if (!name || !name.trim()) return null;
+    
+    const checkpoint = this.checkpointManager.createCheckpoint(name.trim());
+    this.showToast(`Checkpoint "${checkpoint.name}" created`, 'success');
+    this.log(`Checkpoint created: ${checkpoint.name} (${checkpoint.objects.length} objects)`);
+    return checkpoint;
+  }
+
+  // Compare the current world with a checkpoint in the diff view; single
+  // differences can be accepted from there
+  async previewCheckpoint(id) {
+    const checkpoint = this.checkpointManager.getCheckpoint(id);
+    if (!checkpoint) return;
+    
+    this.hideCheckpointPanel();
+    const world = this.checkpointManager.buildCheckpointWorld(id, `checkpoint "${checkpoint.name}"`);
+    await this.startWorldDiff(world);
+  }
+
+  restoreCheckpoint(id) {
+    if (this.isReadOnlyBlocked()) return;
+    
+    const checkpoint = this.checkpointManager.getCheckpoint(id);
+    if (!checkpoint) return;
+    
+    this.closeWorldDiff();
+    this.selectObject(null);
+    const counts = this.checkpointManager.restoreCheckpoint(id);
+    
+    this.updateObjectCount();
+    if (counts.created + counts.removed + counts.moved === 0) {
+      this.showToast(`The world already matches "${checkpoint.name}"`, 'info');
+      return;
+    }
+    this.showToast(`Restored "${checkpoint.name}" (Ctrl+Z to undo)`, 'success');
+    this.log(`Checkpoint restored: ${checkpoint.name} – ${counts.created} rebuilt, ${counts.removed} removed, ${counts.moved} moved`);
+  }
+
+  // Start a new, unsaved world from a checkpoint. The checkpoints come along.
+  async forkCheckpoint(id) {
+    if (this.isReadOnlyBlocked()) return;
+    
+    const checkpoint = this.checkpointManager.getCheckpoint(id);
+    if (!checkpoint) return;
+    
+    const name = prompt('Name for the new world:', `${this.worldData.worldName} (${checkpoint.name})`);
+    if (!name || !name.trim()) return;
+    
+    if (this.createdObjects.length > 0 &&
+        !confirm(`Start a new world from "${checkpoint.name}"? Unsaved changes to the current world will be lost.`)) {
+      return;
+    }
+    
+    try {
+      const world = this.checkpointManager.buildCheckpointWorld(id, name.trim());
+      world.checkpoints = this.checkpointManager.serializeCheckpoints();
+      
+      const loaded = await this.loadWorldIntoScene(world);
+      if (!loaded) return;
+      
+      // Forks start a new library slot on save
+      this.currentWorldId = null;
+      this.applyLoadedWorld(loaded);
+      this.hideCheckpointPanel();
+      this.showToast(`Forked "${loaded.name}" – save it to keep it`, 'success');
+    } catch (error) {
+      this.log(`Fork failed: ${error.message}`, 'error');
+      this.showToast(`Fork failed: ${error.message}`, 'error');
+    }
+  }
+
+  deleteCheckpoint(id) {
+    const checkpoint = this.checkpointManager.getCheckpoint(id);
+    if (!checkpoint || !confirm(`Delete checkpoint "${checkpoint.name}"? This cannot be undone.`)) return;
+    
+    this.checkpointManager.deleteCheckpoint(id);
+    this.log(`Checkpoint deleted: ${checkpoint.name}`);
+  }
+
+  // Macros
+  toggleMacroPanel() {
+    const panel = document.getElementById('macroPanel');
+    if (!panel) return;
+
+    if (panel.classList.contains('show')) {
+      this.hideMacroPanel();
+    } else {
+      this.renderMacroPanel();
+      panel.classList.add('show');
+    }
+  }
+
+  hideMacroPanel() {
+    const panel = document.getElementById('macroPanel');
+    if (panel) panel.classList.remove('show');
+  }
+
+  renderMacroPanel() {
+    const recording = this.macroRecorder.isRecording;
+
+    const macroBtn = document.getElementById('macroBtn');
+    if (macroBtn) {
+      macroBtn.textContent = recording ? '⏺ Recording…' : '🎬 Macros';
+      macroBtn.classList.toggle('recording', recording);
+    }
+
+    const recordBtn = document.getElementById('macroRecordBtn');
+    if (recordBtn) {
+      recordBtn.textContent = recording ? '⏹ Stop & Save' : '⏺ Record';
+    }
+
+    const list = document.getElementById('macroList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const macros = this.macroRecorder.macros;
+
+    if (macros.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'world-empty';
+      empty.textContent = 'No macros yet. Record one while you set up a scene to repeat it later.';
+      list.appendChild(empty);
+      return;
+    }
+
+    macros.forEach(macro => {
+      const item = document.createElement('div');
+      item.className = 'world-item';
+      item.title = macro.steps.map(step => step.type === 'text' ? step.text : `edit ${step.command.key || 'transform'}`).join('\n');
+
+      const info = document.createElement('div');
+      info.className = 'world-info';
+      const name = document.createElement('div');
+      name.className = 'world-name';
+      name.textContent = macro.name;
+      const meta = document.createElement('div');
+      meta.className = 'world-meta';
+      meta.textContent = `${new Date(macro.timestamp).toLocaleString()} · ${macro.steps.length} steps`;
+      info.appendChild(name);
+      info.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'world-actions';
+      [
+        ['▶', 'Replay where it was recorded', () => this.replayMacro(macro.id, 'recorded')],
+        ['🎯', 'Replay around the selected object', () => this.replayMacro(macro.id, 'selection')],
+        ['🖱️', 'Replay at the last cursor position in the world', () => this.replayMacro(macro.id, 'cursor')],
+        ['🗑️', 'Delete', () => this.deleteMacro(macro.id)]
+      ].forEach(([icon, title, handler]) => {
+        const btn = document.createElement('button');
+        btn.className = 'world-action-btn';
+        btn.textContent = icon;
+        btn.title = title;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        actions.appendChild(btn);
+      });
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+
+  toggleMacroRecording() {
+    const recorder = this.macroRecorder;
+
+    if (!recorder.isRecording) {
+      if (this.isReadOnlyBlocked()) return;
+
+      // Replays around a selection or the cursor are placed relative to this
+      const selected = this.getEditedObject();
+      recorder.startRecording(selected ? selected.position : this.getViewTarget());
+      this.showToast('Recording macro: commands, library clicks and property edits', 'info');
+      this.log('Macro recording started');
+      return;
+    }
+
+    const stepCount = recorder.recording.steps.length;
+    if (stepCount === 0) {
+      recorder.stopRecording(null);
+      this.showToast('Nothing was recorded', 'info');
+      return;
+    }
+
+    const name = prompt(`Name for this macro (${stepCount} steps):`, `Macro ${recorder.macros.length + 1}`);
+    const macro = recorder.stopRecording(name && name.trim());
+    if (!macro) {
+      this.showToast('Macro discarded', 'info');
+      return;
+    }
+    this.showToast(`Macro "${macro.name}" saved`, 'success');
+    this.log(`Macro recorded: ${macro.name} (${stepCount} steps)`);
+  }
+
+  // mode: 'recorded' | 'selection' | 'cursor' (see MacroRecorder)
+  async replayMacro(id, mode = 'recorded') {
+    if (this.isReadOnlyBlocked()) return;
+
+    const macro = this.macroRecorder.getMacro(id);
+    if (!macro) return;
+
+    if (this.macroRecorder.isRecording) {
+      this.showToast('Stop recording before replaying a macro', 'warning');
+      return;
+    }
+
+    let anchor = null;
+    if (mode === 'selection') {
+      const selected = this.getEditedObject();
+      if (!selected) {
+        this.showToast('Select an object to replay the macro around it', 'info');
+        return;
+      }
+      anchor = selected.position.clone();
+    } else if (mode === 'cursor') {
+      anchor = this.getCursorTarget();
+    }
+
+    try {
+      const created = await this.macroRecorder.replayMacro(id, anchor);
+      if (!created) return;
+      this.showToast(`Replayed "${macro.name}" (Ctrl+Z to undo)`, 'success');
+      this.log(`Macro replayed: ${macro.name} – ${created.length} object(s) created`);
+    } catch (error) {
+      this.log(`Macro replay failed: ${error.message}`, 'error');
+      this.showToast(`Macro replay failed: ${error.message}`, 'error');
+    }
+  }
+
+  deleteMacro(id) {
+    const macro = this.macroRecorder.getMacro(id);
+    if (!macro || !confirm(`Delete macro "${macro.name}"? This cannot be undone.`)) return;
+
+    this.macroRecorder.deleteMacro(id);
+    this.log(`Macro deleted: ${macro.name}`);
+  }
+
+  // Time-lapse of how the world was built; capture: null | 'webm' | 'png'
+  startTimeLapse(capture = null) {
+    if (this.timeLapse.isActive) return;
+    
+    if (this.historyManager.undoStack.length === 0) {
+      this.showToast('Nothing to replay yet - the time-lapse shows the undo history', 'info');
+      return;
+    }
+    
+    this.handleEscape();
+    this.closeWorldDiff();
+    
+    // The world is rebuilt step by step; nothing may save it meanwhile
+    if (this.editingServicesStarted) {
+      this.stopAutosave();
+      this.sessionJournal.stop();
+    }
+    
+    const speed = parseFloat(document.getElementById('timeLapseSpeed')?.value) || 2;
+    let count;
+    try {
+      count = this.timeLapse.start({ speed, capture });
+    } catch (error) {
+      this.resumeEditingServices();
+      this.log(`Time-lapse failed: ${error.message}`, 'error');
+      this.showToast(`Time-lapse failed: ${error.message}`, 'error');
+      return;
+    }
+    
+    document.body.classList.add('time-lapse-mode');
+    const recordingWidget = document.getElementById('recordingWidget');
+    if (recordingWidget && capture) recordingWidget.classList.add('show');
+    
+    const pauseBtn = document.getElementById('timeLapsePauseBtn');
+    if (pauseBtn) pauseBtn.textContent = '⏸';
+    
+    this.updateTimeLapseStatus(0, count, null);
+    this.log(`Time-lapse started: ${count} steps${capture ? `, capturing ${capture.toUpperCase()}` : ''}`);
+  }
+
+  stopTimeLapse() {
+    this.timeLapse.finish(true);
+  }
+
+  toggleTimeLapsePause() {
+    const paused = this.timeLapse.togglePause();
+    const pauseBtn = document.getElementById('timeLapsePauseBtn');
+    if (pauseBtn) pauseBtn.textContent = paused ? '▶' : '⏸';
+  }
+
+  updateTimeLapseStatus(index, count, transaction) {
+    const status = document.getElementById('timeLapseStatus');
+    if (status) {
+      status.textContent = transaction ? `Step ${index}/${count}: ${transaction.label}` : `Start (${count} steps)`;
+    }
+    
+    const recordingTime = document.getElementById('recordingTime');
+    if (recordingTime) {
+      const seconds = Math.floor(this.timeLapse.getElapsedTime());
+      recordingTime.textContent = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+  }
+
+  handleTimeLapseFinished({ file, cancelled, error }) {
+    document.body.classList.remove('time-lapse-mode');
+    const recordingWidget = document.getElementById('recordingWidget');
+    if (recordingWidget) recordingWidget.classList.remove('show');
+    this.resumeEditingServices();
+    
+    if (error) {
+      this.log(`Time-lapse export failed: ${error.message}`, 'error');
+      this.showToast(`Time-lapse export failed: ${error.message}`, 'error');
+    } else if (file) {
+      const baseName = this.worldData.worldName.replace(/\s+/g, '_');
+      this.downloadFile(file.blob, `${baseName}_timelapse.${file.extension}`, file.blob.type);
+      this.showToast(`Time-lapse exported (${Math.round(file.blob.size / 1024)} KB)`, 'success');
+      this.log(`Time-lapse exported as ${file.extension.toUpperCase()}`);
+    } else if (cancelled) {
+      this.showToast('Time-lapse stopped', 'info');
+    }
+  }
+
+  resumeEditingServices() {
+    if (!this.editingServicesStarted) return;
+    this.startAutosave();
+    this.sessionJournal.start();
+  }
+
+  // Live session with other editors through the relay (npm run collab)
+  async joinCollabSession() {
+    if (this.isReadOnlyBlocked()) return;
+    
+    if (this.collab.socket) {
+      this.showToast('Already in a live session', 'info');
+      return;
+    }
+    
+    let settings = {};
+    try {
+      settings = JSON.parse(localStorage.getItem('worldsmithCollab')) || {};
+    } catch (error) {
+      // Start from the defaults
+    }
+    
+    const url = prompt('Live session address (start the relay with "npm run collab"):', settings.url || 'ws://localhost:8787/main');
+    if (!url || !url.trim()) return;
+    const name = prompt('Your name for the other builders:', settings.name || 'Builder');
+    if (!name || !name.trim()) return;
+    
+    if (this.createdObjects.length > 0 &&
+        !confirm('If others are already in this session, their world replaces this one and its undo history. Join?')) {
+      return;
+    }
+    
+    localStorage.setItem('worldsmithCollab', JSON.stringify({ url: url.trim(), name: name.trim() }));
+    
+    try {
+      const { host, peers } = await this.collab.connect(url.trim(), name.trim());
+      this.showToast(host ? 'Live session started - others can join now' : `Joined the live session (${peers} other builder(s))`, 'success');
+      this.log(`Joined live session at ${url.trim()}${host ? ' as host' : ''}`);
+    } catch (error) {
+      this.log(`Live session failed: ${error.message}`, 'error');
+      this.showToast(`Live session failed: ${error.message}`, 'error');
+    }
+  }
+
+  leaveCollabSession() {
+    if (!this.collab.socket) {
+      this.showToast('Not in a live session', 'info');
+      return;
+    }
+    
+    this.collab.disconnect();
+    this.showToast('Left the live session - the world stays as it was', 'info');
+    this.log('Left live session');
+  }
+
+  handleCollabChanged(detail) {
+    document.body.classList.toggle('collab-mode', detail.connected);
+    this.renderCollabBar();
+    
+    if (detail.lost) {
+      this.showToast('Lost the connection to the live session', 'warning');
+      this.log('Live session connection lost', 'warn');
+    } else if (detail.joined) {
+      this.showToast(`${detail.joined} joined`, 'info');
+    } else if (detail.left) {
+      this.showToast(`${detail.left} left`, 'info');
+    }
+  }
+
+  renderCollabBar() {
+    const list = document.getElementById('collabPeers');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    if (!this.collab.isConnected) return;
+    
+    const you = { name: `${this.collab.name} (you)`, color: this.collab.color };
+    [you, ...this.collab.getPeers()].forEach(peer => {
+      const item = document.createElement('span');
+      item.className = 'collab-peer';
+      item.style.setProperty('--peer-color', peer.color);
+      item.textContent = peer.name;
+      list.appendChild(item);
+    });
+  }
+
+  // Readable list of validation problems. Resolves true to load anyway.
+  showLoadReport(problems, builtCount) {
+    const dialog = document.getElementById('loadReport');
+    if (!dialog) {
+      return Promise.resolve(confirm(`${problems.length} problem(s) found in the world file. Load anyway?`));
+    }
+    
+    const skipped = problems.filter(problem => problem.action === 'skipped').length;
+    document.getElementById('loadReportSummary').textContent =
+      `${problems.length} problem(s): ${skipped} entries skipped, ${problems.length - skipped} repaired. ` +
+      `${builtCount} object(s) will be loaded.`;
+    
+    const list = document.getElementById('loadReportList');
+    list.innerHTML = '';
+    problems.forEach(problem => {
+      const item = document.createElement('li');
+      item.className = problem.action;
+      item.textContent = this.worldData.describeProblem(problem);
+      list.appendChild(item);
+    });
+    
+    dialog.classList.add('show');
+    
+    return new Promise(resolve => {
+      this.resolveLoadReport = (proceed) => {
+        this.resolveLoadReport = null;
+        dialog.classList.remove('show');
+        resolve(proceed);
+      };
+    });
+  }
+
+  // Model import (drag-and-drop or file picker)
+  async importModelFiles(files, position = null) {
+    if (this.isReadOnlyBlocked()) return;
+    
+    const modelFiles = Array.from(files).filter(file => this.assetManager.isModelFile(file));
+    if (modelFiles.length === 0) {
+      this.showToast('Drop .glb or .gltf files to import models', 'info');
+      return;
+    }
+    
+    for (const file of modelFiles) {
+      const name = prompt(`Asset name for ${file.name}:`, this.assetManager.suggestName(file.name));
+      if (!name || !name.trim()) continue;
+      
+      const assetName = name.trim().toLowerCase();
+      try {
+        await this.assetManager.importFile(file, assetName);
+        this.spawnAsset(assetName, position);
+        this.showToast(`Imported model "${assetName}"`, 'success');
+        this.log(`Imported model ${file.name} as ${assetName}`);
+      } catch (error) {
+        this.log(`Model import failed: ${error.message}`, 'error');
+        this.showToast(`Import failed: ${error.message}`, 'error');
+      }
+    }
+  }
+
+  pickModelFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.glb,.gltf';
+    input.multiple = true;
+    input.onchange = (e) => this.importModelFiles(e.target.files);
+    input.click();
+  }
+
+  handleDragOver(e) {
+    if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+  }
+
+  handleDrop(e) {
+    if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    
+    const position = this.getCursorWorldPosition(e.clientX, e.clientY);
+    const files = Array.from(e.dataTransfer.files);
+    
+    // Dropped world files are merged at the cursor, prefabs placed there
+    const worldFiles = files.filter(file => /\.json$/i.test(file.name));
+    worldFiles.forEach(file => this.importDroppedJSON(file, position));
+    
+    if (worldFiles.length === 0 || files.some(file => this.assetManager.isModelFile(file))) {
+      this.importModelFiles(files, position);
+    }
+  }
+
+  // Save into the current library slot (a new one on first save)
+  async saveWorld() {
+    if (this.isReadOnlyBlocked()) return;
+    
+    try {
+      const worldData = this.serializeCurrentWorld();
+      
+      if (!this.worldLibrary.isSupported()) {
+        // No IndexedDB - fall back to a file download
+        this.worldData.downloadWorld(worldData);
+        this.showToast('World downloaded (browser storage unavailable)', 'info');
+        return;
+      }
+      
+      const record = await this.worldLibrary.saveWorld({
+        id: this.currentWorldId,
+        name: worldData.name,
+        data: worldData,
+        thumbnail: this.captureThumbnail()
+      });
+      this.currentWorldId = record.id;
+      
+      this.showToast('World saved!', 'success');
+      this.log(`World saved to library: ${record.name}`);
+    } catch (error) {
+      this.log(`Save failed: ${error.message}`, 'error');
+      this.showToast(`Save failed: ${error.message}`, 'error');
+    }
+  }
+
+  async saveWorldAs() {
+    const name = prompt('Name for the new save:', this.worldData.worldName);
+    if (!name) return;
+    
+    this.worldData.worldName = name.trim() || this.worldData.worldName;
+    this.currentWorldId = null;
+    await this.saveWorld();
+    this.renderWorldBrowser();
+  }
+
+  exportWorldFile() {
+    try {
+      this.worldData.downloadWorld(this.serializeCurrentWorld());
+      this.showToast('World file exported!', 'success');
+      this.log('World exported to file');
+    } catch (error) {
+      this.log(`Export failed: ${error.message}`, 'error');
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Open the world library browser
+  loadWorld() {
+    if (this.isReadOnlyBlocked()) return;
+    
+    if (!this.worldLibrary.isSupported()) {
+      this.importWorldFile();
+      return;
+    }
+    
+    this.showWorldBrowser();
+  }
+
+  importWorldFile() {
+    if (this.isReadOnlyBlocked()) return;
+    
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      try {
+        const text = await this.worldData.readFile(file);
+        const worldData = await this.loadWorldIntoScene(this.worldData.parseWorld(text));
+        if (!worldData) return;
+        
+        // Imported files start a new library slot on save
+        this.currentWorldId = null;
+        this.applyLoadedWorld(worldData);
+        this.hideWorldBrowser();
+      } catch (error) {
+        this.log(`Load failed: ${error.message}`, 'error');
+        this.showToast(`Load failed: ${error.message}`, 'error');
+      }
+    };
+    
+    input.click();
+  }
+
+  async loadWorldFromLibrary(id) {
+    try {
+      const record = await this.worldLibrary.getWorld(id);
+      if (!record) throw new Error('World not found');
+      
+      const worldData = await this.loadWorldIntoScene(record.data);
+      if (!worldData) return;
+      
+      // Loading the autosave continues as an unsaved world
+      this.currentWorldId = record.isAutosave ? null : record.id;
+      // The world's own name: an autosave record is called "Autosave - <name>"
+      this.worldData.worldName = (record.data && record.data.name) || record.name;
+      this.applyLoadedWorld(worldData);
+      this.hideWorldBrowser();
+    } catch (error) {
+      this.log(`Load failed: ${error.message}`, 'error');
+      this.showToast(`Load failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Restore environment and history once objects are in the scene
+  applyLoadedWorld(worldData) {
+    if (worldData.environment) {
+      // Part of loading, not an undoable step
+      this.historyManager.isRecording = false;
+      try {
+        this.applyEnvironmentState(worldData.environment);
+      } finally {
+        this.historyManager.isRecording = true;
+      }
+    }
+    
+    // Restore history if available; steps recorded for the previous world
+    // would otherwise act on objects that reuse their ids
+    if (worldData.historyData) {
+      this.reportRestoredHistory(this.historyManager.deserializeHistory(worldData.historyData));
+    } else {
+      this.historyManager.clearHistory();
+    }
+    
+    this.checkpointManager.loadCheckpoints(worldData.checkpoints);
+    
+    // Objects from files without ids get theirs once the restored history
+    // and checkpoints have reserved the ones they refer to
+    this.createdObjects.forEach(obj => this.historyManager.getObjectId(obj));
+    
+    this.updateObjectCount();
+    this.selectObject(null);
+    
+    this.showToast('World loaded!', 'success');
+    this.log('World loaded successfully');
+  }
+
+  reportRestoredHistory(report) {
+    const dropped = report.droppedUndo + report.droppedRedo;
+    
+    if (report.undo + report.redo + report.branches > 0) {
+      const branches = report.branches > 0 ? `, ${report.branches} on other branches` : '';
+      this.log(`Undo history restored: ${report.undo} undo / ${report.redo} redo step(s)${branches}`);
+    }
+    if (report.trimmed > 0) {
+      this.log(`${report.trimmed} older undo step(s) were left out when this world was saved`, 'warn');
+    }
+    if (dropped > 0) {
+      this.log(`${dropped} saved undo step(s) no longer match the world's objects and were discarded`, 'warn');
+      this.showToast(`Undo history partly restored (${dropped} step(s) discarded)`, 'warning');
+    }
+  }
+
+  // Small JPEG of the current view for library thumbnails
+  captureThumbnail(width = 160, height = 90) {
+    if (!this.renderer || this.webglContextLost) return null;
+    
+    try {
+      // Render now so the drawing buffer is still valid when read
+      this.render();
+      
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = width;
+      thumbnail.height = height;
+      thumbnail.getContext('2d').drawImage(this.renderer.domElement, 0, 0, width, height);
+      return thumbnail.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      this.log(`Thumbnail capture failed: ${error.message}`, 'warn');
+      return null;
+    }
+  }
+
+  // glTF export. Resolves with an ArrayBuffer (binary) or a glTF JSON object.
+  exportGLTF({ binary = true, includeTerrain = true, includeLights = false } = {}) {
+    return this.worldExporter.exportGLTF(this.createdObjects, {
+      binary: binary,
+      ground: includeTerrain ? this.ground : null,
+      lights: includeLights ? [this.directionalLight] : []
+    });
+  }
+
+  async downloadGLTF(options = {}) {
+    const binary = options.binary !== false;
+    
+    try {
+      const result = await this.exportGLTF({ ...options, binary });
+      const baseName = this.worldData.worldName.replace(/\s+/g, '_');
+      
+      if (binary) {
+        this.downloadFile(result, `${baseName}.glb`, 'model/gltf-binary');
+      } else {
+        this.downloadFile(JSON.stringify(result, null, 2), `${baseName}.gltf`, 'model/gltf+json');
+      }
+      
+      this.showToast(`Exported ${binary ? 'GLB' : 'glTF'}!`, 'success');
+      this.log(`World exported as ${binary ? 'GLB' : 'glTF'}`);
+    } catch (error) {
+      this.log(`glTF export failed: ${error.message}`, 'error');
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Single-file read-only walk-through (see standalonePlayer.js)
+  async downloadStandaloneHTML() {
+    try {
+      this.showToast('Preparing standalone world...', 'info');
+      
+      const html = await this.worldExporter.exportStandaloneHTML(this.createdObjects, {
+        title: this.worldData.worldName,
+        ground: this.ground,
+        lights: this.scene.children.filter(child => child.isLight),
+        background: this.scene.background,
+        fog: this.scene.fog,
+        spawn: this.player.position,
+        cameraMode: this.cameraMode,
+        exposure: this.renderer.toneMappingExposure
+      });
+      
+      const baseName = this.worldData.worldName.replace(/\s+/g, '_');
+      this.downloadFile(html, `${baseName}.html`, 'text/html');
+      
+      this.showToast('Exported standalone HTML!', 'success');
+      this.log(`World exported as standalone HTML (${Math.round(html.length / 1024)} KB)`);
+    } catch (error) {
+      this.log(`HTML export failed: ${error.message}`, 'error');
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Objects for mesh export: the selection if there is one, else the world
+  getExportObjects(selectionOnly = true) {
+    const selection = this.getSelectedObjects();
+    return selectionOnly && selection.length > 0 ? selection : this.createdObjects;
+  }
+
+  // STL export with world transforms baked in. Returns ArrayBuffer or string.
+  exportSTL({ binary = true, units = 'mm', scale = 1, selectionOnly = true } = {}) {
+    return this.worldExporter.exportSTL(this.getExportObjects(selectionOnly), { binary, units, scale });
+  }
+
+  // OBJ + MTL export. Returns { obj, mtl } strings.
+  exportOBJ({ units = 'm', scale = 1, selectionOnly = true, mtlFileName = 'world.mtl' } = {}) {
+    return this.worldExporter.exportOBJ(this.getExportObjects(selectionOnly), { units, scale, mtlFileName });
+  }
+
+  downloadPrintable(format) {
+    const objects = this.getExportObjects();
+    if (objects.length === 0) {
+      this.showToast('Nothing to export', 'info');
+      return;
+    }
+    
+    const defaultUnits = format === 'obj' ? 'm' : 'mm';
+    const units = prompt('Export units (m, cm, mm, in):', defaultUnits);
+    if (!units) return;
+    
+    const unitKey = units.trim().toLowerCase();
+    if (!['m', 'cm', 'mm', 'in'].includes(unitKey)) {
+      this.showToast(`Unknown units: ${units}`, 'error');
+      return;
+    }
+    
+    try {
+      const baseName = (this.selectedObject ?
+        (this.selectedObject.userData.name || 'object') :
+        this.worldData.worldName).replace(/\s+/g, '_');
+      
+      if (format === 'obj') {
+        const { obj, mtl } = this.exportOBJ({ units: unitKey, mtlFileName: `${baseName}.mtl` });
+        this.downloadFile(obj, `${baseName}.obj`, 'text/plain');
+        this.downloadFile(mtl, `${baseName}.mtl`, 'text/plain');
+      } else {
+        const binary = format === 'stl';
+        const stl = this.exportSTL({ binary, units: unitKey });
+        this.downloadFile(stl, `${baseName}.stl`, binary ? 'application/octet-stream' : 'text/plain');
+      }
+      
+      this.showToast(`Exported ${objects.length} object(s)`, 'success');
+      this.log(`Exported ${format.toUpperCase()} (${unitKey}): ${objects.length} objects`);
+    } catch (error) {
+      this.log(`Mesh export failed: ${error.message}`, 'error');
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Share links
+  async copyShareLink({ readOnly = false } = {}) {
+    try {
+      // History and checkpoints are left out to keep links short
+      const world = { ...this.serializeCurrentWorld(), historyData: null, checkpoints: [] };
+      const hash = await encodeShareHash(world, { readOnly });
+      
+      if (hash.length > MAX_SHARE_HASH_LENGTH) {
+        const size = Math.round(hash.length / 1024);
+        this.log(`Share link too long: ${size} KB (limit ${Math.round(MAX_SHARE_HASH_LENGTH / 1024)} KB)`, 'warn');
+        if (confirm(`This world is too large to share as a link (${size} KB). Download it as a file instead?`)) {
+          this.exportWorldFile();
+        }
+        return null;
+      }
+      
+      const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+      
+      try {
+        await navigator.clipboard.writeText(url);
+        this.showToast(readOnly ? 'View-only link copied!' : 'Share link copied!', 'success');
+      } catch (error) {
+        // Clipboard access can be denied; let the user copy it by hand
+        prompt('Copy this link:', url);
+      }
+      
+      this.log(`Share link created (${hash.length} characters)`);
+      return url;
+    } catch (error) {
+      this.log(`Share link failed: ${error.message}`, 'error');
+      this.showToast(`Share link failed: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  // Load the world in a share link hash. Resolves true when loaded.
+  async loadSharedWorld(hash) {
+    try {
+      const shared = await decodeShareHash(hash);
+      if (!shared) return false;
+      
+      const worldData = await this.loadWorldIntoScene(shared.world);
+      if (!worldData) return false;
+      
+      this.currentWorldId = null;
+      this.applyLoadedWorld(worldData);
+      this.historyManager.clearHistory();
+      
+      if (shared.readOnly) {
+        this.enterReadOnlyMode();
+      } else if (this.readOnly) {
+        this.exitReadOnlyMode();
+      } else {
+        // The link has done its job; a reload must not load it again over
+        // the edits made since
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+      }
+      
+      this.log(`Opened shared world: ${worldData.name || 'untitled'}`);
+      return true;
+    } catch (error) {
+      this.log(`Shared world failed to load: ${error.message}`, 'error');
+      this.showToast(`Could not open shared world: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  handleHashChange() {
+    if (!hasShareHash(window.location.hash)) return;
+    
+    if (this.createdObjects.length > 0 && !this.readOnly &&
+        !confirm('Open the shared world? Unsaved changes to the current world will be lost.')) {
+      return;
+    }
+    
+    this.loadSharedWorld(window.location.hash);
+  }
+
+  enterReadOnlyMode() {
+    this.readOnly = true;
+    this.selectObject(null);
+    document.body.classList.add('read-only');
+  }
+
+  // "Edit a copy": keep the world, drop the link and allow editing
+  exitReadOnlyMode() {
+    this.readOnly = false;
+    document.body.classList.remove('read-only');
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    this.startEditingServices();
+    this.showToast('Editing your own copy of this world', 'info');
+  }
+
+  // True (and tells the user) when an edit must be refused
+  isReadOnlyBlocked() {
+    if (this.timeLapse && this.timeLapse.isActive) {
+      this.showToast('Stop the time-lapse before editing', 'info');
+      return true;
+    }
+    if (!this.readOnly) return false;
+    this.showToast('This shared world is view-only. Click "Edit a copy" to make changes.', 'info');
+    return true;
+  }
+
+  // Prefabs
+  async refreshPrefabs() {
+    if (!this.prefabLibrary.isSupported()) {
+      this.renderPrefabList();
+      return;
+    }
+    
+    try {
+      this.prefabs = await this.prefabLibrary.listWorlds();
+    } catch (error) {
+      this.log(`Could not read prefabs: ${error.message}`, 'error');
+      this.prefabs = [];
+    }
+    this.renderPrefabList();
+  }
+
+  renderPrefabList() {
+    const list = document.getElementById('prefabList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (this.prefabs.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'world-empty';
+      empty.textContent = 'Select objects (Shift+click for several) and save them as a prefab';
+      list.appendChild(empty);
+      return;
+    }
+    
+    this.prefabs.forEach(prefab => {
+      const item = document.createElement('div');
+      item.className = 'prefab-item';
+      item.title = `Place ${prefab.name} (${prefab.objectCount} objects)`;
+      
+      const thumb = document.createElement('button');
+      thumb.className = 'item-btn prefab-thumb';
+      if (prefab.thumbnail) {
+        thumb.style.backgroundImage = `url(${prefab.thumbnail})`;
+      }
+      thumb.textContent = prefab.name;
+      thumb.addEventListener('click', () => {
+        // Recorded like library clicks, as the command Rosie would get
+        this.macroRecorder.recordText(`place ${prefab.name} here`);
+        this.spawnPrefab(prefab.id);
+      });
+      
+      const actions = document.createElement('div');
+      actions.className = 'prefab-actions';
+      [
+        ['⬇️', 'Export prefab file', () => this.exportPrefab(prefab.id)],
+        ['🗑️', 'Delete prefab', () => this.deletePrefab(prefab.id)]
+      ].forEach(([icon, title, handler]) => {
+        const button = document.createElement('button');
+        button.className = 'world-action-btn';
+        button.textContent = icon;
+        button.title = title;
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+      });
+      
+      item.appendChild(thumb);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+
+  async saveSelectionAsPrefab() {
+    const objects = this.getSelectedObjects();
+    if (objects.length === 0) {
+      this.showToast('Select the objects to save first (Shift+click to select several)', 'info');
+      return null;
+    }
+    
+    const name = prompt(`Prefab name for ${objects.length} object(s):`, 'My Prefab');
+    if (!name || !name.trim()) return null;
+    
+    try {
+      // Pivot at the bottom center so prefabs sit on the spawn point
+      const bounds = new THREE.Box3();
+      objects.forEach(obj => bounds.expandByObject(obj));
+      const pivot = bounds.getCenter(new THREE.Vector3());
+      pivot.y = bounds.min.y;
+      
+      const usedAssets = objects.map(obj => obj.userData.assetType).filter(Boolean);
+      const prefab = this.worldData.serializePrefab(objects, {
+        name: name.trim(),
+        pivot: pivot,
+        thumbnail: this.capturePrefabThumbnail(objects),
+        assets: this.assetManager.serializeAssets(usedAssets)
+      });
+      
+      const record = await this.prefabLibrary.saveWorld({
+        name: prefab.name,
+        data: prefab,
+        thumbnail: prefab.thumbnail
+      });
+      
+      await this.refreshPrefabs();
+      this.showToast(`Prefab "${prefab.name}" saved`, 'success');
+      this.log(`Saved prefab ${prefab.name} (${objects.length} objects)`);
+      return record;
+    } catch (error) {
+      this.log(`Prefab save failed: ${error.message}`, 'error');
+      this.showToast(`Prefab save failed: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  // Render just the given objects from a flattering angle
+  capturePrefabThumbnail(objects, width = 160, height = 90) {
+    if (!this.renderer || this.webglContextLost) return null;
+    
+    const bounds = new THREE.Box3();
+    objects.forEach(obj => bounds.expandByObject(obj));
+    if (bounds.isEmpty()) return null;
+    
+    const center = bounds.getCenter(new THREE.Vector3());
+    const radius = Math.max(bounds.getBoundingSphere(new THREE.Sphere()).radius, 0.5);
+    
+    const canvas = this.renderer.domElement;
+    const camera = new THREE.PerspectiveCamera(40, canvas.width / canvas.height, 0.1, radius * 20);
+    camera.position.copy(center).add(new THREE.Vector3(1, 0.8, 1).normalize().multiplyScalar(radius * 3));
+    camera.lookAt(center);
+    
+    // Hide everything else, including selection highlights
+    const hidden = [];
+    [...this.createdObjects, this.ground, this.player].forEach(obj => {
+      if (obj && !objects.includes(obj) && obj.visible) hidden.push(obj);
+    });
+    objects.forEach(obj => obj.traverse(child => {
+      if (child.userData.isHighlight && child.visible) hidden.push(child);
+    }));
+    const restore = objects.filter(obj => !obj.visible);
+    hidden.forEach(obj => { obj.visible = false; });
+    restore.forEach(obj => { obj.visible = true; });
+    
+    try {
+      this.renderer.render(this.scene, camera);
+      
+      // Center crop to the thumbnail's aspect ratio
+      const sourceHeight = Math.min(canvas.height, canvas.width * height / width);
+      const sourceWidth = sourceHeight * width / height;
+      
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = width;
+      thumbnail.height = height;
+      thumbnail.getContext('2d').drawImage(
+        canvas,
+        (canvas.width - sourceWidth) / 2, (canvas.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+        0, 0, width, height
+      );
+      return thumbnail.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      this.log(`Prefab thumbnail failed: ${error.message}`, 'warn');
+      return null;
+    } finally {
+      hidden.forEach(obj => { obj.visible = true; });
+      restore.forEach(obj => { obj.visible = false; });
+      this.render();
+    }
+  }
+
+  // Load a prefab and build its objects at position, not yet in the world
+  // (see placePrefab). Resolves with { prefab, objects }.
+  async buildPrefab(id, position = null) {
+    const record = await this.prefabLibrary.getWorld(id);
+    if (!record) throw new Error('Prefab not found');
+    
+    const { prefab } = this.worldData.readPrefab(record.data);
+    
+    const failed = await this.assetManager.loadSerializedAssets(prefab.assets);
+    if (failed.length > 0) {
+      this.log(`Failed to load prefab models: ${failed.join(', ')}`, 'error');
+    }
+    
+    const objects = this.objectCreator.createPrefab(prefab, position || this.getCursorTarget());
+    if (objects.length === 0) throw new Error('Prefab has no objects');
+    
+    return { prefab, objects };
+  }
+  
+  // Add objects from buildPrefab to the world, inside the caller's batch.
+  // They get their ids only here, so objects that never make it into the
+  // world are not tracked.
+  placePrefab(objects) {
+    this.historyManager.remapObjectIds(objects);
+    objects.forEach(obj => this.commands.createObject(obj));
+  }
+  
+  // Place a stored prefab as one undoable step. Defaults to the cursor.
+  async spawnPrefab(id, position = null) {
+    if (this.isReadOnlyBlocked()) return null;
+    
+    try {
+      const { prefab, objects } = await this.buildPrefab(id, position);
+      
+      // Read-only viewing or a time-lapse may have started while loading
+      if (this.isReadOnlyBlocked()) return null;
+      this.commands.batch(`Place ${prefab.name}`, () => this.placePrefab(objects));
+      
+      this.selectObjects(objects);
+      this.log(`Placed prefab ${prefab.name}`);
+      return objects;
+    } catch (error) {
+      this.log(`Prefab placement failed: ${error.message}`, 'error');
+      this.showToast(`Could not place prefab: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  // Prefab metadata by name, ignoring case and filler words ("my market stall")
+  findPrefab(name) {
+    const normalize = (text) => String(text).toLowerCase()
+      .replace(/^(my|our|the|a|an)\s+/, '')
+      .replace(/\s+(here|there)$/, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    
+    const wanted = normalize(name);
+    if (!wanted) return null;
+    
+    return this.prefabs.find(prefab => normalize(prefab.name) === wanted) ||
+      this.prefabs.find(prefab => wanted.includes(normalize(prefab.name))) ||
+      null;
+  }
+
+  // Store prefab file contents in the library after validation
+  async importPrefabData(data) {
+    const { prefab, problems } = this.worldData.readPrefab(data);
+    
+    if (problems.length > 0) {
+      problems.forEach(problem => this.log(`Prefab file: ${this.worldData.describeProblem(problem)}`, 'warn'));
+      const proceed = await this.showLoadReport(problems, prefab.objects.length);
+      if (!proceed) return null;
+    }
+    
+    const record = await this.prefabLibrary.saveWorld({
+      name: prefab.name,
+      data: prefab,
+      thumbnail: prefab.thumbnail
+    });
+    
+    await this.refreshPrefabs();
+    this.showToast(`Prefab "${prefab.name}" added to the library`, 'success');
+    return record;
+  }
+
+  pickPrefabFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      try {
+        const text = await this.worldData.readFile(file);
+        await this.importPrefabData(JSON.parse(text));
+      } catch (error) {
+        this.log(`Prefab import failed: ${error.message}`, 'error');
+        this.showToast(`Prefab import failed: ${error.message}`, 'error');
+      }
+    };
+    
+    input.click();
+  }
+
+  async exportPrefab(id) {
+    try {
+      const record = await this.prefabLibrary.getWorld(id);
+      if (!record) throw new Error('Prefab not found');
+      this.worldData.downloadPrefab(record.data);
+    } catch (error) {
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  async deletePrefab(id) {
+    const prefab = this.prefabs.find(entry => entry.id === id);
+    if (!prefab || !confirm(`Delete prefab "${prefab.name}"? Placed copies stay in your worlds.`)) return;
+    
+    try {
+      await this.prefabLibrary.deleteWorld(id);
+      await this.refreshPrefabs();
+    } catch (error) {
+      this.showToast(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Crash recovery
+  async checkCrashRecovery() {
+    const recovery = this.sessionJournal.findRecoverableSession();
+    if (!recovery) return false;
+    
+    const { journal } = recovery;
+    const savedAt = new Date(journal.savedAt).toLocaleString();
+    const count = journal.world.objects.length;
+    
+    if (!confirm(`Worldsmith did not shut down cleanly. Restore your last session from ${savedAt} (${count} objects)?`)) {
+      this.sessionJournal.discard(recovery);
+      this.log('Crash recovery declined');
+      return false;
+    }
+    
+    try {
+      const worldData = await this.loadWorldIntoScene(journal.world);
+      if (!worldData) return false;
+      
+      this.currentWorldId = journal.currentWorldId || null;
+      this.applyLoadedWorld(worldData);
+      // This tab journals the restored world from now on
+      this.sessionJournal.discard(recovery);
+      this.log('Session restored from crash journal');
+      return true;
+    } catch (error) {
+      this.log(`Session restore failed: ${error.message}`, 'error');
+      this.showToast(`Could not restore session: ${error.message}`, 'error');
+      return false;
+    }
+  }
+
+  // Autosave and crash journal; not run while viewing read-only
+  startEditingServices() {
+    if (this.editingServicesStarted) return;
+    this.editingServicesStarted = true;
+    
+    this.loadAutosaveSettings();
+    this.startAutosave();
+    this.sessionJournal.start();
+  }
+
+  // Autosave
+  loadAutosaveSettings() {
+    const stored = parseInt(localStorage.getItem('worldsmithAutosaveInterval'), 10);
+    if (!isNaN(stored)) {
+      this.autosaveInterval = stored;
+    }
+  }
+
+  // Interval in milliseconds; 0 disables autosave
+  setAutosaveInterval(interval) {
+    this.autosaveInterval = Math.max(0, interval);
+    localStorage.setItem('worldsmithAutosaveInterval', String(this.autosaveInterval));
+    this.startAutosave();
+    
+    this.log(this.autosaveInterval > 0 ?
+      `Autosave every ${Math.round(this.autosaveInterval / 60000)} min` : 'Autosave disabled');
+  }
+
+  startAutosave() {
+    this.stopAutosave();
+    
+    if (this.autosaveInterval > 0 && this.worldLibrary.isSupported()) {
+      this.autosaveTimer = setInterval(() => this.autosave(), this.autosaveInterval);
+    }
+  }
+
+  stopAutosave() {
+    if (this.autosaveTimer) {
+      clearInterval(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+  }
+
+  async autosave() {
+    if (this.createdObjects.length === 0) return;
+    
+    try {
+      const worldData = this.serializeCurrentWorld();
+      await this.worldLibrary.saveWorld({
+        id: this.autosaveSlotId,
+        name: `Autosave - ${worldData.name}`,
+        data: worldData,
+        thumbnail: this.captureThumbnail(),
+        isAutosave: true
+      });
+      this.log('Autosaved');
+    } catch (error) {
+      this.log(`Autosave failed: ${error.message}`, 'error');
+    }
+  }
+
+  // World library browser
+  showWorldBrowser() {
+    const browser = document.getElementById('worldBrowser');
+    if (!browser) return;
+    
+    browser.classList.add('show');
+    
+    const intervalSelect = document.getElementById('autosaveInterval');
+    if (intervalSelect) {
+      intervalSelect.value = String(this.autosaveInterval);
+    }
+    
+    this.renderWorldBrowser();
+  }
+
+  hideWorldBrowser() {
+    const browser = document.getElementById('worldBrowser');
+    if (browser) {
+      browser.classList.remove('show');
+    }
+  }
+
+  async renderWorldBrowser() {
+    const list = document.getElementById('worldList');
+    if (!list) return;
+    
+    let worlds;
+    try {
+      worlds = await this.worldLibrary.listWorlds();
+    } catch (error) {
+      list.textContent = `Library unavailable: ${error.message}`;
+      return;
+    }
+    
+    list.innerHTML = '';
+    
+    if (worlds.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'world-empty';
+      empty.textContent = 'No saved worlds yet. Press Ctrl+S to save this one.';
+      list.appendChild(empty);
+      return;
+    }
+    
+    worlds.forEach(world => {
+      const item = document.createElement('div');
+      item.className = 'world-item' + (world.id === this.currentWorldId ? ' current' : '');
+      
+      const thumb = document.createElement('div');
+      thumb.className = 'world-thumb';
+      if (world.thumbnail) {
+        thumb.style.backgroundImage = `url(${world.thumbnail})`;
+      }
+      
+      const info = document.createElement('div');
+      info.className = 'world-info';
+      const name = document.createElement('div');
+      name.className = 'world-name';
+      name.textContent = world.name;
+      const meta = document.createElement('div');
+      meta.className = 'world-meta';
+      meta.textContent = `${new Date(world.updatedAt).toLocaleString()} · ${world.objectCount} objects`;
+      info.appendChild(name);
+      info.appendChild(meta);
+      
+      const actions = document.createElement('div');
+      actions.className = 'world-actions';
+      [
+        ['📂', 'Load', () => this.loadWorldFromLibrary(world.id)],
+        ['✏️', 'Rename', () => this.renameLibraryWorld(world)],
+        ['📑', 'Duplicate', () => this.duplicateLibraryWorld(world.id)],
+        ['🗑️', 'Delete', () => this.deleteLibraryWorld(world)]
+      ].forEach(([icon, title, handler]) => {
+        const btn = document.createElement('button');
+        btn.className = 'world-action-btn';
+        btn.textContent = icon;
+        btn.title = title;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        actions.appendChild(btn);
+      });
+      
+      item.addEventListener('dblclick', () => this.loadWorldFromLibrary(world.id));
+      item.appendChild(thumb);
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  }
+
+  async renameLibraryWorld(world) {
+    const name = prompt('Rename world:', world.name);
+    if (!name || !name.trim()) return;
+    
+    try {
+      await this.worldLibrary.renameWorld(world.id, name.trim());
+      if (world.id === this.currentWorldId) {
+        this.worldData.worldName = name.trim();
+      }
+      this.renderWorldBrowser();
+    } catch (error) {
+      this.showToast(`Rename failed: ${error.message}`, 'error');
+    }
+  }
+
+  async duplicateLibraryWorld(id) {
+    try {
+      await this.worldLibrary.duplicateWorld(id);
+      this.renderWorldBrowser();
+    } catch (error) {
+      this.showToast(`Duplicate failed: ${error.message}`, 'error');
+    }
+  }
+
+  async deleteLibraryWorld(world) {
+    if (!confirm(`Delete "${world.name}"? This cannot be undone.`)) return;
+    
+    try {
+      await this.worldLibrary.deleteWorld(world.id);
+      if (world.id === this.currentWorldId) {
+        this.currentWorldId = null;
+      }
+      this.renderWorldBrowser();
+    } catch (error) {
+      this.showToast(`Delete failed: ${error.message}`, 'error');
+    }
+  }
+
+  // Natural language processing
+  parseNaturalLanguage(input) {
+    const command = input.toLowerCase().trim();
+    
+    // Time of day commands
+    if (command.includes('night') || command.includes('dark')) {
+      this.setTimeOfDay(0.0);
+      this.showRosieResponse("🌙 Setting to nighttime. The stars are beautiful tonight!");
+      return;
+    }
+    
+    if (command.includes('day') || command.includes('morning') || command.includes('noon')) {
+      this.setTimeOfDay(0.5);
+      this.showRosieResponse("☀️ Brightening to daytime! Perfect weather for building.");
+      return;
+    }
+    
+    if (command.includes('dawn') || command.includes('sunrise')) {
+      this.setTimeOfDay(0.25);
+      this.showRosieResponse("🌅 Setting to dawn. What a beautiful sunrise!");
+      return;
+    }
+    
+    if (command.includes('dusk') || command.includes('sunset')) {
+      this.setTimeOfDay(0.75);
+      this.showRosieResponse("🌇 Setting to dusk. The golden hour is magical!");
+      return;
+    }
+    
+    // Weather commands
+    if (command.includes('rain') || command.includes('storm')) {
+      this.setWeather('rain');
+      this.showRosieResponse("🌧️ Adding rain effects. I love the sound of rain!");
+      return;
+    }
+    
+    if (command.includes('clear') || command.includes('sunny')) {
+      this.setWeather('clear');
+      this.showRosieResponse("☀️ Clearing the weather. Beautiful clear skies!");
+      return;
+    }
+    
+    // Creation commands
     if (command.includes('create') || command.includes('make') || command.includes('build') || command.includes('add')) {
       const obj = this.createFromDescription(command);
       if (obj) {
@@ -1551,15 +3949,217 @@ export class Worldsmith {
   }
 
   setTimeOfDay(time) {
-    this.timeOfDay = Math.max(0, Math.min(1, time));
-    this.updateTimeOfDay();
-    this.log(`Time of day set to: ${this.timeOfDay}`);
+    this.updateEnvironment({ timeOfDay: Math.max(0, Math.min(1, time)) }, 'Set time of day');
   }
 
   setWeather(weather) {
-    this.weather = weather;
-    this.log(`Weather set to: ${weather}`);
-    // Weather effects would be implemented here
+    this.updateEnvironment({ weather }, `Set weather: ${weather}`);
+  }
+
+  // Change environment fields (timeOfDay, weather, lightingSettings,
+  // terrainSettings) as one undoable step, or as part of the open one
+  updateEnvironment(changes, label = 'Change environment') {
+    this.historyManager.executeGroupedAction(label, () => {
+      Object.entries(changes).forEach(([key, next]) => {
+        const prev = this[key];
+        if (JSON.stringify(prev) === JSON.stringify(next)) return;
+        
+        this.setEnvironmentValue(key, next);
+        this.historyManager.recordEnvironmentChange(key, prev, next);
+      });
+    });
+  }
+
+  // Apply one environment field without recording it (undo and redo)
+  setEnvironmentValue(key, value) {
+    switch (key) {
+      case 'timeOfDay':
+        this.timeOfDay = value;
+        this.updateTimeOfDay();
+        this.log(`Time of day set to: ${this.timeOfDay}`);
+        break;
+      case 'weather':
+        this.weather = value;
+        this.log(`Weather set to: ${value}`);
+        // Weather effects would be implemented here
+        break;
+      case 'lightingSettings':
+        this.lightingSettings = { ...value };
+        if (this.scene.fog) {
+          this.scene.fog.density = this.lightingSettings.fogDensity;
+        }
+        break;
+      case 'terrainSettings':
+        this.terrainSettings = { ...value };
+        break;
+      default:
+        return;
+    }
+    
+    document.dispatchEvent(new CustomEvent('environmentChanged', { detail: { [key]: value } }));
+  }
+
+  toggleTerrainBrush() {
+    if (this.isReadOnlyBlocked()) return;
+    
+    this.terrainEditor.enabled = !this.terrainEditor.enabled;
+    this.selectObject(null);
+    this.showToast(this.terrainEditor.enabled ?
+      'Terrain brush on: drag on the ground to raise it, Shift+drag to lower' :
+      'Terrain brush off', 'info');
+  }
+
+  handleTerrainPointerDown(e) {
+    if (!this.terrainEditor.enabled || this.readOnly || e.button !== 0) return;
+    
+    // Keeps the camera from turning while sculpting
+    e.preventDefault();
+    this.beginTerrainStroke();
+    this.sculptTerrainAt(e.clientX, e.clientY, e.shiftKey);
+  }
+
+  beginTerrainStroke() {
+    const terrain = this.worldData.serializeTerrain(this.ground);
+    if (!terrain) return;
+    
+    this.terrainEditor.isEditing = true;
+    this.terrainEditor.editTransaction = { before: terrain.heights, tool: this.terrainEditor.currentTool, flattenHeight: null };
+  }
+
+  // Apply the brush once where the pointer meets the ground
+  sculptTerrainAt(clientX, clientY, invert = false) {
+    const editor = this.terrainEditor;
+    const stroke = editor.editTransaction;
+    if (!editor.isEditing || !stroke) return;
+    
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    ), this.camera);
+    
+    const hit = raycaster.intersectObject(this.ground)[0];
+    if (!hit) return;
+    
+    // Ground vertices are in the plane's local space: x/y across, z up
+    const center = this.ground.worldToLocal(hit.point.clone());
+    const inverse = { raise: 'lower', lower: 'raise' };
+    const tool = invert && inverse[editor.currentTool] ? inverse[editor.currentTool] : editor.currentTool;
+    stroke.tool = tool;
+    if (stroke.flattenHeight === null) stroke.flattenHeight = center.z;
+    
+    const positions = this.ground.geometry.attributes.position;
+    const columns = (this.ground.geometry.parameters.widthSegments || 1) + 1;
+    const radius = editor.brushSize;
+    const core = radius * editor.brushHardness;
+    
+    for (let i = 0; i < positions.count; i++) {
+      const distance = Math.hypot(positions.getX(i) - center.x, positions.getY(i) - center.y);
+      if (distance > radius) continue;
+      
+      // Full strength inside the core, fading out to the brush edge
+      const falloff = distance <= core ? 1 : 1 - (distance - core) / (radius - core);
+      const z = positions.getZ(i);
+      
+      switch (tool) {
+        case 'raise':
+          positions.setZ(i, z + editor.brushStrength * 0.2 * falloff);
+          break;
+        case 'lower':
+          positions.setZ(i, z - editor.brushStrength * 0.2 * falloff);
+          break;
+        case 'flatten':
+          positions.setZ(i, z + (stroke.flattenHeight - z) * editor.brushStrength * falloff);
+          break;
+        case 'smooth': {
+          const neighbours = [i - 1, i + 1, i - columns, i + columns].filter(n => n >= 0 && n < positions.count);
+          const average = neighbours.reduce((sum, n) => sum + positions.getZ(n), 0) / neighbours.length;
+          positions.setZ(i, z + (average - z) * editor.brushStrength * falloff);
+          break;
+        }
+      }
+    }
+    
+    positions.needsUpdate = true;
+    this.ground.geometry.computeVertexNormals();
+    this.ground.geometry.computeBoundingSphere();
+  }
+
+  // Finish a stroke as one undoable step holding only the changed heights
+  endTerrainStroke() {
+    const editor = this.terrainEditor;
+    if (!editor.isEditing) return;
+    
+    const stroke = editor.editTransaction;
+    editor.isEditing = false;
+    editor.editTransaction = null;
+    
+    const after = this.worldData.serializeTerrain(this.ground).heights;
+    this.historyManager.executeGroupedAction(`Terrain: ${stroke.tool}`, () => {
+      this.historyManager.recordTerrainChange(stroke.before, after);
+    });
+    document.dispatchEvent(new CustomEvent('environmentChanged', { detail: { terrain: true } }));
+  }
+
+  // Replace the ground heights with saved terrain as an undoable edit
+  setTerrain(terrainData, label = 'Change terrain') {
+    const before = this.worldData.serializeTerrain(this.ground);
+    if (!before) return false;
+    
+    let applied = false;
+    this.historyManager.executeGroupedAction(label, () => {
+      applied = this.worldData.applyTerrain(this.ground, terrainData);
+      if (applied) {
+        this.historyManager.recordTerrainChange(before.heights, this.worldData.serializeTerrain(this.ground).heights);
+      }
+    });
+    
+    if (applied) {
+      document.dispatchEvent(new CustomEvent('environmentChanged', { detail: { terrain: true } }));
+    }
+    return applied;
+  }
+
+  // Snapshot of time, weather, lighting and terrain for saving
+  getEnvironmentState() {
+    return {
+      timeOfDay: this.timeOfDay,
+      weather: this.weather,
+      lightingSettings: { ...this.lightingSettings },
+      terrainSettings: { ...this.terrainSettings },
+      terrain: this.worldData.serializeTerrain(this.ground)
+    };
+  }
+
+  // Apply saved environment state as one undoable step (or as part of the
+  // open transaction)
+  applyEnvironmentState(environment, label = 'Change environment') {
+    this.historyManager.executeGroupedAction(label, () => {
+      const changes = {};
+      
+      if (environment.lightingSettings) {
+        changes.lightingSettings = { ...this.lightingSettings, ...environment.lightingSettings };
+      }
+      
+      if (environment.terrainSettings) {
+        changes.terrainSettings = { ...this.terrainSettings, ...environment.terrainSettings };
+      }
+      
+      if (typeof environment.timeOfDay === 'number') {
+        changes.timeOfDay = Math.max(0, Math.min(1, environment.timeOfDay));
+      }
+      
+      if (environment.weather) {
+        changes.weather = environment.weather;
+      }
+      
+      this.updateEnvironment(changes, label);
+      
+      if (environment.terrain) {
+        this.setTerrain(environment.terrain, label);
+      }
+    });
   }
 
   // AI Agent integration
@@ -1619,6 +4219,58 @@ Just tell me what you want to create in natural language!
     }
   }
 
+  // Language model for Rosie: { url, model, apiKey } in localStorage; without
+  // it Rosie only understands her built-in command patterns
+  loadRosieModelSettings() {
+    let settings = null;
+    try {
+      settings = JSON.parse(localStorage.getItem('worldsmithRosieModel'));
+    } catch (error) {
+      // Unreadable settings are the same as none
+    }
+    
+    if (settings && settings.url && settings.model) {
+      this.aiAgent.setProvider(new OpenAICompatibleProvider(settings));
+      this.log(`Rosie uses ${this.aiAgent.provider.name}`);
+    } else {
+      this.aiAgent.setProvider(null);
+    }
+  }
+
+  configureRosieModel() {
+    const current = this.aiAgent.provider;
+    
+    const url = prompt(
+      'OpenAI-compatible endpoint for Rosie (e.g. https://api.openai.com/v1, or http://localhost:8788/v1 for "npm run mock-model").\nLeave empty to use only the built-in commands:',
+      current ? current.url : ''
+    );
+    if (url === null) return;
+    
+    if (!url.trim()) {
+      localStorage.removeItem('worldsmithRosieModel');
+      this.loadRosieModelSettings();
+      this.showToast('Rosie uses her built-in commands', 'info');
+      return;
+    }
+    
+    const model = prompt('Model name:', current ? current.model : 'gpt-4o-mini');
+    if (!model || !model.trim()) return;
+    
+    const apiKey = prompt(
+      current && current.apiKey ? 'API key (leave empty to keep the saved one):' : 'API key (leave empty if the endpoint needs none):',
+      ''
+    );
+    if (apiKey === null) return;
+    
+    localStorage.setItem('worldsmithRosieModel', JSON.stringify({
+      url: url.trim(),
+      model: model.trim(),
+      apiKey: apiKey.trim() || (current ? current.apiKey : '')
+    }));
+    this.loadRosieModelSettings();
+    this.showToast(`Rosie now asks ${model.trim()} - she falls back to built-in commands if it fails`, 'success');
+  }
+
   // UI updates
   updateObjectCount() {
     const countElement = document.getElementById('objectCount');
@@ -1685,6 +4337,58 @@ Just tell me what you want to create in natural language!
     }
   }
 
+  // Properties panel edits, applied to the selected object
+  getEditedObject() {
+    const obj = this.selectedObject;
+    return obj && this.createdObjects.includes(obj) ? obj : null;
+  }
+
+  applyNameInput() {
+    const obj = this.getEditedObject();
+    const input = document.getElementById('objName');
+    if (!obj || !input || !input.value.trim()) return;
+    
+    this.applyPropertyEdit(obj, { type: 'setProperty', key: 'name', value: input.value.trim() }, 'Rename object');
+  }
+
+  applyTransformInput(inputId) {
+    const obj = this.getEditedObject();
+    const value = parseFloat(document.getElementById(inputId)?.value);
+    if (!obj || !Number.isFinite(value)) return;
+    
+    // Only the edited field changes; the others show rounded values
+    const axis = inputId.slice(-1).toLowerCase();
+    if (inputId.startsWith('pos')) {
+      this.applyPropertyEdit(obj, { type: 'transform', position: { ...obj.position, [axis]: value } }, 'Move object');
+    } else if (inputId.startsWith('rot')) {
+      const rotation = { x: obj.rotation.x, y: obj.rotation.y, z: obj.rotation.z, [axis]: value * Math.PI / 180 };
+      this.applyPropertyEdit(obj, { type: 'transform', rotation }, 'Rotate object');
+    } else {
+      const scale = Math.max(0.1, value);
+      this.applyPropertyEdit(obj, { type: 'transform', scale: { x: scale, y: scale, z: scale } }, 'Scale object');
+    }
+  }
+
+  applyColorInput() {
+    const obj = this.getEditedObject();
+    const input = document.getElementById('objColor');
+    if (!obj || !input) return;
+    
+    if (!obj.material || !obj.material.color) {
+      this.showToast('This object has no single color to change', 'info');
+      return;
+    }
+    this.applyPropertyEdit(obj, { type: 'setProperty', key: 'color', value: parseInt(input.value.slice(1), 16) }, 'Set color');
+  }
+
+  // edit: a transform or setProperty command without its id
+  applyPropertyEdit(obj, edit, label) {
+    const command = { ...edit, id: this.historyManager.getObjectId(obj) };
+    if (this.commands.execute(command, label)) {
+      this.macroRecorder.recordEdit(obj, command);
+    }
+  }
+
   clearPropertiesPanel() {
     const propertiesPanel = document.getElementById('objectProperties');
     if (propertiesPanel) {
@@ -1809,6 +4513,18 @@ Just tell me what you want to create in natural language!
       clearTimeout(this.tabHoldTimer);
     }
     
+    this.stopAutosave();
+    
+    if (this.collab) {
+      this.collab.disconnect();
+    }
+    
+    // A read-only session never journaled; leave any earlier journal alone
+    if (this.sessionJournal && this.editingServicesStarted) {
+      this.sessionJournal.markClean();
+      this.sessionJournal.stop();
+    }
+    
     this.log('Worldsmith destroyed');
   }
 }
\ No newline at end of file
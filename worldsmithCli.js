@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { WorldData } from './worldData.js';
+import { ObjectCreator } from './objectCreator.js';
+import { AssetManager } from './assetManager.js';
+import { WorldExporter } from './worldExporter.js';
+import { createProceduralAsset } from './proceduralAssets.js';
+import { WORLD_SCHEMA_VERSION, WORLD_SCHEMA_VERSIONS, convertWorld } from './worldSchema.js';
+
+/**
+ * Worldsmith command-line tool - processes world files in batch without a
+ * browser, using the same loading code as the editor
+ *
+ *   worldsmith validate <world.json> [--json]
+ *   worldsmith stats <world.json> [--json]
+ *   worldsmith convert <world.json> -o <out.json> [--to 1.2.0]
+ *   worldsmith merge <base.json> <other.json> -o <out.json> [--offset x,y,z]
+ *   worldsmith gltf <world.json> -o <out.glb|out.gltf> [--no-terrain]
+ *
+ * Exit codes: 0 success, 1 problems found by validate, 2 bad usage or a
+ * file that cannot be read at all.
+ */
+
+const USAGE = `Usage: worldsmith <command> [options]
+
+Commands:
+  validate <world.json>                 check a world file and list problems
+  stats <world.json>                    object counts, bounding box, triangles
+  convert <world.json> -o <out.json>    rewrite in another schema version
+      --to <version>                    target version (default ${WORLD_SCHEMA_VERSION})
+  merge <base.json> <other.json> -o <out.json>
+      --offset <x,y,z>                  move the second world's objects
+  gltf <world.json> -o <out.glb|.gltf>  export the world for other tools
+      --no-terrain                      leave out the saved terrain
+
+Options:
+  --json                                machine readable output (validate, stats)
+  --assets <dir>                        bundled models (default public/assets)
+  -h, --help                            show this help
+
+Supported schema versions: ${WORLD_SCHEMA_VERSIONS.join(', ')}`;
+
+const DEFAULT_ASSETS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'public', 'assets');
+
+class UsageError extends Error {}
+
+// GLTFExporter reads its output Blobs with FileReader, which Node lacks
+if (typeof globalThis.FileReader === 'undefined') {
+  globalThis.FileReader = class FileReader {
+    readAsArrayBuffer(blob) {
+      blob.arrayBuffer().then(buffer => this.finish(buffer));
+    }
+
+    readAsDataURL(blob) {
+      blob.arrayBuffer().then(buffer => {
+        this.finish(`data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`);
+      });
+    }
+
+    finish(result) {
+      this.result = result;
+      if (this.onload) this.onload({ target: this });
+      if (this.onloadend) this.onloadend({ target: this });
+    }
+  };
+}
+
+async function readWorldFile(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${path} (${error.code || error.message})`);
+  }
+  return new WorldData().parseWorld(text);
+}
+
+async function writeJSON(path, data) {
+  await writeFile(path, JSON.stringify(data, null, 2) + '\n');
+}
+
+function requireOutput(options) {
+  if (!options.output) throw new UsageError('Missing output file (-o <file>)');
+  return options.output;
+}
+
+function parseOffset(text) {
+  if (!text) return { x: 0, y: 0, z: 0 };
+  const parts = text.split(',').map(Number);
+  if (parts.length !== 3 || parts.some(value => !Number.isFinite(value))) {
+    throw new UsageError(`Offset must be three numbers like 10,0,-5 (got "${text}")`);
+  }
+  return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+// Register the bundled models of the manifest from disk, falling back to
+// procedural stand-ins like the editor does
+async function loadBundledAssets(assetManager, assetsDir) {
+  const manifestPath = join(assetsDir, 'manifest.json');
+  let entries = [];
+  try {
+    entries = JSON.parse(await readFile(manifestPath, 'utf8')).assets || [];
+  } catch (error) {
+    entries = ['wizard', 'dragon', 'ghost', 'cube_guy'].map(name => ({ name, scale: 2, category: 'npcs', animations: [] }));
+  }
+
+  const placeholders = [];
+  for (const entry of entries) {
+    const filePath = entry.path ? join(assetsDir, entry.path) : null;
+    try {
+      if (!filePath || !existsSync(filePath)) throw new Error('missing file');
+      const buffer = await readFile(filePath);
+      const gltf = await assetManager.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), dirname(filePath) + '/');
+      assetManager.registerBundled(entry, gltf);
+    } catch (error) {
+      const standIn = createProceduralAsset(entry.name);
+      if (standIn) {
+        assetManager.registerBundled(entry, standIn);
+        placeholders.push(entry.name);
+      }
+    }
+  }
+  return placeholders;
+}
+
+// Migrate, validate and build a world's objects off-screen.
+// Resolves with { world, objects, problems, placeholders }.
+async function buildWorld(path, options) {
+  const worldData = new WorldData();
+  const { world, problems, objectIndices } = worldData.prepareWorld(await readWorldFile(path));
+
+  const loadedAssets = new Map();
+  const assetManager = new AssetManager(new GLTFLoader(), loadedAssets);
+  const placeholders = await loadBundledAssets(assetManager, options.assets || DEFAULT_ASSETS_DIR);
+
+  const assetErrors = await assetManager.loadSerializedAssets(world.assets);
+  assetErrors.forEach(message => {
+    problems.push({ index: null, field: 'assets', message: `model ${message}`, action: 'repaired' });
+  });
+
+  const objectCreator = new ObjectCreator(null, assetManager.assetLoader, loadedAssets);
+  const built = worldData.buildObjects(world, objectCreator, objectIndices);
+
+  const used = new Set(world.objects.map(obj => obj.assetType).filter(Boolean));
+  return {
+    world,
+    objects: built.objects,
+    problems: [...problems, ...built.problems],
+    placeholders: placeholders.filter(name => used.has(name))
+  };
+}
+
+async function validateCommand(files, options) {
+  const worldData = new WorldData();
+  let failed = false;
+
+  for (const path of files) {
+    const { world, problems } = await buildWorld(path, options);
+    if (problems.length > 0) failed = true;
+
+    if (options.json) {
+      console.log(JSON.stringify({ file: path, name: world.name, objects: world.objects.length, problems }));
+      continue;
+    }
+
+    if (problems.length === 0) {
+      console.log(`${path}: OK (${world.objects.length} objects)`);
+    } else {
+      console.log(`${path}: ${problems.length} problem(s)`);
+      problems.forEach(problem => console.log(`  ${worldData.describeProblem(problem)}`));
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+async function statsCommand(files, options) {
+  const worldData = new WorldData();
+
+  for (const path of files) {
+    const { world, objects, problems, placeholders } = await buildWorld(path, options);
+    const stats = worldData.getWorldStats(objects);
+
+    if (options.json) {
+      console.log(JSON.stringify({ file: path, name: world.name, version: world.version, ...stats, placeholders, problems: problems.length }));
+      continue;
+    }
+
+    const format = (vector) => `${vector.x.toFixed(2)}, ${vector.y.toFixed(2)}, ${vector.z.toFixed(2)}`;
+
+    console.log(`${path}: ${world.name || 'Untitled world'} (schema ${world.version})`);
+    console.log(`  Objects: ${stats.objectCount}${problems.length ? ` (${problems.length} problem(s), run validate)` : ''}`);
+    Object.entries(stats.types)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([type, count]) => console.log(`    ${type}: ${count}`));
+    if (stats.bounds) {
+      console.log(`  Bounds: min ${format(stats.bounds.min)} / max ${format(stats.bounds.max)}`);
+      console.log(`  Size: ${format(stats.bounds.size)} m`);
+    }
+    console.log(`  Triangles: ~${stats.triangles} in ${stats.meshes} mesh(es)`);
+    if (placeholders.length > 0) {
+      console.log(`  Estimated from stand-ins: ${placeholders.join(', ')}`);
+    }
+    if (world.assets.length > 0) {
+      console.log(`  Embedded models: ${world.assets.map(asset => asset.name).join(', ')}`);
+    }
+  }
+
+  return 0;
+}
+
+async function convertCommand(files, options) {
+  if (files.length !== 1) throw new UsageError('convert takes one world file');
+
+  const { world, lost } = convertWorld(await readWorldFile(files[0]), options.to || WORLD_SCHEMA_VERSION);
+  await writeJSON(requireOutput(options), world);
+
+  console.log(`Wrote ${options.output} (schema ${world.version})`);
+  lost.forEach(message => console.warn(`  Warning: ${message}`));
+  return 0;
+}
+
+async function mergeCommand(files, options) {
+  if (files.length !== 2) throw new UsageError('merge takes two world files');
+
+  const worldData = new WorldData();
+  const base = await readWorldFile(files[0]);
+  const incoming = await readWorldFile(files[1]);
+  const { world, skippedAssets } = worldData.mergeWorldData(
+    worldData.prepareWorld(base).world,
+    worldData.prepareWorld(incoming).world,
+    parseOffset(options.offset)
+  );
+
+  await writeJSON(requireOutput(options), world);
+
+  console.log(`Wrote ${options.output} (${world.objects.length} objects)`);
+  skippedAssets.forEach(name => console.warn(`  Warning: model "${name}" exists in both files; kept the one from ${files[0]}`));
+  return 0;
+}
+
+async function gltfCommand(files, options) {
+  if (files.length !== 1) throw new UsageError('gltf takes one world file');
+
+  const output = requireOutput(options);
+  const binary = !/\.gltf$/i.test(output);
+  const { world, objects, problems, placeholders } = await buildWorld(files[0], options);
+
+  let ground = null;
+  const terrain = world.environment && world.environment.terrain;
+  if (terrain && options.terrain !== false) {
+    ground = new THREE.Mesh(
+      new THREE.PlaneGeometry(terrain.width, terrain.height, terrain.widthSegments, terrain.heightSegments),
+      new THREE.MeshStandardMaterial({ color: 0xc8e6c9, roughness: 0.6, metalness: 0.05 })
+    );
+    ground.rotation.x = -Math.PI / 2;
+    if (!new WorldData().applyTerrain(ground, terrain)) ground = null;
+  }
+
+  const result = await new WorldExporter().exportGLTF(objects, { binary, ground });
+  await writeFile(output, binary ? Buffer.from(result) : JSON.stringify(result));
+
+  console.log(`Wrote ${output} (${objects.length} objects${ground ? ' and terrain' : ''})`);
+  if (problems.length > 0) console.warn(`  Warning: ${problems.length} problem(s) in the world file; run validate`);
+  if (placeholders.length > 0) console.warn(`  Warning: stand-in models used for ${placeholders.join(', ')}`);
+  return 0;
+}
+
+const commands = {
+  validate: validateCommand,
+  stats: statsCommand,
+  convert: convertCommand,
+  merge: mergeCommand,
+  gltf: gltfCommand
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      to: { type: 'string' },
+      offset: { type: 'string' },
+      assets: { type: 'string' },
+      json: { type: 'boolean' },
+      'no-terrain': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const run = commands[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"`);
+  if (files.length === 0) throw new UsageError(`${command} needs a world file`);
+
+  return run(files, {
+    ...values,
+    terrain: !values['no-terrain']
+  });
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`worldsmith: ${error.message}`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error('Run "worldsmith --help" for usage.');
+    }
+    process.exitCode = 2;
+  });